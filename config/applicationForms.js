@@ -0,0 +1,94 @@
+// Application form schemas. Admins publish schemas per visa type (and optionally per
+// destination) through /api/admin/form-schemas; the default below is installed for every
+// visa type that has none, so applications can always be started.
+//
+// A definition is a list of sections, each with fields:
+//   section: { id, title, description?, condition?, fields: [field] }
+//   field:   { name, label, type, required?, help?, condition?, column?, ...type options }
+//
+// Field types and their options:
+//   string, text      - minLength, maxLength, pattern (regular expression)
+//   email
+//   integer, number   - min, max
+//   boolean
+//   date              - past: true / future: true
+//   select            - options: [{ value, label }]
+//   multiselect       - options, minItems, maxItems
+//
+// A condition shows a section or field only when another answer matches:
+//   { field: 'hasPreviousVisa', equals: true } or { field: 'accommodationType', in: ['hotel', 'hostel'] }
+// Answers to hidden fields are discarded and never required.
+//
+// "column" also copies the answer to that Application column so lists and searches keep working.
+
+const VISA_TYPES = ['tourist', 'business', 'student', 'work', 'transit', 'family', 'diplomatic'];
+
+const FIELD_TYPES = ['string', 'text', 'email', 'integer', 'number', 'boolean', 'date', 'select', 'multiselect'];
+
+// Application columns a form field may be copied to
+const MAPPABLE_COLUMNS = [
+  'firstName', 'lastName', 'purposeOfVisit', 'durationOfStay',
+  'intendedDateOfArrival', 'intendedDateOfDeparture', 'portOfEntry'
+];
+
+const DEFAULT_FORM_DEFINITION = {
+  sections: [
+    {
+      id: 'personal',
+      title: 'Personal details',
+      fields: [
+        { name: 'firstName', label: 'First name', type: 'string', required: true, maxLength: 100, column: 'firstName' },
+        { name: 'lastName', label: 'Last name', type: 'string', required: true, maxLength: 100, column: 'lastName' },
+        { name: 'dateOfBirth', label: 'Date of birth', type: 'date', required: true, past: true },
+        { name: 'nationality', label: 'Nationality', type: 'string', required: true, maxLength: 100 }
+      ]
+    },
+    {
+      id: 'passport',
+      title: 'Passport',
+      fields: [
+        { name: 'passportNumber', label: 'Passport number', type: 'string', required: true, maxLength: 20, pattern: '^[A-Za-z0-9]+$' },
+        { name: 'passportExpiryDate', label: 'Passport expiry date', type: 'date', required: true, future: true }
+      ]
+    },
+    {
+      id: 'travel',
+      title: 'Travel plans',
+      fields: [
+        { name: 'purposeOfTravel', label: 'Purpose of travel', type: 'text', required: true, maxLength: 500, column: 'purposeOfVisit' },
+        { name: 'intendedEntryDate', label: 'Intended entry date', type: 'date', required: true, future: true, column: 'intendedDateOfArrival' },
+        { name: 'intendedDurationOfStay', label: 'Intended length of stay (days)', type: 'integer', required: true, min: 1, max: 365, column: 'durationOfStay' },
+        {
+          name: 'accommodationType',
+          label: 'Accommodation',
+          type: 'select',
+          required: true,
+          options: [
+            { value: 'hotel', label: 'Hotel' },
+            { value: 'hostel', label: 'Hostel' },
+            { value: 'rented', label: 'Rented accommodation' },
+            { value: 'friend_relative', label: 'Staying with friends or relatives' },
+            { value: 'own_property', label: 'Own property' },
+            { value: 'other', label: 'Other' }
+          ]
+        },
+        { name: 'hasPreviousVisa', label: 'Have you held a visa for this destination before?', type: 'boolean', required: true }
+      ]
+    },
+    {
+      id: 'previous_visa',
+      title: 'Previous visa',
+      condition: { field: 'hasPreviousVisa', equals: true },
+      fields: [
+        { name: 'previousVisaDetails', label: 'Previous visa details', type: 'text', required: true, maxLength: 500 }
+      ]
+    }
+  ]
+};
+
+module.exports = {
+  VISA_TYPES,
+  FIELD_TYPES,
+  MAPPABLE_COLUMNS,
+  DEFAULT_FORM_DEFINITION
+};
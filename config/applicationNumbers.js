@@ -0,0 +1,27 @@
+// Application numbers, e.g. ARJ-2026-DXB-000123-K
+//
+// The format is a template: {PREFIX}, {YYYY} (year of creation), {CENTER} (processing center
+// code), {SEQ} (the center's counter for that year, zero-padded) and {CHECK} (a check
+// character over every letter and digit before it, so typos are caught when a number is
+// read back). {SEQ} and {CHECK} are required.
+//
+// PROCESSING_CENTERS lists the centers as CODE:Name pairs separated by commas.
+
+const parseCenters = (value) => Object.fromEntries(
+  value
+    .split(',')
+    .map(entry => entry.split(':').map(part => part.trim()))
+    .filter(([code]) => code)
+    .map(([code, name]) => [code.toUpperCase(), name || code.toUpperCase()])
+);
+
+const processingCenters = parseCenters(process.env.PROCESSING_CENTERS || 'DXB:Dubai,AUH:Abu Dhabi,SHJ:Sharjah');
+
+module.exports = {
+  prefix: (process.env.APPLICATION_NUMBER_PREFIX || 'ARJ').toUpperCase(),
+  format: process.env.APPLICATION_NUMBER_FORMAT || '{PREFIX}-{YYYY}-{CENTER}-{SEQ}-{CHECK}',
+  sequenceDigits: parseInt(process.env.APPLICATION_NUMBER_DIGITS) || 6,
+  processingCenters,
+  // Used when an application has no (known) processing center yet
+  defaultCenter: (process.env.DEFAULT_PROCESSING_CENTER || Object.keys(processingCenters)[0]).toUpperCase()
+};
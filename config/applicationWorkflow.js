@@ -0,0 +1,64 @@
+// The application lifecycle: every status an application can be in and the moves allowed
+// between them. services/applicationStateMachine.js enforces it; the Application model
+// takes its status enum from here.
+//
+// A transition can be made by anyone holding one of its permissions, or by the applicant
+// when "owner" is set. Guards are named checks implemented in the state machine service.
+
+const APPLICATION_STATUSES = {
+  draft: { label: 'Draft', description: 'Application is being prepared' },
+  submitted: { label: 'Submitted', description: 'Application submitted for review' },
+  under_review: { label: 'Under Review', description: 'Application is being reviewed' },
+  documents_required: { label: 'Documents Required', description: 'Additional documents are required' },
+  cost_provided: { label: 'Cost Provided', description: 'Processing cost has been provided' },
+  payment_pending: { label: 'Payment Pending', description: 'Payment is pending' },
+  payment_completed: { label: 'Payment Completed', description: 'Payment received' },
+  biometrics_scheduled: { label: 'Biometrics Scheduled', description: 'Biometrics appointment scheduled' },
+  biometrics_completed: { label: 'Biometrics Completed', description: 'Biometrics submitted' },
+  embassy_submitted: { label: 'Embassy Submitted', description: 'Application submitted to embassy' },
+  processing: { label: 'Processing', description: 'Application is being processed by embassy' },
+  approved: { label: 'Approved', description: 'Visa application approved' },
+  rejected: { label: 'Rejected', description: 'Visa application rejected', terminal: true },
+  issued: { label: 'Issued', description: 'Visa has been issued' },
+  completed: { label: 'Completed', description: 'Visa processing completed', terminal: true },
+  cancelled: { label: 'Cancelled', description: 'Application was cancelled', terminal: true }
+};
+
+const INITIAL_STATUS = 'draft';
+
+// Statuses an application can still be cancelled from
+const CANCELLABLE_STATUSES = [
+  'draft', 'submitted', 'under_review', 'documents_required', 'cost_provided', 'payment_pending',
+  'payment_completed', 'biometrics_scheduled', 'biometrics_completed', 'embassy_submitted', 'processing'
+];
+
+const APPLICATION_TRANSITIONS = [
+  { action: 'submit', from: ['draft'], to: 'submitted', owner: true, guards: ['formComplete', 'requiredDocumentsUploaded'] },
+  { action: 'start_review', from: ['submitted', 'documents_required'], to: 'under_review', permissions: ['applications.decide'] },
+  { action: 'request_documents', from: ['submitted', 'under_review', 'biometrics_completed'], to: 'documents_required', permissions: ['applications.decide'] },
+  { action: 'provide_cost', from: ['submitted', 'under_review'], to: 'cost_provided', permissions: ['applications.cost_estimation'], guards: ['costDetailsSet'] },
+  { action: 'start_payment', from: ['cost_provided'], to: 'payment_pending', owner: true, permissions: ['payments.update_status'] },
+  { action: 'confirm_payment', from: ['cost_provided', 'payment_pending'], to: 'payment_completed', permissions: ['payments.update_status'], guards: ['paymentCompleted'] },
+  { action: 'schedule_biometrics', from: ['under_review', 'payment_completed'], to: 'biometrics_scheduled', permissions: ['biometrics.manage'], guards: ['biometricAppointmentScheduled'] },
+  { action: 'complete_biometrics', from: ['biometrics_scheduled'], to: 'biometrics_completed', permissions: ['biometrics.manage'], guards: ['biometricsCompleted'] },
+  { action: 'cancel_biometrics', from: ['biometrics_scheduled'], to: 'documents_required', permissions: ['biometrics.manage'] },
+  { action: 'submit_to_embassy', from: ['biometrics_completed'], to: 'embassy_submitted', permissions: ['applications.decide'] },
+  { action: 'start_processing', from: ['embassy_submitted'], to: 'processing', permissions: ['applications.decide'] },
+  { action: 'approve', from: ['biometrics_completed', 'embassy_submitted', 'processing'], to: 'approved', permissions: ['applications.decide'], guards: ['biometricsCompleted'] },
+  {
+    action: 'reject',
+    from: ['submitted', 'under_review', 'documents_required', 'biometrics_completed', 'embassy_submitted', 'processing'],
+    to: 'rejected',
+    permissions: ['applications.decide'],
+    guards: ['rejectionReasonGiven']
+  },
+  { action: 'issue', from: ['approved'], to: 'issued', permissions: ['applications.decide'] },
+  { action: 'complete', from: ['approved', 'issued'], to: 'completed', permissions: ['applications.decide'] },
+  { action: 'cancel', from: CANCELLABLE_STATUSES, to: 'cancelled', owner: true, permissions: ['applications.cancel_any'] }
+];
+
+module.exports = {
+  APPLICATION_STATUSES,
+  APPLICATION_TRANSITIONS,
+  INITIAL_STATUS
+};
@@ -0,0 +1,79 @@
+// Documents an application must have before it can be submitted, by visa type and
+// destination. GET /api/applications/:id/readiness lists what is still missing and the
+// "requiredDocumentsUploaded" guard of the submit transition enforces it.
+//
+// A requirement:
+//   { key, label, documentTypes, visaTypes?, destinations? }
+//
+// documentTypes are Document model types; any one of them satisfies the requirement.
+// visaTypes and destinations narrow the applications it applies to; left out it applies
+// to every application. Destinations are compared without case.
+//
+// A document counts while it is pending or approved and has not expired; rejected
+// documents have to be uploaded again.
+
+const DOCUMENT_REQUIREMENTS = [
+  {
+    key: 'passport',
+    label: 'Passport (scan of the data page)',
+    documentTypes: ['passport', 'passport_copy']
+  },
+  {
+    key: 'photo',
+    label: 'Passport-style photo',
+    documentTypes: ['passport_photo', 'photo']
+  },
+  {
+    key: 'proof_of_funds',
+    label: 'Recent bank statement',
+    documentTypes: ['bank_statement'],
+    visaTypes: ['tourist', 'student', 'family']
+  },
+  {
+    key: 'travel_plans',
+    label: 'Travel itinerary, flight or hotel booking',
+    documentTypes: ['travel_itinerary', 'flight_itinerary', 'hotel_booking'],
+    visaTypes: ['tourist', 'business']
+  },
+  {
+    key: 'onward_travel',
+    label: 'Onward flight booking',
+    documentTypes: ['flight_itinerary'],
+    visaTypes: ['transit']
+  },
+  {
+    key: 'invitation',
+    label: 'Invitation letter from the host company',
+    documentTypes: ['invitation_letter'],
+    visaTypes: ['business']
+  },
+  {
+    key: 'employment',
+    label: 'Employment letter or job offer',
+    documentTypes: ['employment_letter'],
+    visaTypes: ['work']
+  },
+  {
+    key: 'admission',
+    label: 'Letter of admission or educational certificate',
+    documentTypes: ['educational_certificate'],
+    visaTypes: ['student']
+  },
+  {
+    key: 'relationship',
+    label: 'Birth or marriage certificate showing the family relationship',
+    documentTypes: ['birth_certificate', 'marriage_certificate'],
+    visaTypes: ['family']
+  },
+  {
+    key: 'travel_insurance',
+    label: 'Travel insurance',
+    documentTypes: ['travel_insurance', 'insurance_policy'],
+    visaTypes: ['tourist', 'business', 'family'],
+    destinations: ['Schengen Area', 'France', 'Germany', 'Italy', 'Spain', 'Netherlands']
+  }
+];
+
+module.exports = {
+  DOCUMENT_REQUIREMENTS
+};
@@ -0,0 +1,78 @@
+// Eligibility pre-check rules. Applicants run POST /api/applications/eligibility-check
+// before starting an application; every active rule that applies to their trip is checked.
+// Rules live in the "eligibility_rules" table and are edited through
+// /api/admin/eligibility-rules; the defaults below seed it.
+//
+// A rule:
+//   { name, ruleType, severity, params, message?, visaType?, destinationCountry?, nationalities? }
+//
+// severity is what a broken rule reports: "fail" (the application would be refused) or
+// "warning" (the applicant should know, but may go ahead).
+// visaType, destinationCountry and nationalities narrow the trips a rule applies to;
+// left empty the rule applies to every trip.
+// message replaces the generated explanation when the rule is broken.
+
+const RULE_SEVERITIES = ['fail', 'warning'];
+
+// Rule types and the params each one takes
+const RULE_TYPES = {
+  passport_validity: {
+    description: 'The passport must stay valid for a number of months after departure',
+    params: { monthsAfterDeparture: { type: 'integer', min: 0, max: 60 } }
+  },
+  max_stay: {
+    description: 'The stay may not be longer than a number of days',
+    params: { maxDays: { type: 'integer', min: 1, max: 3650 } }
+  },
+  min_notice: {
+    description: 'The application should be made a number of days before arrival',
+    params: { daysBeforeArrival: { type: 'integer', min: 1, max: 365 } }
+  },
+  visa_type_restriction: {
+    description: 'Only the listed visa types are open to the trips the rule applies to (e.g. transit only for some nationalities)',
+    params: { allowedVisaTypes: { type: 'visaTypes' } }
+  }
+};
+
+const DEFAULT_ELIGIBILITY_RULES = [
+  {
+    name: 'Passport valid for six months after departure',
+    ruleType: 'passport_validity',
+    severity: 'fail',
+    params: { monthsAfterDeparture: 6 }
+  },
+  {
+    name: 'Tourist stays of up to 90 days',
+    ruleType: 'max_stay',
+    severity: 'fail',
+    visaType: 'tourist',
+    params: { maxDays: 90 }
+  },
+  {
+    name: 'Business stays of up to 90 days',
+    ruleType: 'max_stay',
+    severity: 'fail',
+    visaType: 'business',
+    params: { maxDays: 90 }
+  },
+  {
+    name: 'Transit stays of up to 96 hours',
+    ruleType: 'max_stay',
+    severity: 'fail',
+    visaType: 'transit',
+    params: { maxDays: 4 },
+    message: 'A transit visa covers a stay of at most 96 hours; apply for a tourist visa for a longer stay'
+  },
+  {
+    name: 'Apply at least 15 days before arrival',
+    ruleType: 'min_notice',
+    severity: 'warning',
+    params: { daysBeforeArrival: 15 }
+  }
+];
+
+module.exports = {
+  RULE_SEVERITIES,
+  RULE_TYPES,
+  DEFAULT_ELIGIBILITY_RULES
+};
@@ -0,0 +1,56 @@
+// OpenID Connect providers offered as "Sign in with ..." alongside email and password.
+//
+// OIDC_PROVIDERS is a comma-separated list of provider names. Each provider is configured with
+// OIDC_<NAME>_ISSUER, OIDC_<NAME>_CLIENT_ID and OIDC_<NAME>_CLIENT_SECRET, plus the optional
+// OIDC_<NAME>_DISPLAY_NAME and OIDC_<NAME>_SCOPES. Endpoints are read from the issuer's
+// /.well-known/openid-configuration document.
+
+const getApiBaseUrl = () => process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+const providers = {};
+
+(process.env.OIDC_PROVIDERS || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean)
+  .forEach(name => {
+    const key = name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+    const issuer = process.env[`OIDC_${key}_ISSUER`];
+    const clientId = process.env[`OIDC_${key}_CLIENT_ID`];
+
+    if (!issuer || !clientId) {
+      console.warn(`⚠️ [OIDC] Provider "${name}" is missing OIDC_${key}_ISSUER or OIDC_${key}_CLIENT_ID and was skipped`);
+      return;
+    }
+
+    providers[name] = {
+      displayName: process.env[`OIDC_${key}_DISPLAY_NAME`] || name,
+      issuer: issuer.replace(/\/$/, ''),
+      clientId,
+      clientSecret: process.env[`OIDC_${key}_CLIENT_SECRET`] || '',
+      scopes: process.env[`OIDC_${key}_SCOPES`] || 'openid email profile'
+    };
+  });
+
+// Local mock identity provider (routes/mockIdp.js) for development and automated tests.
+// Never available in production.
+const mockEnabled = process.env.NODE_ENV !== 'production' && process.env.OIDC_MOCK_ENABLED === 'true';
+
+if (mockEnabled) {
+  providers.mock = {
+    displayName: 'Mock Identity Provider',
+    issuer: `${getApiBaseUrl()}/api/mock-idp`,
+    clientId: 'arraji-mock-client',
+    clientSecret: 'arraji-mock-secret',
+    scopes: 'openid email profile'
+  };
+}
+
+module.exports = {
+  providers,
+  mockEnabled,
+  // How long the user has to finish signing in at the provider
+  stateTtl: process.env.OIDC_STATE_EXPIRE || '10m',
+  getApiBaseUrl,
+  getRedirectUri: (providerName) => `${getApiBaseUrl()}/api/auth/oidc/${providerName}/callback`
+};
@@ -0,0 +1,114 @@
+// Named permissions checked by requirePermission() and the default roles that bundle them.
+// Roles live in the "roles" table and can be edited by admins; these defaults seed it
+// and are used as a fallback when a role row has not been created yet.
+
+const PERMISSIONS = {
+  'admin.dashboard': 'View the admin dashboard, reports and statistics',
+  'users.read': 'View any user account',
+  'users.manage': 'Update, activate, deactivate and unlock user accounts, reset passwords and revoke sessions',
+  'users.delete': 'Delete user accounts',
+  'users.impersonate': 'Act as another user (read-only) for support',
+  'users.impersonate_write': 'Perform changes while acting as another user',
+  'roles.manage': 'Create roles and change which permissions they grant',
+  'applications.read_all': 'View every application',
+  'applications.update_any': 'Edit applications after they have been submitted',
+  'applications.decide': 'Change application status, including approval and rejection',
+  'applications.assign': 'Assign applications to officers',
+  'applications.cancel_any': 'Cancel applications belonging to other users',
+  'applications.notes': 'Add processing notes to applications',
+  'applications.notes_manage': 'Edit or delete case notes written by other officers',
+  'forms.manage': 'Publish and retire application form schemas',
+  'eligibility.manage': 'Create, edit and remove eligibility pre-check rules',
+  'applications.cost_estimation': 'Send cost estimations to applicants',
+  'documents.read_all': 'View every uploaded document',
+  'documents.review': 'Approve or reject documents',
+  'documents.delete_any': 'Delete documents belonging to other users',
+  'payments.read_all': 'View every payment and payment statistics',
+  'payments.update_status': 'Change payment status',
+  'payments.refund': 'Refund payments',
+  'biometrics.read_all': 'View every biometric appointment and statistics',
+  'biometrics.manage': 'Schedule, reschedule and update biometric appointments',
+  'passports.manage': 'Track passports and update courier details',
+  'notifications.broadcast': 'Send broadcast notifications',
+  'notifications.manage': 'Delete notifications belonging to other users',
+  'settings.manage': 'View and change system settings',
+  'api_keys.manage': 'Issue, rotate and revoke partner API keys'
+};
+
+// Scopes an API key can carry. A request made with a key must match one of its
+// scopes by HTTP method and path prefix, on top of the owning account's own access.
+const API_KEY_SCOPES = {
+  'applications:read': {
+    description: 'Read applications',
+    methods: ['GET'],
+    paths: ['/api/applications']
+  },
+  'applications:write': {
+    description: 'Create, update and submit applications',
+    methods: ['POST', 'PUT', 'PATCH'],
+    paths: ['/api/applications']
+  },
+  'documents:read': {
+    description: 'Read uploaded documents',
+    methods: ['GET'],
+    paths: ['/api/documents']
+  },
+  'documents:write': {
+    description: 'Upload documents',
+    methods: ['POST'],
+    paths: ['/api/documents']
+  },
+  'payments:read': {
+    description: 'Read payments',
+    methods: ['GET'],
+    paths: ['/api/payments']
+  },
+  'biometrics:read': {
+    description: 'Read biometric appointments and locations',
+    methods: ['GET'],
+    paths: ['/api/biometrics']
+  },
+  'notifications:read': {
+    description: 'Read notifications',
+    methods: ['GET'],
+    paths: ['/api/notifications']
+  }
+};
+
+const DEFAULT_ROLES = {
+  admin: {
+    description: 'Full access to every feature',
+    // "*" grants every permission, including ones added later
+    permissions: ['*']
+  },
+  officer: {
+    description: 'Processes applications, documents, payments and appointments',
+    permissions: [
+      'admin.dashboard',
+      'users.read',
+      'applications.read_all',
+      'applications.update_any',
+      'applications.decide',
+      'applications.assign',
+      'applications.notes',
+      'applications.cost_estimation',
+      'documents.read_all',
+      'documents.review',
+      'payments.read_all',
+      'payments.update_status',
+      'biometrics.read_all',
+      'biometrics.manage',
+      'passports.manage'
+    ]
+  },
+  user: {
+    description: 'Applicant - can only work with their own records',
+    permissions: []
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  API_KEY_SCOPES
+};
@@ -0,0 +1,79 @@
+// Security-related settings, overridable through environment variables
+
+module.exports = {
+  tokens: {
+    // Lifetime of the JWT access token sent with every request
+    accessTokenTtl: process.env.JWT_ACCESS_EXPIRE || '15m',
+    // Lifetime of a refresh token; each refresh rotates it and starts a new period
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+  },
+  sessions: {
+    // Minimum gap between "last seen" writes for the same session
+    lastSeenUpdateIntervalSeconds: parseInt(process.env.SESSION_LAST_SEEN_INTERVAL_SECONDS) || 60
+  },
+  lockout: {
+    // Failed password or 2FA attempts before the account is locked
+    maxFailedAttempts: parseInt(process.env.LOCKOUT_MAX_FAILED_ATTEMPTS) || 5,
+    // First lockout duration; it doubles with every further lockout in a row
+    baseLockMinutes: parseInt(process.env.LOCKOUT_BASE_MINUTES) || 15,
+    maxLockMinutes: parseInt(process.env.LOCKOUT_MAX_MINUTES) || 24 * 60
+  },
+  passwordPolicy: {
+    // Defaults for the password policy; admins can override them at runtime
+    // through /api/admin/system/password-policy (stored in system_settings)
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+    requireUppercase: true,
+    requireLowercase: true,
+    requireNumber: true,
+    requireSymbol: false,
+    // New passwords may not match the current one or the previous N - 1
+    historyCount: 5,
+    // Reject passwords found in config/common-passwords.txt
+    blockCommonPasswords: true,
+    // Staff must change their password after this many days (0 = never)
+    maxAgeDays: 90,
+    maxAgeRoles: ['admin', 'officer']
+  },
+  passwordReset: {
+    // How long a password reset link stays valid
+    tokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 30
+  },
+  twoFactor: {
+    // Issuer name shown in authenticator apps
+    issuer: process.env.TWO_FACTOR_ISSUER || 'ArRaji',
+    // Roles that must enroll in 2FA before using privileged routes
+    enforcedRoles: (process.env.TWO_FACTOR_ENFORCED_ROLES || 'admin,officer')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean),
+    // How long the second login step may take
+    challengeTtl: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m',
+    backupCodeCount: 10
+  },
+  loginAlerts: {
+    // How long the "this wasn't me" link in a new-device email stays valid
+    revokeLinkTtl: process.env.LOGIN_ALERT_LINK_EXPIRE || '7d'
+  },
+  impersonation: {
+    // Lifetime of an "act as user" token; it cannot be refreshed
+    tokenTtl: process.env.IMPERSONATION_TOKEN_EXPIRE || '30m'
+  },
+  invitations: {
+    // How long a staff invitation link stays valid
+    tokenTtlHours: parseInt(process.env.INVITATION_TOKEN_TTL_HOURS) || 72
+  },
+  dataExport: {
+    // How long a personal data archive can be downloaded once it is ready
+    downloadTtlHours: parseInt(process.env.DATA_EXPORT_TTL_HOURS) || 72
+  },
+  retention: {
+    // Payments are kept (minimised) this long after an account is erased
+    financialRecordYears: parseInt(process.env.FINANCIAL_RECORD_RETENTION_YEARS) || 7
+  },
+  emailVerification: {
+    // How long an email verification link stays valid
+    tokenTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_HOURS) || 48,
+    // Applicants must verify their email before submitting an application (set to 'false' to disable)
+    requiredForSubmission: process.env.REQUIRE_EMAIL_VERIFICATION_FOR_SUBMISSION !== 'false'
+  }
+};
@@ -1,6 +1,75 @@
 const jwt = require('jsonwebtoken');
+const { validate: isUuid } = require('uuid');
 const { User } = require('../models');
 const { AppError } = require('./errorHandler');
+const securityConfig = require('../config/security');
+const { isSessionActive, touchSession } = require('../services/tokenService');
+const { isTwoFactorRequired } = require('../services/twoFactorService');
+const { getRolePermissions, grantsPermission } = require('../services/permissionService');
+const { authenticateApiKey, isRequestInScope } = require('../services/apiKeyService');
+const { isImpersonatedRequestAllowed } = require('../services/impersonationService');
+const { isPasswordExpired } = require('../services/passwordPolicyService');
+const { auditLogger } = require('./logger');
+
+// Single-purpose tokens (login alert links, 2FA challenges, OIDC state) are signed with the
+// same secret and may carry id/sid claims; they must never be accepted as access tokens
+const isAccessToken = (decoded) => !!decoded && typeof decoded === 'object' && decoded.purpose === undefined;
+
+// Authenticate a partner integration through the X-API-Key header
+const protectWithApiKey = async (req, res, next, rawKey) => {
+  const apiKey = await authenticateApiKey(rawKey, req.ip);
+
+  if (!apiKey) {
+    return next(new AppError('Invalid or revoked API key', 401));
+  }
+
+  if (apiKey.user.isActive === false) {
+    return next(new AppError('User account is deactivated', 401));
+  }
+
+  const path = req.originalUrl.split('?')[0];
+  if (!isRequestInScope(apiKey.scopes, req.method, path)) {
+    return next(new AppError('API key does not have the scope required for this request', 403));
+  }
+
+  // Every call made with a key is recorded under the key's identity (once, even if protect runs twice)
+  if (!req.apiKey) {
+    res.on('finish', () => {
+      auditLogger.apiKeyRequest(apiKey.id, apiKey.organization, apiKey.userId, req.method, req.originalUrl, res.statusCode, req.ip);
+    });
+  }
+
+  req.user = apiKey.user;
+  req.apiKey = apiKey;
+  req.permissions = await getRolePermissions(apiKey.user.role);
+
+  next();
+};
+
+// Requests made with an impersonation token: audit every one, block what is not allowed
+const checkImpersonation = async (req, res, decoded) => {
+  const { by: impersonatorId } = decoded.imp;
+
+  if (!req.impersonatorId) {
+    res.on('finish', () => {
+      auditLogger.impersonatedRequest(impersonatorId, decoded.id, req.method, req.originalUrl, res.statusCode, req.ip);
+    });
+  }
+  req.impersonatorId = impersonatorId;
+  res.set('X-Impersonated-By', impersonatorId);
+
+  const impersonator = await User.findByPk(impersonatorId, { attributes: ['id', 'isActive'] });
+  if (!impersonator || impersonator.isActive === false) {
+    return new AppError('Impersonation is no longer valid', 401);
+  }
+
+  const path = req.originalUrl.split('?')[0];
+  if (!isImpersonatedRequestAllowed(decoded.imp, req.method, path)) {
+    return new AppError('This action is not available while impersonating a user', 403);
+  }
+
+  return null;
+};
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -20,6 +89,11 @@ const protect = async (req, res, next) => {
       tokenSource = 'cookie';
     }
 
+    // Partner integrations authenticate with an API key instead of a JWT
+    if (!token && req.headers['x-api-key']) {
+      return protectWithApiKey(req, res, next, req.headers['x-api-key']);
+    }
+
     // Make sure token exists
     if (!token) {
       return next(new AppError('Not authorized to access this route', 401));
@@ -29,6 +103,10 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      if (!isAccessToken(decoded)) {
+        return next(new AppError('Invalid token', 401));
+      }
+
       // Get user from token
       const user = await User.findByPk(decoded.id, {
         attributes: { exclude: ['password'] }
@@ -44,7 +122,28 @@ const protect = async (req, res, next) => {
         return next(new AppError('User account is deactivated', 401));
       }
 
+      // Reject tokens issued before the password was last changed or reset
+      if (user.changedPasswordAfter(decoded.iat)) {
+        return next(new AppError('Password was changed recently. Please log in again', 401));
+      }
+
+      // Every access token belongs to a session that can be revoked server-side
+      if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+        return next(new AppError('Session has been revoked. Please log in again', 401));
+      }
+
+      if (decoded.imp) {
+        const impersonationError = await checkImpersonation(req, res, decoded);
+        if (impersonationError) {
+          return next(impersonationError);
+        }
+      }
+
+      await touchSession(decoded.sid, req.ip);
+
       req.user = user;
+      req.sessionId = decoded.sid;
+      req.permissions = await getRolePermissions(user.role);
       next();
     } catch (err) {
       if (err.name === 'TokenExpiredError') {
@@ -61,35 +160,91 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Grant access to specific roles
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return next(new AppError('User not authenticated', 401));
-    }
+// Check a permission for the authenticated request (see config/permissions.js)
+const hasPermission = (req, permission) => {
+  return !!req.user && grantsPermission(req.permissions, permission);
+};
+
+// Compare owner ids as strings - they are UUIDs
+const isOwner = (record, user, ownerField = 'userId') => {
+  return !!record && !!user && record[ownerField] !== null && record[ownerField] !== undefined
+    && String(record[ownerField]) === String(user.id);
+};
+
+// The owner of a record, or anyone holding the given permission, may access it
+const canAccessResource = (req, record, permission, ownerField = 'userId') => {
+  return isOwner(record, req.user, ownerField) || (!!permission && hasPermission(req, permission));
+};
+
+// Require every listed permission
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return next(new AppError('User not authenticated', 401));
+      }
 
-    if (!roles.includes(req.user.role)) {
-      return next(new AppError(`User role ${req.user.role} is not authorized to access this route`, 403));
+      const missing = permissions.filter(permission => !hasPermission(req, permission));
+      if (missing.length > 0) {
+        return next(new AppError(`Missing permission: ${missing.join(', ')}`, 403));
+      }
+
+      // Staff must enroll in two-factor authentication before using privileged routes
+      if (isTwoFactorRequired(req.user) && !req.user.twoFactorEnabled) {
+        return next(new AppError('Two-factor authentication must be enabled for your role. Enroll under /api/users/settings/security', 403));
+      }
+
+      // ...and keep their password within the maximum age (API keys have no password to rotate)
+      if (!req.apiKey && await isPasswordExpired(req.user)) {
+        return next(new AppError('Your password has expired. Change it through /api/auth/change-password', 403));
+      }
+
+      next();
+    } catch (err) {
+      next(err);
     }
+  };
+};
 
-    next();
+// Load a record by its UUID route parameter and allow its owner or holders of `permission`.
+// The loaded record is available to the handler as req.resource.
+const authorizeOwnership = ({ model, param = 'id', ownerField = 'userId', permission } = {}) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return next(new AppError('User not authenticated', 401));
+      }
+
+      const id = req.params[param];
+      if (!isUuid(String(id))) {
+        return next(new AppError(`Invalid ${model.name} ID`, 400));
+      }
+
+      const record = await model.findByPk(id);
+      if (!record) {
+        return next(new AppError(`${model.name} not found`, 404));
+      }
+
+      if (!canAccessResource(req, record, permission, ownerField)) {
+        return next(new AppError('Not authorized to access this resource', 403));
+      }
+
+      req.resource = record;
+      next();
+    } catch (err) {
+      next(err);
+    }
   };
 };
 
-// Check if user owns resource or is admin
-const authorizeOwnerOrAdmin = (req, res, next) => {
+// Require a verified email address (can be turned off through configuration)
+const requireVerifiedEmail = (req, res, next) => {
   if (!req.user) {
     return next(new AppError('User not authenticated', 401));
   }
 
-  // Admin can access everything
-  if (req.user.role === 'admin') {
-    return next();
-  }
-
-  // Check if user owns the resource (assuming req.params.id is the resource owner)
-  if (req.user.id !== parseInt(req.params.id || req.params.userId || req.body.userId)) {
-    return next(new AppError('Not authorized to access this resource', 403));
+  if (securityConfig.emailVerification.requiredForSubmission && !req.user.isVerified) {
+    return next(new AppError('Please verify your email address before continuing', 403));
   }
 
   next();
@@ -107,6 +262,9 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (!isAccessToken(decoded)) {
+          return next();
+        }
         const user = await User.findByPk(decoded.id, {
           attributes: { exclude: ['password'] }
         });
@@ -114,8 +272,11 @@ const optionalAuth = async (req, res, next) => {
         if (user) {
           // Handle undefined isActive as active (consistent with protect middleware)
           const isUserActive = user.isActive === undefined || user.isActive === true;
-          if (isUserActive) {
+          // Impersonation tokens only work on routes that go through protect
+          if (isUserActive && !decoded.imp && !user.changedPasswordAfter(decoded.iat) && decoded.sid && await isSessionActive(decoded.sid)) {
             req.user = user;
+            req.sessionId = decoded.sid;
+            req.permissions = await getRolePermissions(user.role);
           }
         }
       } catch (err) {
@@ -131,8 +292,12 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   protect,
-  authorize,
-  authorizeOwnerOrAdmin,
+  requirePermission,
+  hasPermission,
+  isOwner,
+  canAccessResource,
+  authorizeOwnership,
+  requireVerifiedEmail,
   optionalAuth
 };
 
@@ -115,6 +115,27 @@ const securityLogger = {
     logger.log(level, message);
   },
 
+  accountLocked: (userId, ip, lockedUntil, lockoutCount) => {
+    logger.warn(`Account locked - User ID: ${userId}, IP: ${ip}, Locked Until: ${lockedUntil.toISOString()}, Lockout Count: ${lockoutCount}`);
+  },
+
+  accountUnlocked: (userId, unlockedBy) => {
+    logger.info(`Account unlocked - User ID: ${userId}, Unlocked By: ${unlockedBy}`);
+  },
+
+  oidcLogin: (userId, provider, ip, success, detail) => {
+    const level = success ? 'info' : 'warn';
+    logger.log(level, `OIDC login - User ID: ${userId || 'unknown'}, Provider: ${provider}, IP: ${ip}, Success: ${success}, Detail: ${detail}`);
+  },
+
+  identityLinked: (userId, provider, ip) => {
+    logger.info(`Identity provider linked - User ID: ${userId}, Provider: ${provider}, IP: ${ip}`);
+  },
+
+  identityUnlinked: (userId, provider, ip) => {
+    logger.info(`Identity provider unlinked - User ID: ${userId}, Provider: ${provider}, IP: ${ip}`);
+  },
+
   passwordChange: (userId, ip) => {
     logger.info(`Password changed - User ID: ${userId}, IP: ${ip}`);
   },
@@ -133,6 +154,63 @@ const securityLogger = {
 
   sensitiveDataAccess: (userId, dataType, ip) => {
     logger.warn(`Sensitive data access - User ID: ${userId}, Data Type: ${dataType}, IP: ${ip}`);
+  },
+
+  passwordResetRequested: (email, ip, accountFound) => {
+    logger.info(`Password reset requested - Email: ${email}, IP: ${ip}, Account Found: ${accountFound}`);
+  },
+
+  passwordResetFailed: (ip, reason) => {
+    logger.warn(`Password reset failed - IP: ${ip}, Reason: ${reason}`);
+  },
+
+  passwordResetCompleted: (userId, ip) => {
+    logger.info(`Password reset completed - User ID: ${userId}, IP: ${ip}`);
+  },
+
+  emailVerificationSent: (userId, ip) => {
+    logger.info(`Email verification sent - User ID: ${userId}, IP: ${ip}`);
+  },
+
+  emailVerified: (userId, ip) => {
+    logger.info(`Email verified - User ID: ${userId}, IP: ${ip}`);
+  },
+
+  refreshTokenReuse: (userId, sessionId, ip) => {
+    logger.warn(`Refresh token reuse detected, session revoked - User ID: ${userId}, Session ID: ${sessionId}, IP: ${ip}`);
+  },
+
+  logout: (userId, sessionId, ip) => {
+    logger.info(`Logout - User ID: ${userId}, Session ID: ${sessionId}, IP: ${ip}`);
+  },
+
+  sessionRevoked: (userId, sessionId, ip) => {
+    logger.info(`Session revoked - User ID: ${userId}, Session ID: ${sessionId}, IP: ${ip}`);
+  },
+
+  twoFactorChallenge: (userId, ip, success, method) => {
+    const level = success ? 'info' : 'warn';
+    logger.log(level, `Two-factor challenge - User ID: ${userId}, IP: ${ip}, Method: ${method}, Success: ${success}`);
+  },
+
+  twoFactorEnabled: (userId, ip) => {
+    logger.info(`Two-factor authentication enabled - User ID: ${userId}, IP: ${ip}`);
+  },
+
+  twoFactorDisabled: (userId, ip) => {
+    logger.warn(`Two-factor authentication disabled - User ID: ${userId}, IP: ${ip}`);
+  },
+
+  invitationAccepted: (userId, invitationId, role, ip) => {
+    logger.info(`Invitation accepted - User ID: ${userId}, Invitation ID: ${invitationId}, Role: ${role}, IP: ${ip}`);
+  },
+
+  newDeviceLogin: (userId, ip, userAgent) => {
+    logger.warn(`Login from new device - User ID: ${userId}, IP: ${ip}, User Agent: ${userAgent || 'unknown'}`);
+  },
+
+  loginAlertRevoked: (userId, sessionId, ip) => {
+    logger.warn(`Session revoked from login alert ("this wasn't me") - User ID: ${userId}, Session ID: ${sessionId}, IP: ${ip}`);
   }
 };
 
@@ -156,6 +234,18 @@ const auditLogger = {
 
   documentReviewed: (documentId, status, reviewedBy) => {
     logger.info(`AUDIT: Document Reviewed - Document ID: ${documentId}, Status: ${status}, Reviewed By: ${reviewedBy}`);
+  },
+
+  impersonationStarted: (adminId, targetUserId, reason, allowWrites, expiresAt) => {
+    logger.warn(`AUDIT: Impersonation Started - Admin ID: ${adminId}, Target User: ${targetUserId}, Reason: ${reason}, Writes Allowed: ${allowWrites}, Expires At: ${expiresAt.toISOString()}`);
+  },
+
+  impersonatedRequest: (adminId, targetUserId, method, url, statusCode, ip) => {
+    logger.info(`AUDIT: Impersonated Request - Admin ID: ${adminId}, Target User: ${targetUserId}, Request: ${method} ${url}, Status: ${statusCode}, IP: ${ip}`);
+  },
+
+  apiKeyRequest: (apiKeyId, organization, userId, method, url, statusCode, ip) => {
+    logger.info(`AUDIT: API Key Request - API Key ID: ${apiKeyId}, Organization: ${organization}, Acting As User: ${userId}, Request: ${method} ${url}, Status: ${statusCode}, IP: ${ip}`);
   }
 };
 
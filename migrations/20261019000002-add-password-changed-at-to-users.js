@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Tokens issued before this timestamp are rejected by the protect middleware
+    await queryInterface.addColumn('users', 'password_changed_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'password_changed_at');
+  }
+};
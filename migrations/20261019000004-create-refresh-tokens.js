@@ -0,0 +1,72 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('refresh_tokens', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      family_id: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revoked_reason: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      replaced_by_token_id: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      created_by_ip: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.STRING(512),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('refresh_tokens', ['user_id']);
+    await queryInterface.addIndex('refresh_tokens', ['family_id']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('refresh_tokens');
+  }
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'two_factor_enabled', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+    // Encrypted at rest (see utils/encryption.js)
+    await queryInterface.addColumn('users', 'two_factor_secret', {
+      type: Sequelize.TEXT,
+      allowNull: true
+    });
+    // SHA-256 hashes of the unused backup codes
+    await queryInterface.addColumn('users', 'two_factor_backup_codes', {
+      type: Sequelize.JSONB,
+      allowNull: true
+    });
+    // Last accepted TOTP time step, so a code cannot be replayed
+    await queryInterface.addColumn('users', 'two_factor_last_used_step', {
+      type: Sequelize.BIGINT,
+      allowNull: true
+    });
+    await queryInterface.addColumn('users', 'two_factor_enabled_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'two_factor_enabled_at');
+    await queryInterface.removeColumn('users', 'two_factor_last_used_step');
+    await queryInterface.removeColumn('users', 'two_factor_backup_codes');
+    await queryInterface.removeColumn('users', 'two_factor_secret');
+    await queryInterface.removeColumn('users', 'two_factor_enabled');
+  }
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('user_sessions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      user_agent: {
+        type: Sequelize.STRING(512),
+        allowNull: true
+      },
+      ip_address: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      last_seen_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revoked_reason: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('user_sessions', ['user_id']);
+    await queryInterface.addIndex('user_sessions', ['user_id', 'revoked_at']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('user_sessions');
+  }
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('users', 'failed_login_attempts', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+    await queryInterface.addColumn('users', 'last_failed_login_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('users', 'locked_until', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await queryInterface.addColumn('users', 'lockout_count', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    // Notification type used to tell users their account was locked
+    await queryInterface.sequelize.query(`
+      ALTER TYPE enum_notifications_type ADD VALUE IF NOT EXISTS 'security_alert';
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'lockout_count');
+    await queryInterface.removeColumn('users', 'locked_until');
+    await queryInterface.removeColumn('users', 'last_failed_login_at');
+    await queryInterface.removeColumn('users', 'failed_login_attempts');
+
+    // PostgreSQL cannot drop a single enum value; 'security_alert' rows are moved
+    // to system_notification so the value is simply unused
+    await queryInterface.sequelize.query(`
+      UPDATE notifications SET type = 'system_notification' WHERE type = 'security_alert';
+    `);
+  }
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_ROLES } = require('../config/permissions');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('roles', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      permissions: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      is_system: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    const now = new Date();
+    await queryInterface.bulkInsert('roles', Object.entries(DEFAULT_ROLES).map(([name, role]) => ({
+      id: uuidv4(),
+      name,
+      description: role.description,
+      permissions: JSON.stringify(role.permissions),
+      is_system: true,
+      created_at: now,
+      updated_at: now
+    })));
+
+    // users.role becomes a plain string so admins can create new roles
+    await queryInterface.sequelize.query('ALTER TABLE users ALTER COLUMN role DROP DEFAULT;');
+    await queryInterface.sequelize.query('ALTER TABLE users ALTER COLUMN role TYPE VARCHAR(50) USING role::text;');
+    await queryInterface.sequelize.query("ALTER TABLE users ALTER COLUMN role SET DEFAULT 'user';");
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_users_role;');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    // Users on custom roles fall back to the plain user role
+    await queryInterface.sequelize.query("UPDATE users SET role = 'user' WHERE role NOT IN ('user', 'admin', 'officer');");
+    await queryInterface.sequelize.query("CREATE TYPE enum_users_role AS ENUM ('user', 'admin', 'officer');");
+    await queryInterface.sequelize.query('ALTER TABLE users ALTER COLUMN role DROP DEFAULT;');
+    await queryInterface.sequelize.query('ALTER TABLE users ALTER COLUMN role TYPE enum_users_role USING role::enum_users_role;');
+    await queryInterface.sequelize.query("ALTER TABLE users ALTER COLUMN role SET DEFAULT 'user';");
+
+    await queryInterface.dropTable('roles');
+  }
+};
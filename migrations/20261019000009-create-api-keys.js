@@ -0,0 +1,90 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('api_keys', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      organization: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      key_prefix: {
+        type: Sequelize.STRING(16),
+        allowNull: false
+      },
+      key_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      scopes: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_used_ip: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      rotated_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('api_keys', ['user_id']);
+    await queryInterface.addIndex('api_keys', ['organization']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('api_keys');
+  }
+};
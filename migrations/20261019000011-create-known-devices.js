@@ -0,0 +1,62 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('known_devices', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      fingerprint: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      user_agent: {
+        type: Sequelize.STRING(512),
+        allowNull: true
+      },
+      last_ip_address: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      last_seen_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('known_devices', ['user_id', 'fingerprint'], { unique: true });
+
+    await queryInterface.addColumn('users', 'login_alerts_enabled', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'login_alerts_enabled');
+    await queryInterface.dropTable('known_devices');
+  }
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('system_settings', {
+      key: {
+        type: Sequelize.STRING(100),
+        primaryKey: true
+      },
+      value: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      updated_by: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.createTable('password_history', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      password_hash: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('password_history', ['user_id', 'created_at']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('password_history');
+    await queryInterface.dropTable('system_settings');
+  }
+};
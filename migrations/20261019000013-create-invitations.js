@@ -0,0 +1,89 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('invitations', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      role: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      processing_center: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      two_factor_secret: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      invited_by: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      accepted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      accepted_user_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      revoked_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      revoked_by: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('invitations', ['email']);
+
+    await queryInterface.addColumn('users', 'processing_center', {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'processing_center');
+    await queryInterface.dropTable('invitations');
+  }
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('data_exports', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'processing', 'ready', 'failed', 'expired'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      file_path: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      file_size: {
+        type: Sequelize.BIGINT,
+        allowNull: true
+      },
+      checksum: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      error_message: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      requested_ip: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      downloaded_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('data_exports', ['user_id', 'created_at']);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('data_exports');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_data_exports_status;');
+  }
+};
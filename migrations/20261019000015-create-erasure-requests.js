@@ -0,0 +1,93 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('erasure_requests', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'completed', 'rejected', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      requested_ip: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      reviewed_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      review_notes: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      completed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      summary: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('erasure_requests', ['user_id']);
+    await queryInterface.addIndex('erasure_requests', ['status']);
+
+    await queryInterface.addColumn('users', 'legal_hold', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+    await queryInterface.addColumn('users', 'legal_hold_reason', {
+      type: Sequelize.STRING(500),
+      allowNull: true
+    });
+    await queryInterface.addColumn('users', 'erased_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('users', 'erased_at');
+    await queryInterface.removeColumn('users', 'legal_hold_reason');
+    await queryInterface.removeColumn('users', 'legal_hold');
+    await queryInterface.dropTable('erasure_requests');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_erasure_requests_status;');
+  }
+};
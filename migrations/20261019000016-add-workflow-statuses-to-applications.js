@@ -0,0 +1,61 @@
+'use strict';
+
+// Statuses the routes already used but the enum never had, now part of the
+// application workflow (config/applicationWorkflow.js)
+const NEW_STATUSES = ['cost_provided', 'payment_pending', 'payment_completed', 'embassy_submitted', 'processing', 'cancelled'];
+
+const ORIGINAL_STATUSES = [
+  'draft',
+  'submitted',
+  'under_review',
+  'documents_required',
+  'biometrics_scheduled',
+  'biometrics_completed',
+  'approved',
+  'rejected',
+  'completed',
+  'issued'
+];
+
+// Closest original status for each new one, used when rolling back
+const ROLLBACK_MAPPING = {
+  cost_provided: 'under_review',
+  payment_pending: 'under_review',
+  payment_completed: 'under_review',
+  embassy_submitted: 'biometrics_completed',
+  processing: 'biometrics_completed',
+  cancelled: 'rejected'
+};
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    for (const status of NEW_STATUSES) {
+      await queryInterface.sequelize.query(`ALTER TYPE enum_applications_status ADD VALUE IF NOT EXISTS '${status}';`);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.sequelize.query('ALTER TABLE applications ALTER COLUMN status DROP DEFAULT;', { transaction });
+      await queryInterface.sequelize.query('ALTER TABLE applications ALTER COLUMN status TYPE TEXT;', { transaction });
+
+      for (const [status, replacement] of Object.entries(ROLLBACK_MAPPING)) {
+        await queryInterface.sequelize.query(
+          'UPDATE applications SET status = :replacement WHERE status = :status;',
+          { replacements: { status, replacement }, transaction }
+        );
+      }
+
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_applications_status;', { transaction });
+      await queryInterface.sequelize.query(
+        `CREATE TYPE enum_applications_status AS ENUM (${ORIGINAL_STATUSES.map(status => `'${status}'`).join(', ')});`,
+        { transaction }
+      );
+      await queryInterface.sequelize.query(
+        'ALTER TABLE applications ALTER COLUMN status TYPE enum_applications_status USING status::enum_applications_status;',
+        { transaction }
+      );
+      await queryInterface.sequelize.query("ALTER TABLE applications ALTER COLUMN status SET DEFAULT 'draft';", { transaction });
+    });
+  }
+};
@@ -0,0 +1,79 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('application_status_history', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      application_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'applications',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      from_status: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      to_status: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      action: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      changed_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      changed_by_role: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      reason: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      internal_note: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('application_status_history', ['application_id', 'created_at']);
+    await queryInterface.addIndex('application_status_history', ['to_status']);
+
+    // Earlier moves were never stored; start each existing timeline from the status it has now
+    await queryInterface.sequelize.query(`
+      INSERT INTO application_status_history (id, application_id, from_status, to_status, action, created_at, updated_at)
+      SELECT md5(random()::text || id::text)::uuid, id, NULL, status::text, 'imported', updated_at, updated_at
+      FROM applications;
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('application_status_history');
+  }
+};
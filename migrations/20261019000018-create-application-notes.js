@@ -0,0 +1,112 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('application_notes', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      application_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'applications',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      author_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      parent_id: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'application_notes',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      content: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      visibility: {
+        type: Sequelize.ENUM('internal', 'applicant'),
+        allowNull: false,
+        defaultValue: 'internal'
+      },
+      mentioned_user_ids: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      is_pinned: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      pinned_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      pinned_by: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      edit_history: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      edited_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      deleted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      deleted_by: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('application_notes', ['application_id', 'created_at']);
+    await queryInterface.addIndex('application_notes', ['parent_id']);
+
+    // Notification type used when an officer is mentioned in a note
+    await queryInterface.sequelize.query(`
+      ALTER TYPE enum_notifications_type ADD VALUE IF NOT EXISTS 'note_mention';
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('application_notes');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_application_notes_visibility;');
+
+    // PostgreSQL cannot drop a single enum value; 'note_mention' rows are moved
+    // to system_notification so the value is simply unused
+    await queryInterface.sequelize.query(`
+      UPDATE notifications SET type = 'system_notification' WHERE type = 'note_mention';
+    `);
+  }
+};
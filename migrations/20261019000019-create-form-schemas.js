@@ -0,0 +1,81 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('form_schemas', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      visa_type: {
+        type: Sequelize.ENUM('tourist', 'business', 'student', 'work', 'transit', 'family', 'diplomatic'),
+        allowNull: false
+      },
+      destination_country: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      title: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      definition: {
+        type: Sequelize.JSONB,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'retired'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      retired_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('form_schemas', ['visa_type', 'destination_country', 'status']);
+
+    await queryInterface.addColumn('applications', 'form_schema_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'form_schemas',
+        key: 'id'
+      }
+    });
+
+    await queryInterface.addColumn('applications', 'form_answers', {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('applications', 'form_answers');
+    await queryInterface.removeColumn('applications', 'form_schema_id');
+    await queryInterface.dropTable('form_schemas');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_form_schemas_visa_type;');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_form_schemas_status;');
+  }
+};
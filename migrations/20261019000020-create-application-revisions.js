@@ -0,0 +1,76 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('application_revisions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      application_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'applications',
+          key: 'id'
+        },
+        onDelete: 'CASCADE'
+      },
+      revision_number: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      action: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      answers: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      changed_fields: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      restored_from_revision: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('application_revisions', ['application_id', 'revision_number'], { unique: true });
+
+    // Start every existing application's history from the answers it has now
+    await queryInterface.sequelize.query(`
+      INSERT INTO application_revisions (id, application_id, revision_number, action, answers, changed_fields, created_at, updated_at)
+      SELECT md5(random()::text || id::text)::uuid, id, 1, 'imported', form_answers, '[]'::jsonb, updated_at, updated_at
+      FROM applications;
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('application_revisions');
+  }
+};
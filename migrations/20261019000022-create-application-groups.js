@@ -0,0 +1,105 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('application_groups', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      lead_user_id: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      lead_application_id: {
+        type: Sequelize.UUID,
+        allowNull: false
+      },
+      total_cost: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      },
+      cost_breakdown: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      payment_deadline: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      cost_provided_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('application_groups', ['lead_user_id']);
+
+    await queryInterface.addColumn('applications', 'application_group_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'application_groups',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('applications', 'group_relationship', {
+      type: Sequelize.STRING(30),
+      allowNull: true
+    });
+    await queryInterface.addIndex('applications', ['application_group_id']);
+
+    await queryInterface.addColumn('payments', 'application_group_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'application_groups',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('biometric_appointments', 'application_group_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'application_groups',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('biometric_appointments', 'application_group_id');
+    await queryInterface.removeColumn('payments', 'application_group_id');
+    await queryInterface.removeIndex('applications', ['application_group_id']);
+    await queryInterface.removeColumn('applications', 'group_relationship');
+    await queryInterface.removeColumn('applications', 'application_group_id');
+    await queryInterface.dropTable('application_groups');
+  }
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('applications', 'previous_application_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'applications',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+    await queryInterface.addColumn('applications', 'is_renewal', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+
+    await queryInterface.addColumn('documents', 'expires_at', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+    await queryInterface.addColumn('documents', 'source_document_id', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'documents',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('documents', 'source_document_id');
+    await queryInterface.removeColumn('documents', 'expires_at');
+    await queryInterface.removeColumn('applications', 'is_renewal');
+    await queryInterface.removeColumn('applications', 'previous_application_id');
+  }
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_ELIGIBILITY_RULES } = require('../config/eligibilityRules');
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('eligibility_rules', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: Sequelize.STRING(150),
+        allowNull: false
+      },
+      rule_type: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      severity: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'fail'
+      },
+      visa_type: {
+        type: Sequelize.ENUM('tourist', 'business', 'student', 'work', 'transit', 'family', 'diplomatic'),
+        allowNull: true
+      },
+      destination_country: {
+        type: Sequelize.STRING,
+        allowNull: true
+      },
+      nationalities: {
+        type: Sequelize.JSONB,
+        allowNull: true
+      },
+      params: {
+        type: Sequelize.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      message: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      updated_by: {
+        type: Sequelize.UUID,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW
+      }
+    });
+
+    await queryInterface.addIndex('eligibility_rules', ['is_active']);
+
+    const now = new Date();
+    await queryInterface.bulkInsert('eligibility_rules', DEFAULT_ELIGIBILITY_RULES.map(rule => ({
+      id: uuidv4(),
+      name: rule.name,
+      rule_type: rule.ruleType,
+      severity: rule.severity,
+      visa_type: rule.visaType || null,
+      destination_country: null,
+      nationalities: null,
+      params: JSON.stringify(rule.params),
+      message: rule.message || null,
+      is_active: true,
+      created_at: now,
+      updated_at: now
+    })));
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('eligibility_rules');
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS enum_eligibility_rules_visa_type;');
+  }
+};
@@ -0,0 +1,121 @@
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ApiKey extends Model {
+    static associate(models) {
+      // Requests made with the key act as this account, limited to the key's scopes
+      ApiKey.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+      ApiKey.belongsTo(models.User, { foreignKey: 'createdBy', as: 'createdByUser' });
+    }
+
+    isActive() {
+      return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+    }
+
+    // Never expose the key hash
+    toJSON() {
+      const values = { ...this.get() };
+      delete values.keyHash;
+      return values;
+    }
+  }
+
+  ApiKey.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    organization: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // First characters of the key, shown in listings so a key can be recognised
+    keyPrefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      field: 'key_prefix'
+    },
+    keyHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      field: 'key_hash'
+    },
+    // Scope names from config/permissions.js (API_KEY_SCOPES)
+    scopes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'last_used_at'
+    },
+    lastUsedIp: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'last_used_ip'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'expires_at'
+    },
+    rotatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'rotated_at'
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'revoked_at'
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'created_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'ApiKey',
+    tableName: 'api_keys',
+    timestamps: true,
+    underscored: true
+  });
+
+  return ApiKey;
+};
@@ -1,9 +1,10 @@
 'use strict';
 
 const { Model } = require('sequelize');
+const { APPLICATION_STATUSES, INITIAL_STATUS } = require('../config/applicationWorkflow');
 
-// Valid application statuses
-const VALID_STATUSES = ['draft', 'submitted', 'under_review', 'documents_required', 'biometrics_scheduled', 'biometrics_completed', 'approved', 'rejected', 'completed', 'issued'];
+// Valid application statuses - the workflow in config/applicationWorkflow.js is the source of truth
+const VALID_STATUSES = Object.keys(APPLICATION_STATUSES);
 
 module.exports = (sequelize, DataTypes) => {
   class Application extends Model {
@@ -13,6 +14,12 @@ module.exports = (sequelize, DataTypes) => {
       Application.hasMany(models.Payment, { foreignKey: 'applicationId', as: 'payments' });
       Application.hasMany(models.Document, { foreignKey: 'applicationId', as: 'documents' });
       Application.hasOne(models.BiometricAppointment, { foreignKey: 'applicationId', as: 'biometricAppointment' });
+      Application.hasMany(models.ApplicationStatusHistory, { foreignKey: 'applicationId', as: 'statusHistory' });
+      Application.hasMany(models.ApplicationNote, { foreignKey: 'applicationId', as: 'caseNotes' });
+      Application.belongsTo(models.FormSchema, { foreignKey: 'formSchemaId', as: 'formSchema' });
+      Application.hasMany(models.ApplicationRevision, { foreignKey: 'applicationId', as: 'revisions' });
+      Application.belongsTo(models.ApplicationGroup, { foreignKey: 'applicationGroupId', as: 'applicationGroup' });
+      Application.belongsTo(models.Application, { foreignKey: 'previousApplicationId', as: 'previousApplication' });
     }
 
     // Static method to get valid statuses
@@ -48,8 +55,8 @@ module.exports = (sequelize, DataTypes) => {
       field: 'application_number'
     },
     status: {
-      type: DataTypes.ENUM('draft', 'submitted', 'under_review', 'documents_required', 'biometrics_scheduled', 'biometrics_completed', 'approved', 'rejected', 'completed', 'issued'),
-      defaultValue: 'draft'
+      type: DataTypes.ENUM(...VALID_STATUSES),
+      defaultValue: INITIAL_STATUS
     },
     submissionDate: {
       type: DataTypes.DATEONLY,
@@ -220,6 +227,53 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       field: 'payment_due_date'
     },
+    // Form schema version the application was started with; its answers are validated against it
+    formSchemaId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'form_schema_id',
+      references: {
+        model: 'form_schemas',
+        key: 'id'
+      }
+    },
+    formAnswers: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      field: 'form_answers'
+    },
+    applicationGroupId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'application_group_id',
+      references: {
+        model: 'application_groups',
+        key: 'id'
+      }
+    },
+    // The member's relation to the lead applicant (lead, spouse, child...)
+    groupRelationship: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+      field: 'group_relationship'
+    },
+    // The application this one was cloned or renewed from
+    previousApplicationId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'previous_application_id',
+      references: {
+        model: 'applications',
+        key: 'id'
+      }
+    },
+    isRenewal: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'is_renewal'
+    },
     fullName: {
       type: DataTypes.VIRTUAL,
       get() {
@@ -249,7 +303,19 @@ module.exports = (sequelize, DataTypes) => {
     modelName: 'Application',
     tableName: 'applications',
     timestamps: true,
-    underscored: true
+    underscored: true,
+    hooks: {
+      // Every timeline and revision history starts with the application's creation
+      afterCreate: async (application, options) => {
+        await sequelize.models.ApplicationStatusHistory.create({
+          applicationId: application.id,
+          fromStatus: null,
+          toStatus: application.status,
+          action: 'create',
+          changedBy: application.userId
+        }, { transaction: options.transaction });
+      }
+    }
   });
 
   return Application;
@@ -0,0 +1,96 @@
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ApplicationGroup extends Model {
+    static associate(models) {
+      ApplicationGroup.belongsTo(models.User, { foreignKey: 'leadUserId', as: 'leadUser' });
+      ApplicationGroup.belongsTo(models.Application, { foreignKey: 'leadApplicationId', as: 'leadApplication', constraints: false });
+      ApplicationGroup.hasMany(models.Application, { foreignKey: 'applicationGroupId', as: 'members' });
+      ApplicationGroup.hasMany(models.Payment, { foreignKey: 'applicationGroupId', as: 'payments' });
+      ApplicationGroup.hasMany(models.BiometricAppointment, { foreignKey: 'applicationGroupId', as: 'biometricAppointments' });
+    }
+  }
+
+  // Applications of people travelling together (usually a family), filed by the lead
+  // applicant from their account. The group is quoted and paid for as one; its status is
+  // worked out from the members' (services/applicationGroupService.js).
+  ApplicationGroup.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    leadUserId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'lead_user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    leadApplicationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'lead_application_id'
+    },
+    // Combined quote; set when the cost estimation is sent for the whole group
+    totalCost: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      field: 'total_cost'
+    },
+    // Each member's share: [{ applicationId, processingFee, biometricsFee, serviceFee, courierFee, total }]
+    costBreakdown: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: 'cost_breakdown'
+    },
+    paymentDeadline: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'payment_deadline'
+    },
+    costProvidedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'cost_provided_at'
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'created_by'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'ApplicationGroup',
+    tableName: 'application_groups',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['lead_user_id']
+      }
+    ]
+  });
+
+  return ApplicationGroup;
+};
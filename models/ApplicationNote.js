@@ -0,0 +1,147 @@
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ApplicationNote extends Model {
+    static associate(models) {
+      ApplicationNote.belongsTo(models.Application, { foreignKey: 'applicationId', as: 'application' });
+      ApplicationNote.belongsTo(models.User, { foreignKey: 'authorId', as: 'author' });
+      ApplicationNote.belongsTo(models.ApplicationNote, { foreignKey: 'parentId', as: 'parent' });
+      ApplicationNote.hasMany(models.ApplicationNote, { foreignKey: 'parentId', as: 'replies' });
+    }
+
+    isDeleted() {
+      return !!this.deletedAt;
+    }
+
+    // Deleted notes stay in their thread as a placeholder without their content
+    toJSON() {
+      const values = { ...this.get() };
+      if (this.deletedAt) {
+        values.content = null;
+        values.editHistory = [];
+        values.mentionedUserIds = [];
+      }
+      return values;
+    }
+  }
+
+  ApplicationNote.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    applicationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'application_id',
+      references: {
+        model: 'applications',
+        key: 'id'
+      }
+    },
+    authorId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'author_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Set on replies; threads are one level deep
+    parentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'parent_id',
+      references: {
+        model: 'application_notes',
+        key: 'id'
+      }
+    },
+    content: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // "applicant" notes are also shown to the applicant
+    visibility: {
+      type: DataTypes.ENUM('internal', 'applicant'),
+      allowNull: false,
+      defaultValue: 'internal'
+    },
+    mentionedUserIds: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      field: 'mentioned_user_ids'
+    },
+    isPinned: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'is_pinned'
+    },
+    pinnedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'pinned_at'
+    },
+    pinnedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'pinned_by'
+    },
+    // Earlier versions, oldest first: [{ content, visibility, editedAt, editedBy }]
+    editHistory: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      field: 'edit_history'
+    },
+    editedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'edited_at'
+    },
+    deletedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'deleted_at'
+    },
+    deletedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'deleted_by'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'ApplicationNote',
+    tableName: 'application_notes',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['application_id', 'created_at']
+      },
+      {
+        fields: ['parent_id']
+      }
+    ]
+  });
+
+  return ApplicationNote;
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ApplicationNumberSequence extends Model {}
+
+  // Last number handed out per year and processing center. Rows are only ever advanced
+  // with a single atomic upsert (see services/applicationNumberService.js).
+  ApplicationNumberSequence.init({
+    year: {
+      type: DataTypes.INTEGER,
+      primaryKey: true
+    },
+    center: {
+      type: DataTypes.STRING(10),
+      primaryKey: true
+    },
+    lastValue: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'last_value'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'ApplicationNumberSequence',
+    tableName: 'application_number_sequences',
+    timestamps: true,
+    underscored: true
+  });
+
+  return ApplicationNumberSequence;
+};
@@ -0,0 +1,95 @@
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ApplicationRevision extends Model {
+    static associate(models) {
+      ApplicationRevision.belongsTo(models.Application, { foreignKey: 'applicationId', as: 'application' });
+      ApplicationRevision.belongsTo(models.User, { foreignKey: 'createdBy', as: 'author' });
+    }
+  }
+
+  // One row per saved change to an application's form answers. Each row holds the full
+  // answers after the change, so any revision can be restored or compared with another.
+  ApplicationRevision.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    applicationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'application_id',
+      references: {
+        model: 'applications',
+        key: 'id'
+      }
+    },
+    // 1, 2, 3... per application
+    revisionNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      field: 'revision_number'
+    },
+    // create, clone, renew, autosave, update, restore or imported
+    action: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    answers: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    // Names of the answers this revision changed
+    changedFields: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      field: 'changed_fields'
+    },
+    restoredFromRevision: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      field: 'restored_from_revision'
+    },
+    // Null for revisions recorded by the system
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'created_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'ApplicationRevision',
+    tableName: 'application_revisions',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['application_id', 'revision_number']
+      }
+    ]
+  });
+
+  return ApplicationRevision;
+};
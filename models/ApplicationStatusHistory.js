@@ -0,0 +1,99 @@
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ApplicationStatusHistory extends Model {
+    static associate(models) {
+      ApplicationStatusHistory.belongsTo(models.Application, { foreignKey: 'applicationId', as: 'application' });
+      ApplicationStatusHistory.belongsTo(models.User, { foreignKey: 'changedBy', as: 'actor' });
+    }
+  }
+
+  ApplicationStatusHistory.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    applicationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'application_id',
+      references: {
+        model: 'applications',
+        key: 'id'
+      }
+    },
+    // Null for the entry recording the application's creation
+    fromStatus: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      field: 'from_status'
+    },
+    toStatus: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      field: 'to_status'
+    },
+    // Workflow action that caused the change (e.g. "submit", "approve")
+    action: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    // Null when the system made the change
+    changedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'changed_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    changedByRole: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      field: 'changed_by_role'
+    },
+    // Shown to the applicant
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // Staff only
+    internalNote: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'internal_note'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'ApplicationStatusHistory',
+    tableName: 'application_status_history',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['application_id', 'created_at']
+      },
+      {
+        fields: ['to_status']
+      }
+    ]
+  });
+
+  return ApplicationStatusHistory;
+};
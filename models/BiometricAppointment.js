@@ -7,6 +7,7 @@ module.exports = (sequelize, DataTypes) => {
     static associate(models) {
       BiometricAppointment.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
       BiometricAppointment.belongsTo(models.Application, { foreignKey: 'applicationId', as: 'application' });
+      BiometricAppointment.belongsTo(models.ApplicationGroup, { foreignKey: 'applicationGroupId', as: 'applicationGroup' });
       BiometricAppointment.belongsTo(models.User, { foreignKey: 'scheduledBy', as: 'scheduledByUser' });
       BiometricAppointment.belongsTo(models.User, { foreignKey: 'completedBy', as: 'completedByUser' });
     }
@@ -36,6 +37,16 @@ BiometricAppointment.init({
         key: 'id'
       }
     },
+    // Set for appointments booked together for a group
+    applicationGroupId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'application_group_id',
+      references: {
+        model: 'application_groups',
+        key: 'id'
+      }
+    },
     appointmentDate: {
       type: DataTypes.DATEONLY,
       allowNull: false,
@@ -0,0 +1,111 @@
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class DataExport extends Model {
+    static associate(models) {
+      DataExport.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+    }
+
+    // A finished archive can be downloaded until its link expires
+    isDownloadable() {
+      return this.status === 'ready' && !!this.expiresAt && this.expiresAt > new Date();
+    }
+
+    // The archive location on disk stays server-side
+    toJSON() {
+      const values = { ...this.get() };
+      delete values.filePath;
+      values.downloadable = this.isDownloadable();
+      return values;
+    }
+  }
+
+  DataExport.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'processing', 'ready', 'failed', 'expired'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    filePath: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      field: 'file_path'
+    },
+    fileSize: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      field: 'file_size'
+    },
+    // SHA-256 of the archive, so the user can check the download
+    checksum: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    errorMessage: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      field: 'error_message'
+    },
+    requestedIp: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'requested_ip'
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'completed_at'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'expires_at'
+    },
+    downloadedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'downloaded_at'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'DataExport',
+    tableName: 'data_exports',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id', 'created_at']
+      }
+    ]
+  });
+
+  return DataExport;
+};
@@ -7,6 +7,7 @@ module.exports = (sequelize, DataTypes) => {
     static associate(models) {
       Document.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
       Document.belongsTo(models.Application, { foreignKey: 'applicationId', as: 'application' });
+      Document.belongsTo(models.Document, { foreignKey: 'sourceDocumentId', as: 'sourceDocument' });
     }
   }
 
@@ -78,6 +79,22 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       field: 'verification_notes'
     },
+    // Last day the document is valid (e.g. a passport's expiry date); null if it does not expire
+    expiresAt: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      field: 'expires_at'
+    },
+    // Set when the document was carried forward from an earlier application; both share the file
+    sourceDocumentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'source_document_id',
+      references: {
+        model: 'documents',
+        key: 'id'
+      }
+    },
     uploadedAt: {
       type: DataTypes.DATE,
       allowNull: false,
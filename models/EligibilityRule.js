@@ -0,0 +1,105 @@
+'use strict';
+
+const { Model } = require('sequelize');
+const { VISA_TYPES } = require('../config/applicationForms');
+const { RULE_SEVERITIES, RULE_TYPES } = require('../config/eligibilityRules');
+
+module.exports = (sequelize, DataTypes) => {
+  class EligibilityRule extends Model {
+    static associate(models) {
+      EligibilityRule.belongsTo(models.User, { foreignKey: 'updatedBy', as: 'updater', constraints: false });
+    }
+  }
+
+  // One rule of the eligibility pre-check (config/eligibilityRules.js)
+  EligibilityRule.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+    ruleType: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      field: 'rule_type',
+      validate: {
+        isIn: [Object.keys(RULE_TYPES)]
+      }
+    },
+    severity: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'fail',
+      validate: {
+        isIn: [RULE_SEVERITIES]
+      }
+    },
+    // Null applies to every visa type
+    visaType: {
+      type: DataTypes.ENUM(...VISA_TYPES),
+      allowNull: true,
+      field: 'visa_type'
+    },
+    // Null applies to every destination
+    destinationCountry: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'destination_country'
+    },
+    // Nationalities the rule applies to; null applies to everyone
+    nationalities: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    params: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    // Shown instead of the generated explanation when the rule is broken
+    message: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: 'is_active'
+    },
+    updatedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'updated_by'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'EligibilityRule',
+    tableName: 'eligibility_rules',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['is_active']
+      }
+    ]
+  });
+
+  return EligibilityRule;
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ErasureRequest extends Model {
+    static associate(models) {
+      ErasureRequest.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+      ErasureRequest.belongsTo(models.User, { foreignKey: 'reviewedBy', as: 'reviewer' });
+    }
+  }
+
+  ErasureRequest.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'completed', 'rejected', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    // Optional explanation from the user; cleared once the erasure is carried out
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    requestedIp: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'requested_ip'
+    },
+    reviewedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'reviewed_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    reviewedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'reviewed_at'
+    },
+    reviewNotes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'review_notes'
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'completed_at'
+    },
+    // What was erased and what was kept (and why) - the record of compliance
+    summary: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'ErasureRequest',
+    tableName: 'erasure_requests',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['status']
+      }
+    ]
+  });
+
+  return ErasureRequest;
+};
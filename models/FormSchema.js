@@ -0,0 +1,87 @@
+'use strict';
+
+const { Model } = require('sequelize');
+const { VISA_TYPES } = require('../config/applicationForms');
+
+module.exports = (sequelize, DataTypes) => {
+  class FormSchema extends Model {
+    static associate(models) {
+      FormSchema.belongsTo(models.User, { foreignKey: 'createdBy', as: 'creator' });
+      FormSchema.hasMany(models.Application, { foreignKey: 'formSchemaId', as: 'applications' });
+    }
+  }
+
+  // Published versions are never edited: a change is published as the next version,
+  // so applications keep validating against the version they were started with
+  FormSchema.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    visaType: {
+      type: DataTypes.ENUM(...VISA_TYPES),
+      allowNull: false,
+      field: 'visa_type'
+    },
+    // Null applies to every destination without a schema of its own
+    destinationCountry: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'destination_country'
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    definition: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    // Only one version per visa type and destination is active; new applications use it
+    status: {
+      type: DataTypes.ENUM('active', 'retired'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'created_by'
+    },
+    retiredAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'retired_at'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'FormSchema',
+    tableName: 'form_schemas',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['visa_type', 'destination_country', 'status']
+      }
+    ]
+  });
+
+  return FormSchema;
+};
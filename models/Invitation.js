@@ -0,0 +1,133 @@
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Invitation extends Model {
+    static associate(models) {
+      Invitation.belongsTo(models.User, { foreignKey: 'invitedBy', as: 'inviter' });
+      Invitation.belongsTo(models.User, { foreignKey: 'acceptedUserId', as: 'acceptedUser' });
+    }
+
+    // An invitation can be accepted once, and only before it expires or is revoked
+    isUsable() {
+      return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+    }
+
+    getStatus() {
+      if (this.acceptedAt) return 'accepted';
+      if (this.revokedAt) return 'revoked';
+      if (this.expiresAt <= new Date()) return 'expired';
+      return 'pending';
+    }
+
+    // The token hash and the pending 2FA secret never leave the server
+    toJSON() {
+      const values = { ...this.get() };
+      delete values.tokenHash;
+      delete values.twoFactorSecret;
+      values.status = this.getStatus();
+      return values;
+    }
+  }
+
+  Invitation.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isEmail: true
+      }
+    },
+    // Role given to the account created on acceptance
+    role: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    processingCenter: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      field: 'processing_center'
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      field: 'token_hash'
+    },
+    // Encrypted TOTP secret handed out during acceptance, before the account exists
+    twoFactorSecret: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'two_factor_secret'
+    },
+    invitedBy: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'invited_by',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'expires_at'
+    },
+    acceptedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'accepted_at'
+    },
+    acceptedUserId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'accepted_user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'revoked_at'
+    },
+    revokedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'revoked_by'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'Invitation',
+    tableName: 'invitations',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['email']
+      }
+    ]
+  });
+
+  return Invitation;
+};
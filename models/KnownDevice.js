@@ -0,0 +1,75 @@
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class KnownDevice extends Model {
+    static associate(models) {
+      KnownDevice.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+    }
+  }
+
+  KnownDevice.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // SHA-256 of the user agent plus the network prefix of the IP address
+    fingerprint: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    userAgent: {
+      type: DataTypes.STRING(512),
+      allowNull: true,
+      field: 'user_agent'
+    },
+    lastIpAddress: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'last_ip_address'
+    },
+    lastSeenAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'last_seen_at'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'KnownDevice',
+    tableName: 'known_devices',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['user_id', 'fingerprint']
+      }
+    ]
+  });
+
+  return KnownDevice;
+};
@@ -47,7 +47,9 @@ Notification.init({
         'document_rejected',
         'payment_completed',
         'general_announcement',
-        'system_notification'
+        'system_notification',
+        'security_alert',
+        'note_mention'
       ),
       allowNull: false,
       defaultValue: 'system_notification'
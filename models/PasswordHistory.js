@@ -0,0 +1,59 @@
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class PasswordHistory extends Model {
+    static associate(models) {
+      PasswordHistory.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+    }
+  }
+
+  PasswordHistory.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // bcrypt hash of a password the user has replaced
+    passwordHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'password_hash'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'PasswordHistory',
+    tableName: 'password_history',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['user_id', 'created_at']
+      }
+    ]
+  });
+
+  return PasswordHistory;
+};
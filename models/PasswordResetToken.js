@@ -0,0 +1,74 @@
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class PasswordResetToken extends Model {
+    static associate(models) {
+      PasswordResetToken.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+    }
+
+    // A token can be used once, and only before it expires
+    isUsable() {
+      return !this.usedAt && this.expiresAt > new Date();
+    }
+  }
+
+  PasswordResetToken.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      field: 'token_hash'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'expires_at'
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'used_at'
+    },
+    requestedIp: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'requested_ip'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'PasswordResetToken',
+    tableName: 'password_reset_tokens',
+    timestamps: true,
+    underscored: true
+  });
+
+  return PasswordResetToken;
+};
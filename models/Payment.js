@@ -7,6 +7,7 @@ module.exports = (sequelize, DataTypes) => {
     static associate(models) {
       Payment.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
       Payment.belongsTo(models.Application, { foreignKey: 'applicationId', as: 'application' });
+      Payment.belongsTo(models.ApplicationGroup, { foreignKey: 'applicationGroupId', as: 'applicationGroup' });
     }
   }
 
@@ -34,6 +35,16 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    // Set for a combined payment covering every application of a group
+    applicationGroupId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'application_group_id',
+      references: {
+        model: 'application_groups',
+        key: 'id'
+      }
+    },
     amount: {
       type: DataTypes.DECIMAL(10, 2),
       allowNull: false
@@ -0,0 +1,99 @@
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RefreshToken extends Model {
+    static associate(models) {
+      RefreshToken.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+      RefreshToken.belongsTo(RefreshToken, { foreignKey: 'replacedByTokenId', as: 'replacedByToken' });
+    }
+
+    isExpired() {
+      return this.expiresAt <= new Date();
+    }
+
+    isActive() {
+      return !this.revokedAt && !this.isExpired();
+    }
+  }
+
+  RefreshToken.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // All tokens created by rotating the same login share a family (one per session)
+    familyId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'family_id'
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      field: 'token_hash'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'expires_at'
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'revoked_at'
+    },
+    revokedReason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'revoked_reason'
+    },
+    replacedByTokenId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'replaced_by_token_id'
+    },
+    createdByIp: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'created_by_ip'
+    },
+    userAgent: {
+      type: DataTypes.STRING(512),
+      allowNull: true,
+      field: 'user_agent'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'RefreshToken',
+    tableName: 'refresh_tokens',
+    timestamps: true,
+    underscored: true
+  });
+
+  return RefreshToken;
+};
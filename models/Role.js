@@ -0,0 +1,65 @@
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Role extends Model {
+    static associate(models) {
+      Role.hasMany(models.User, { foreignKey: 'role', sourceKey: 'name', as: 'users', constraints: false });
+    }
+  }
+
+  Role.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    // Stored on users.role
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: /^[a-z][a-z0-9_]*$/
+      }
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Permission names from config/permissions.js; "*" and "applications.*" style wildcards are allowed
+    permissions: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    // Built-in roles (admin, officer, user) cannot be deleted
+    isSystem: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'is_system'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'Role',
+    tableName: 'roles',
+    timestamps: true,
+    underscored: true
+  });
+
+  return Role;
+};
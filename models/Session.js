@@ -0,0 +1,86 @@
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Session extends Model {
+    static associate(models) {
+      Session.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+      Session.hasMany(models.RefreshToken, { foreignKey: 'familyId', sourceKey: 'id', as: 'refreshTokens', constraints: false });
+    }
+
+    isActive() {
+      return !this.revokedAt && this.expiresAt > new Date();
+    }
+  }
+
+  Session.init({
+    // Same value as the refresh token familyId and the "sid" claim in access tokens
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    userAgent: {
+      type: DataTypes.STRING(512),
+      allowNull: true,
+      field: 'user_agent'
+    },
+    ipAddress: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'ip_address'
+    },
+    lastSeenAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'last_seen_at'
+    },
+    // Pushed forward every time the refresh token is rotated
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'expires_at'
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'revoked_at'
+    },
+    revokedReason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'revoked_reason'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'Session',
+    tableName: 'user_sessions',
+    timestamps: true,
+    underscored: true
+  });
+
+  return Session;
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class SystemSetting extends Model {
+    static associate(models) {
+      SystemSetting.belongsTo(models.User, { foreignKey: 'updatedBy', as: 'updater', constraints: false });
+    }
+  }
+
+  SystemSetting.init({
+    // e.g. "password_policy"
+    key: {
+      type: DataTypes.STRING(100),
+      primaryKey: true
+    },
+    value: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    updatedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'updated_by'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'SystemSetting',
+    tableName: 'system_settings',
+    timestamps: true,
+    underscored: true
+  });
+
+  return SystemSetting;
+};
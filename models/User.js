@@ -3,6 +3,28 @@
 const bcrypt = require('bcryptjs');
 const { Model } = require('sequelize');
 
+// Replaced password hashes kept per user for the reuse check (policy allows up to this many)
+const MAX_PASSWORD_HISTORY = 24;
+
+// Columns that must never be sent to clients
+const SENSITIVE_FIELDS = ['password', 'twoFactorSecret', 'twoFactorBackupCodes', 'twoFactorLastUsedStep'];
+
+// Store a replaced password hash and drop entries beyond the retention cap
+const recordPasswordHistory = async (PasswordHistory, userId, passwordHash, transaction) => {
+  await PasswordHistory.create({ userId, passwordHash }, { transaction });
+
+  const stale = await PasswordHistory.findAll({
+    where: { userId },
+    attributes: ['id'],
+    order: [['createdAt', 'DESC']],
+    offset: MAX_PASSWORD_HISTORY,
+    transaction
+  });
+  if (stale.length > 0) {
+    await PasswordHistory.destroy({ where: { id: stale.map(entry => entry.id) }, transaction });
+  }
+};
+
 module.exports = (sequelize, DataTypes) => {
   class User extends Model {
     static associate(models) {
@@ -11,12 +33,44 @@ module.exports = (sequelize, DataTypes) => {
       User.hasMany(models.Payment, { foreignKey: 'userId', as: 'payments' });
       User.hasMany(models.Notification, { foreignKey: 'userId', as: 'notifications' });
       User.hasOne(models.BiometricAppointment, { foreignKey: 'userId', as: 'biometricAppointment' });
+      User.hasMany(models.PasswordResetToken, { foreignKey: 'userId', as: 'passwordResetTokens' });
+      User.hasMany(models.EmailVerificationToken, { foreignKey: 'userId', as: 'emailVerificationTokens' });
+      User.hasMany(models.RefreshToken, { foreignKey: 'userId', as: 'refreshTokens' });
+      User.hasMany(models.Session, { foreignKey: 'userId', as: 'sessions' });
+      User.hasMany(models.ApiKey, { foreignKey: 'userId', as: 'apiKeys' });
+      User.hasMany(models.UserIdentity, { foreignKey: 'userId', as: 'identities' });
+      User.hasMany(models.KnownDevice, { foreignKey: 'userId', as: 'knownDevices' });
+      User.hasMany(models.PasswordHistory, { foreignKey: 'userId', as: 'passwordHistory' });
+      User.hasMany(models.Invitation, { foreignKey: 'invitedBy', as: 'sentInvitations' });
+      User.hasMany(models.DataExport, { foreignKey: 'userId', as: 'dataExports' });
+      User.hasMany(models.ErasureRequest, { foreignKey: 'userId', as: 'erasureRequests' });
     }
 
     // Instance method to validate password
     async validatePassword(password) {
       return bcrypt.compare(password, this.password);
     }
+
+    // Never expose credentials or 2FA secrets in API responses
+    toJSON() {
+      const values = { ...this.get() };
+      SENSITIVE_FIELDS.forEach(field => delete values[field]);
+      return values;
+    }
+
+    toSafeObject() {
+      return this.toJSON();
+    }
+
+    // Check whether a JWT (iat in seconds) was issued before the last password change
+    changedPasswordAfter(tokenIssuedAt) {
+      if (!this.passwordChangedAt || !tokenIssuedAt) return false;
+      return tokenIssuedAt < Math.floor(this.passwordChangedAt.getTime() / 1000);
+    }
+
+    isLocked() {
+      return !!this.lockedUntil && this.lockedUntil > new Date();
+    }
   }
 
   User.init({
@@ -47,10 +101,18 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       field: 'last_name'
     },
+    // Name of a row in the roles table, which defines the permissions
     role: {
-      type: DataTypes.ENUM('user', 'admin', 'officer'),
+      type: DataTypes.STRING(50),
+      allowNull: false,
       defaultValue: 'user'
     },
+    // Staff: the processing center whose applications they work on
+    processingCenter: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      field: 'processing_center'
+    },
     phoneNumber: {
       type: DataTypes.STRING,
       allowNull: true,
@@ -90,6 +152,93 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       field: 'last_login'
     },
+    passwordChangedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'password_changed_at'
+    },
+    // Two-factor authentication (TOTP)
+    twoFactorEnabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'two_factor_enabled'
+    },
+    twoFactorSecret: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'two_factor_secret'
+    },
+    twoFactorBackupCodes: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: 'two_factor_backup_codes'
+    },
+    twoFactorLastUsedStep: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      field: 'two_factor_last_used_step'
+    },
+    twoFactorEnabledAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'two_factor_enabled_at'
+    },
+    // False for accounts created through an identity provider until the user sets a password
+    passwordLoginEnabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: 'password_login_enabled'
+    },
+    // Blocks erasure while records must be preserved (litigation, investigation, ...)
+    legalHold: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      field: 'legal_hold'
+    },
+    legalHoldReason: {
+      type: DataTypes.STRING(500),
+      allowNull: true,
+      field: 'legal_hold_reason'
+    },
+    // Set once the account's personal data has been erased and the row pseudonymised
+    erasedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'erased_at'
+    },
+    // Notify the user (in-app and by email) about logins from unfamiliar devices
+    loginAlertsEnabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      field: 'login_alerts_enabled'
+    },
+    failedLoginAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'failed_login_attempts'
+    },
+    lastFailedLoginAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'last_failed_login_at'
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'locked_until'
+    },
+    // Number of lockouts in a row; each one lasts longer than the previous
+    lockoutCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'lockout_count'
+    },
     createdAt: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -117,13 +266,22 @@ module.exports = (sequelize, DataTypes) => {
             const salt = await bcrypt.genSalt(12);
             user.password = await bcrypt.hash(user.password, salt);
           }
+          user.passwordChangedAt = new Date();
         }
       },
-      beforeUpdate: async (user) => {
+      beforeUpdate: async (user, options) => {
         if (user.changed('password')) {
+          // Keep the replaced hash so the password policy can refuse reusing it
+          const previousHash = user.previous('password');
+          if (previousHash) {
+            await recordPasswordHistory(sequelize.models.PasswordHistory, user.id, previousHash, options.transaction);
+          }
+
           // Hash the new password
           const salt = await bcrypt.genSalt(12);
           user.password = await bcrypt.hash(user.password, salt);
+          // Invalidates every token issued before this change
+          user.passwordChangedAt = new Date();
         } else if (user.password && !user.password.startsWith('$2')) {
           // Additional safety: rehash if somehow a plain password is still there
           const salt = await bcrypt.genSalt(12);
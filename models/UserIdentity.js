@@ -0,0 +1,78 @@
+'use strict';
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class UserIdentity extends Model {
+    static associate(models) {
+      UserIdentity.belongsTo(models.User, { foreignKey: 'userId', as: 'user' });
+    }
+  }
+
+  UserIdentity.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'user_id',
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    // Provider name from config/oidc.js
+    provider: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    // The provider's stable "sub" claim for this person
+    subject: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // Email reported by the provider when the identity was linked
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    lastLoginAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'last_login_at'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'created_at'
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      field: 'updated_at'
+    }
+  }, {
+    sequelize,
+    modelName: 'UserIdentity',
+    tableName: 'user_identities',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['provider', 'subject']
+      },
+      {
+        unique: true,
+        fields: ['user_id', 'provider']
+      }
+    ]
+  });
+
+  return UserIdentity;
+};
@@ -18,6 +18,26 @@ const Payment = require('./Payment')(sequelize, Sequelize.DataTypes);
 const Document = require('./Document')(sequelize, Sequelize.DataTypes);
 const BiometricAppointment = require('./BiometricAppointment')(sequelize, Sequelize.DataTypes);
 const Notification = require('./Notification')(sequelize, Sequelize.DataTypes);
+const PasswordResetToken = require('./PasswordResetToken')(sequelize, Sequelize.DataTypes);
+const EmailVerificationToken = require('./EmailVerificationToken')(sequelize, Sequelize.DataTypes);
+const RefreshToken = require('./RefreshToken')(sequelize, Sequelize.DataTypes);
+const Session = require('./Session')(sequelize, Sequelize.DataTypes);
+const Role = require('./Role')(sequelize, Sequelize.DataTypes);
+const ApiKey = require('./ApiKey')(sequelize, Sequelize.DataTypes);
+const UserIdentity = require('./UserIdentity')(sequelize, Sequelize.DataTypes);
+const KnownDevice = require('./KnownDevice')(sequelize, Sequelize.DataTypes);
+const SystemSetting = require('./SystemSetting')(sequelize, Sequelize.DataTypes);
+const PasswordHistory = require('./PasswordHistory')(sequelize, Sequelize.DataTypes);
+const Invitation = require('./Invitation')(sequelize, Sequelize.DataTypes);
+const DataExport = require('./DataExport')(sequelize, Sequelize.DataTypes);
+const ErasureRequest = require('./ErasureRequest')(sequelize, Sequelize.DataTypes);
+const ApplicationStatusHistory = require('./ApplicationStatusHistory')(sequelize, Sequelize.DataTypes);
+const ApplicationNote = require('./ApplicationNote')(sequelize, Sequelize.DataTypes);
+const FormSchema = require('./FormSchema')(sequelize, Sequelize.DataTypes);
+const ApplicationRevision = require('./ApplicationRevision')(sequelize, Sequelize.DataTypes);
+const ApplicationNumberSequence = require('./ApplicationNumberSequence')(sequelize, Sequelize.DataTypes);
+const ApplicationGroup = require('./ApplicationGroup')(sequelize, Sequelize.DataTypes);
+const EligibilityRule = require('./EligibilityRule')(sequelize, Sequelize.DataTypes);
 
 // Add models to db object
 db.User = User;
@@ -26,6 +46,26 @@ db.Payment = Payment;
 db.Document = Document;
 db.BiometricAppointment = BiometricAppointment;
 db.Notification = Notification;
+db.PasswordResetToken = PasswordResetToken;
+db.EmailVerificationToken = EmailVerificationToken;
+db.RefreshToken = RefreshToken;
+db.Session = Session;
+db.Role = Role;
+db.ApiKey = ApiKey;
+db.UserIdentity = UserIdentity;
+db.KnownDevice = KnownDevice;
+db.SystemSetting = SystemSetting;
+db.PasswordHistory = PasswordHistory;
+db.Invitation = Invitation;
+db.DataExport = DataExport;
+db.ErasureRequest = ErasureRequest;
+db.ApplicationStatusHistory = ApplicationStatusHistory;
+db.ApplicationNote = ApplicationNote;
+db.FormSchema = FormSchema;
+db.ApplicationRevision = ApplicationRevision;
+db.ApplicationNumberSequence = ApplicationNumberSequence;
+db.ApplicationGroup = ApplicationGroup;
+db.EligibilityRule = EligibilityRule;
 
 // Set up associations
 Object.keys(db).forEach(modelName => {
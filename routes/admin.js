@@ -1,22 +1,43 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
 const { body, param, query, validationResult } = require('express-validator');
 const { Op } = require('sequelize');
-const { User, Application, Payment, Document, Notification, BiometricAppointment } = require('../models');
-const { protect, authorize } = require('../middleware/auth');
+const { User, Application, ApplicationNote, Payment, Document, Notification, BiometricAppointment, Role, ApiKey, Invitation, ErasureRequest, FormSchema, EligibilityRule } = require('../models');
+const { protect, requirePermission, hasPermission } = require('../middleware/auth');
 const { AppError } = require('../middleware/errorHandler');
-const { logger, auditLogger } = require('../middleware/logger');
+const { logger, auditLogger, securityLogger } = require('../middleware/logger');
+const { revokeAllUserTokens } = require('../services/tokenService');
+const { unlockAccount } = require('../services/lockoutService');
+const { isKnownPermission, clearRoleCache, getRolePermissions, grantsPermission } = require('../services/permissionService');
+const { createApiKey, rotateApiKey } = require('../services/apiKeyService');
+const { signImpersonationToken } = require('../services/impersonationService');
+const { checkPassword, toValidationErrors, getPasswordPolicy, updatePasswordPolicy } = require('../services/passwordPolicyService');
+const { createInvitation } = require('../services/invitationService');
+const { approveErasureRequest, rejectErasureRequest } = require('../services/erasureService');
+const { transitionApplication, getAvailableTransitions, getStatusGraph } = require('../services/applicationStateMachine');
+const { getStaffTimeline, getProcessingTimeStats } = require('../services/applicationTimelineService');
+const { createNote, updateNote, setNotePinned, deleteNote, listNoteThreads } = require('../services/applicationNoteService');
+const { publishFormSchema, retireFormSchema } = require('../services/formSchemaService');
+const { findApplicationByNumber } = require('../services/applicationNumberService');
+const { loadGroup, listGroups, serializeGroup, sendGroupCostEstimation } = require('../services/applicationGroupService');
+const { createEligibilityRule, updateEligibilityRule } = require('../services/eligibilityService');
+const { PERMISSIONS, API_KEY_SCOPES } = require('../config/permissions');
+const { VISA_TYPES } = require('../config/applicationForms');
+const { RULE_SEVERITIES, RULE_TYPES } = require('../config/eligibilityRules');
 
 const router = express.Router();
 
-// All admin routes require authentication and admin or officer role
+// All admin routes require authentication; each route checks its own permission
 router.use(protect);
-router.use(authorize('admin', 'officer'));
+
+// Permissions in the list that the caller does not hold - nobody can hand out what they lack
+const getMissingGrants = (req, permissions) => {
+  return (permissions || []).filter(permission => !grantsPermission(req.permissions, permission));
+};
 
 // @route   GET /api/admin/dashboard
 // @desc    Get admin dashboard statistics
 // @access  Private/Admin
-router.get('/dashboard', async (req, res, next) => {
+router.get('/dashboard', requirePermission('admin.dashboard'), async (req, res, next) => {
   try {
     // Get various statistics
     const [
@@ -70,65 +91,1076 @@ router.get('/dashboard', async (req, res, next) => {
     const newRegistrations = visaTypeStats.find(stat => stat.visaType === 'tourist')?.dataValues?.count || 0;
     const documentUpdates = visaTypeStats.find(stat => stat.visaType === 'student')?.dataValues?.count || 0;
 
-    // Recent applications
-    const recentApplications = await Application.findAll({
-      include: [{ model: User, as: 'user', attributes: ['firstName', 'lastName', 'email'] }],
-      order: [['createdAt', 'DESC']],
-      limit: 5
-    });
+    // Recent applications
+    const recentApplications = await Application.findAll({
+      include: [{ model: User, as: 'user', attributes: ['firstName', 'lastName', 'email'] }],
+      order: [['createdAt', 'DESC']],
+      limit: 5
+    });
+
+    // Recent payments
+    const recentPayments = await Payment.findAll({
+      include: [
+        { model: User, as: 'user', attributes: ['firstName', 'lastName', 'email'] },
+        { model: Application, as: 'application', attributes: ['visaType'] }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: 5
+    });
+
+    res.json({
+      success: true,
+      data: {
+        totalApplications,
+        pendingApplications,
+        activeUsers: totalUsers,
+        avgProcessingDays: Math.round((avgProcessingDays || 2.3) * 10) / 10,
+        serverUptime: '99.9%',
+        responseTime: '120ms',
+        errorRate: '0.1%',
+        storageUsed: '68%',
+        businessLicenses,
+        permitRenewals,
+        newRegistrations,
+        documentUpdates,
+        statistics: {
+          totalUsers,
+          totalApplications,
+          pendingApplications,
+          issuedApplications,
+          totalPayments,
+          pendingPayments,
+          totalRevenue: totalRevenue || 0
+        },
+        recentApplications,
+        recentPayments
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/users
+// @desc    Get all users with pagination and filtering
+// @access  Private/Admin
+router.get('/users', requirePermission('users.read'), [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('role').optional().trim().isLength({ min: 1, max: 50 }),
+  query('isActive').optional().isBoolean().toBoolean(),
+  query('search').optional().trim()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { page = 1, limit = 10, role, isActive, search } = req.query;
+    const offset = (page - 1) * limit;
+
+    // Build where clause
+    const where = {};
+    if (role) where.role = role;
+    if (isActive !== undefined) where.isActive = isActive;
+    if (search) {
+      where[Op.or] = [
+        { firstName: { [Op.iLike]: `%${search}%` } },
+        { lastName: { [Op.iLike]: `%${search}%` } },
+        { email: { [Op.iLike]: `%${search}%` } }
+      ];
+    }
+
+    const { count, rows: users } = await User.findAndCountAll({
+      where,
+      attributes: { exclude: ['password', 'passwordResetToken', 'passwordResetExpires'] },
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          total: count,
+          page,
+          pages: Math.ceil(count / limit),
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/users/:id
+// @desc    Update user details
+// @access  Private/Admin
+router.put('/users/:id', requirePermission('users.manage'), [
+  param('id').isUUID(),
+  body('firstName').optional().trim().isLength({ min: 2 }),
+  body('lastName').optional().trim().isLength({ min: 2 }),
+  body('role').optional().trim().isLength({ min: 1, max: 50 }),
+  body('processingCenter').optional({ nullable: true }).trim().isLength({ min: 2, max: 100 }),
+  body('isActive').optional().isBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { firstName, lastName, role, processingCenter, isActive } = req.body;
+
+    const user = await User.findByPk(id);
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    if (role && role !== user.role) {
+      if (String(user.id) === String(req.user.id)) {
+        return next(new AppError('You cannot change your own role', 403));
+      }
+
+      const roleRecord = await Role.findOne({ where: { name: role } });
+      if (!roleRecord) {
+        return next(new AppError(`Role ${role} does not exist`, 400));
+      }
+
+      // Both the new role and the one it replaces must be within the caller's own permissions
+      if (getMissingGrants(req, roleRecord.permissions).length > 0) {
+        return next(new AppError(`You cannot assign the ${role} role`, 403));
+      }
+      if (getMissingGrants(req, await getRolePermissions(user.role)).length > 0) {
+        return next(new AppError(`You cannot change the role of users in the ${user.role} role`, 403));
+      }
+    }
+
+    // Update user
+    await user.update({
+      ...(firstName && { firstName }),
+      ...(lastName && { lastName }),
+      ...(role && { role }),
+      ...(processingCenter !== undefined && { processingCenter }),
+      ...(isActive !== undefined && { isActive })
+    });
+
+    // Log admin action
+    auditLogger.adminAction(req.user.id, 'update_user', id, { firstName, lastName, role, processingCenter, isActive });
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: { user: user.toSafeObject() }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/users/:id/reset-password
+// @desc    Reset user password (admin function)
+// @access  Private/Admin
+router.put('/users/:id/reset-password', requirePermission('users.manage'), [
+  param('id').isUUID().isLength({ min: 36, max: 36 }),
+  body('newPassword')
+    .isString()
+    .withMessage('New password is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { newPassword } = req.body;
+
+    const user = await User.findByPk(id);
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    const passwordProblems = await checkPassword(newPassword, { user });
+    if (passwordProblems.length > 0) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: toValidationErrors(passwordProblems, 'newPassword') });
+    }
+
+    // Plain password - the beforeUpdate hook hashes it and records the old one in the history
+    await user.update({ password: newPassword });
+
+    // Log admin action
+    auditLogger.adminAction(req.user.id, 'reset_user_password', id, { email: user.email });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. User can now login with the new password.'
+    });
+  } catch (error) {
+    console.error('❌ Password reset error:', error);
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/users/:id/unlock
+// @desc    Unlock an account locked after failed login attempts
+// @access  Private/Admin
+router.put('/users/:id/unlock', requirePermission('users.manage'), [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    const user = await User.findByPk(id);
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    const wasLocked = user.isLocked();
+    await unlockAccount(user);
+
+    securityLogger.accountUnlocked(id, req.user.id);
+    auditLogger.adminAction(req.user.id, 'unlock_user', id, { wasLocked });
+
+    res.json({
+      success: true,
+      message: wasLocked ? 'User account unlocked successfully' : 'User account was not locked; failed attempt counters were reset',
+      data: { user: user.toSafeObject() }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/users/:id/impersonate
+// @desc    Issue a short-lived token to act as a user (read-only unless writes are allowed)
+// @access  Private (users.impersonate)
+router.post('/users/:id/impersonate', requirePermission('users.impersonate'), [
+  param('id').isUUID(),
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('A reason between 5 and 500 characters is required'),
+  body('allowWrites').optional().isBoolean().toBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { reason, allowWrites = false } = req.body;
+
+    // Nested impersonation and API-key callers have no admin session to attach to
+    if (req.impersonatorId || !req.sessionId) {
+      return next(new AppError('Impersonation must be started from an interactive admin session', 403));
+    }
+
+    if (allowWrites && !hasPermission(req, 'users.impersonate_write')) {
+      return next(new AppError('Missing permission: users.impersonate_write', 403));
+    }
+
+    if (id === req.user.id) {
+      return next(new AppError('You cannot impersonate yourself', 400));
+    }
+
+    const target = await User.findByPk(id);
+    if (!target) {
+      return next(new AppError('User not found', 404));
+    }
+
+    if (target.isActive === false) {
+      return next(new AppError('Cannot impersonate a deactivated account', 400));
+    }
+
+    // Staff who can impersonate others cannot be impersonated themselves
+    if (grantsPermission(await getRolePermissions(target.role), 'users.impersonate')) {
+      return next(new AppError('This account cannot be impersonated', 403));
+    }
+
+    const { token, expiresAt } = signImpersonationToken({
+      impersonatorId: req.user.id,
+      targetUserId: target.id,
+      sessionId: req.sessionId,
+      allowWrites
+    });
+
+    auditLogger.impersonationStarted(req.user.id, target.id, reason, allowWrites, expiresAt);
+
+    res.json({
+      success: true,
+      message: `Impersonating ${target.email}. Send this token as a Bearer token; it is not stored in cookies`,
+      data: {
+        token,
+        expiresAt,
+        impersonation: {
+          impersonatorId: req.user.id,
+          user: {
+            id: target.id,
+            email: target.email,
+            firstName: target.firstName,
+            lastName: target.lastName
+          },
+          allowWrites
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/users/:id/sessions
+// @desc    Revoke every session for a user (forces logout on all devices)
+// @access  Private/Admin
+router.delete('/users/:id/sessions', requirePermission('users.manage'), [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    const user = await User.findByPk(id);
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    const revokedSessions = await revokeAllUserTokens(id, 'admin_revoked');
+
+    // Log admin action
+    auditLogger.adminAction(req.user.id, 'revoke_user_sessions', id, { revokedSessions });
+
+    res.json({
+      success: true,
+      message: 'All sessions for this user have been revoked',
+      data: { revokedSessions }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Validation for the permissions array on role create/update (a new chain per route)
+const rolePermissionsValidator = () => body('permissions')
+  .isArray()
+  .withMessage('Permissions must be an array')
+  .custom(permissions => {
+    const unknown = permissions.filter(permission => !isKnownPermission(permission));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+    return true;
+  });
+
+// @route   GET /api/admin/permissions
+// @desc    List every permission that can be granted to a role
+// @access  Private (roles.manage)
+router.get('/permissions', requirePermission('roles.manage'), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/roles
+// @desc    List roles with their permissions and number of users
+// @access  Private (roles.manage)
+router.get('/roles', requirePermission('roles.manage'), async (req, res, next) => {
+  try {
+    const roles = await Role.findAll({ order: [['name', 'ASC']] });
+
+    const userCounts = await User.findAll({
+      attributes: ['role', [User.sequelize.fn('COUNT', User.sequelize.col('id')), 'count']],
+      group: ['role'],
+      raw: true
+    });
+
+    res.json({
+      success: true,
+      data: {
+        roles: roles.map(role => ({
+          ...role.toJSON(),
+          userCount: parseInt(userCounts.find(count => count.role === role.name)?.count || 0)
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/roles
+// @desc    Create a new role
+// @access  Private (roles.manage)
+router.post('/roles', requirePermission('roles.manage'), [
+  body('name')
+    .trim()
+    .matches(/^[a-z][a-z0-9_]{1,49}$/)
+    .withMessage('Role name must be lowercase letters, numbers and underscores'),
+  body('description').optional().trim().isLength({ max: 255 }),
+  rolePermissionsValidator()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    if (await Role.findOne({ where: { name } })) {
+      return next(new AppError('A role with this name already exists', 400));
+    }
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      isSystem: false
+    });
+
+    clearRoleCache();
+    auditLogger.adminAction(req.user.id, 'create_role', null, { role: name, permissions: role.permissions });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { role }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/roles/:name
+// @desc    Update a role's description or permissions
+// @access  Private (roles.manage)
+router.put('/roles/:name', requirePermission('roles.manage'), [
+  param('name').trim().notEmpty(),
+  body('description').optional().trim().isLength({ max: 255 }),
+  rolePermissionsValidator().optional()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { description, permissions } = req.body;
+
+    const role = await Role.findOne({ where: { name: req.params.name } });
+    if (!role) {
+      return next(new AppError('Role not found', 404));
+    }
+
+    // Editing the admin role could leave nobody able to manage roles
+    if (role.name === 'admin' && permissions !== undefined) {
+      return next(new AppError('Permissions of the admin role cannot be changed', 400));
+    }
+
+    const previousPermissions = role.permissions;
+    await role.update({
+      ...(description !== undefined && { description }),
+      ...(permissions !== undefined && { permissions: [...new Set(permissions)] })
+    });
+
+    clearRoleCache();
+    auditLogger.adminAction(req.user.id, 'update_role', null, {
+      role: role.name,
+      previousPermissions,
+      permissions: role.permissions
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { role }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/roles/:name
+// @desc    Delete a custom role that no user has
+// @access  Private (roles.manage)
+router.delete('/roles/:name', requirePermission('roles.manage'), async (req, res, next) => {
+  try {
+    const role = await Role.findOne({ where: { name: req.params.name } });
+    if (!role) {
+      return next(new AppError('Role not found', 404));
+    }
+
+    if (role.isSystem) {
+      return next(new AppError('Built-in roles cannot be deleted', 400));
+    }
+
+    const assignedUsers = await User.count({ where: { role: role.name } });
+    if (assignedUsers > 0) {
+      return next(new AppError(`Role is assigned to ${assignedUsers} user(s). Move them to another role first`, 400));
+    }
+
+    await role.destroy();
+
+    clearRoleCache();
+    auditLogger.adminAction(req.user.id, 'delete_role', null, { role: role.name });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/api-keys
+// @desc    List API keys (never includes the key itself)
+// @access  Private (api_keys.manage)
+router.get('/api-keys', requirePermission('api_keys.manage'), [
+  query('organization').optional().trim(),
+  query('includeRevoked').optional().isBoolean().toBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { organization, includeRevoked } = req.query;
+
+    const where = {};
+    if (organization) where.organization = organization;
+    if (!includeRevoked) where.revokedAt = null;
+
+    const apiKeys = await ApiKey.findAll({
+      where,
+      include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email', 'role'] }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys,
+        availableScopes: Object.entries(API_KEY_SCOPES).map(([name, scope]) => ({ name, description: scope.description }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/api-keys
+// @desc    Issue an API key for a partner organisation
+// @access  Private (api_keys.manage)
+router.post('/api-keys', requirePermission('api_keys.manage'), [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('organization').trim().isLength({ min: 2, max: 100 }).withMessage('Organization must be between 2 and 100 characters'),
+  body('userId').isUUID().withMessage('A valid user ID is required'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required')
+    .custom(scopes => {
+      const unknown = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown scopes: ${unknown.join(', ')}`);
+      }
+      return true;
+    }),
+  body('expiresAt').optional().isISO8601().toDate()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { name, organization, userId, scopes, expiresAt } = req.body;
+
+    const owner = await User.findByPk(userId);
+    if (!owner) {
+      return next(new AppError('User not found', 404));
+    }
+
+    if (expiresAt && expiresAt <= new Date()) {
+      return next(new AppError('Expiry date must be in the future', 400));
+    }
+
+    const { apiKey, rawKey } = await createApiKey({
+      name,
+      organization,
+      userId,
+      scopes,
+      expiresAt,
+      createdBy: req.user.id
+    });
+
+    auditLogger.adminAction(req.user.id, 'create_api_key', userId, { apiKeyId: apiKey.id, organization, scopes: apiKey.scopes });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now - it will not be shown again',
+      data: {
+        apiKey,
+        key: rawKey
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/api-keys/:id/rotate
+// @desc    Replace an API key's secret; the old value stops working immediately
+// @access  Private (api_keys.manage)
+router.post('/api-keys/:id/rotate', requirePermission('api_keys.manage'), [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const apiKey = await ApiKey.findByPk(req.params.id);
+    if (!apiKey || apiKey.revokedAt) {
+      return next(new AppError('API key not found', 404));
+    }
+
+    const rawKey = await rotateApiKey(apiKey);
+
+    auditLogger.adminAction(req.user.id, 'rotate_api_key', apiKey.userId, { apiKeyId: apiKey.id, organization: apiKey.organization });
+
+    res.json({
+      success: true,
+      message: 'API key rotated. Copy it now - it will not be shown again',
+      data: {
+        apiKey,
+        key: rawKey
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private (api_keys.manage)
+router.delete('/api-keys/:id', requirePermission('api_keys.manage'), [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const apiKey = await ApiKey.findByPk(req.params.id);
+    if (!apiKey || apiKey.revokedAt) {
+      return next(new AppError('API key not found', 404));
+    }
+
+    await apiKey.update({ revokedAt: new Date() });
+
+    auditLogger.adminAction(req.user.id, 'revoke_api_key', apiKey.userId, { apiKeyId: apiKey.id, organization: apiKey.organization });
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/invitations
+// @desc    List staff invitations (pending ones by default)
+// @access  Private (users.manage)
+router.get('/invitations', requirePermission('users.manage'), [
+  query('status').optional().isIn(['pending', 'accepted', 'revoked', 'expired', 'all'])
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const status = req.query.status || 'pending';
+    const now = new Date();
+
+    const where = {};
+    if (status === 'pending') {
+      Object.assign(where, { acceptedAt: null, revokedAt: null, expiresAt: { [Op.gt]: now } });
+    } else if (status === 'accepted') {
+      where.acceptedAt = { [Op.ne]: null };
+    } else if (status === 'revoked') {
+      where.revokedAt = { [Op.ne]: null };
+    } else if (status === 'expired') {
+      Object.assign(where, { acceptedAt: null, revokedAt: null, expiresAt: { [Op.lte]: now } });
+    }
+
+    const invitations = await Invitation.findAll({
+      where,
+      include: [{ model: User, as: 'inviter', attributes: ['id', 'firstName', 'lastName', 'email'] }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { invitations }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/invitations
+// @desc    Invite a staff member by email with a preset role and processing center
+// @access  Private (users.manage)
+router.post('/invitations', requirePermission('users.manage'), [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('role').trim().isLength({ min: 1, max: 50 }).withMessage('Role is required'),
+  body('processingCenter').optional({ nullable: true }).trim().isLength({ min: 2, max: 100 }).withMessage('Processing center must be between 2 and 100 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { email, role, processingCenter } = req.body;
+
+    const roleRecord = await Role.findOne({ where: { name: role } });
+    if (!roleRecord) {
+      return next(new AppError(`Role ${role} does not exist`, 400));
+    }
+
+    if (getMissingGrants(req, roleRecord.permissions).length > 0) {
+      return next(new AppError(`You cannot invite users to the ${role} role`, 403));
+    }
+
+    const invitation = await createInvitation({ email, role, processingCenter, inviter: req.user });
+
+    auditLogger.adminAction(req.user.id, 'create_invitation', null, { invitationId: invitation.id, email: invitation.email, role, processingCenter });
+
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      data: { invitation }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private (users.manage)
+router.delete('/invitations/:id', requirePermission('users.manage'), [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const invitation = await Invitation.findByPk(req.params.id);
+    if (!invitation) {
+      return next(new AppError('Invitation not found', 404));
+    }
+    if (invitation.acceptedAt) {
+      return next(new AppError('Invitation has already been accepted', 409));
+    }
+
+    if (!invitation.revokedAt) {
+      await invitation.update({ revokedAt: new Date(), revokedBy: req.user.id, twoFactorSecret: null });
+      auditLogger.adminAction(req.user.id, 'revoke_invitation', null, { invitationId: invitation.id, email: invitation.email });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/form-schemas
+// @desc    List application form schemas (active versions by default)
+// @access  Private (forms.manage)
+router.get('/form-schemas', requirePermission('forms.manage'), [
+  query('visaType').optional().isIn(VISA_TYPES),
+  query('destinationCountry').optional().trim(),
+  query('status').optional().isIn(['active', 'retired', 'all'])
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { visaType, destinationCountry } = req.query;
+    const status = req.query.status || 'active';
+
+    const where = {};
+    if (visaType) where.visaType = visaType;
+    if (destinationCountry) where.destinationCountry = destinationCountry;
+    if (status !== 'all') where.status = status;
+
+    // Definitions can be large; GET /form-schemas/:id returns one in full
+    const formSchemas = await FormSchema.findAll({
+      where,
+      attributes: { exclude: ['definition'] },
+      include: [{ model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName', 'email'] }],
+      order: [['visaType', 'ASC'], ['destinationCountry', 'ASC'], ['version', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { formSchemas }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/form-schemas/:id
+// @desc    Get an application form schema with its definition
+// @access  Private (forms.manage)
+router.get('/form-schemas/:id', requirePermission('forms.manage'), [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const formSchema = await FormSchema.findByPk(req.params.id, {
+      include: [{ model: User, as: 'creator', attributes: ['id', 'firstName', 'lastName', 'email'] }]
+    });
+    if (!formSchema) {
+      return next(new AppError('Form schema not found', 404));
+    }
+
+    const applicationCount = await Application.count({ where: { formSchemaId: formSchema.id } });
+
+    res.json({
+      success: true,
+      data: { formSchema, applicationCount }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/form-schemas
+// @desc    Publish a new form version for a visa type (and optionally a destination)
+// @access  Private (forms.manage)
+router.post('/form-schemas', requirePermission('forms.manage'), [
+  body('visaType').isIn(VISA_TYPES).withMessage('Valid visa type is required'),
+  body('destinationCountry').optional({ nullable: true }).isString().trim().isLength({ min: 2, max: 100 }).withMessage('Destination country must be between 2 and 100 characters'),
+  body('title').optional({ nullable: true }).isString().trim().isLength({ max: 200 }).withMessage('Title must be at most 200 characters'),
+  body('definition').isObject().withMessage('A form definition is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { visaType, destinationCountry, title, definition } = req.body;
+
+    const formSchema = await publishFormSchema({ visaType, destinationCountry, title, definition }, req.user);
+
+    auditLogger.adminAction(req.user.id, 'publish_form_schema', null, {
+      formSchemaId: formSchema.id,
+      visaType,
+      destinationCountry: formSchema.destinationCountry,
+      version: formSchema.version
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Form version ${formSchema.version} published`,
+      data: { formSchema }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/form-schemas/:id
+// @desc    Retire a form schema; applications already started with it keep using it
+// @access  Private (forms.manage)
+router.delete('/form-schemas/:id', requirePermission('forms.manage'), [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const formSchema = await FormSchema.findByPk(req.params.id);
+    if (!formSchema) {
+      return next(new AppError('Form schema not found', 404));
+    }
+
+    await retireFormSchema(formSchema);
+
+    auditLogger.adminAction(req.user.id, 'retire_form_schema', null, {
+      formSchemaId: formSchema.id,
+      visaType: formSchema.visaType,
+      destinationCountry: formSchema.destinationCountry,
+      version: formSchema.version
+    });
+
+    res.json({
+      success: true,
+      message: 'Form schema retired successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Fields shared by creating and editing an eligibility rule; params are checked against
+// the rule type by the eligibility service
+const eligibilityRuleValidators = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+  return [
+    field('name').isString().trim().isLength({ min: 1, max: 150 }).withMessage('Name must be between 1 and 150 characters'),
+    field('ruleType').isIn(Object.keys(RULE_TYPES)).withMessage(`Rule type must be one of ${Object.keys(RULE_TYPES).join(', ')}`),
+    body('severity').optional().isIn(RULE_SEVERITIES).withMessage(`Severity must be one of ${RULE_SEVERITIES.join(', ')}`),
+    body('visaType').optional({ nullable: true }).isIn(VISA_TYPES).withMessage('Valid visa type is required'),
+    body('destinationCountry').optional({ nullable: true }).isString().trim().isLength({ min: 2, max: 100 }).withMessage('Destination country must be between 2 and 100 characters'),
+    body('nationalities').optional({ nullable: true }).isArray().withMessage('Nationalities must be a list'),
+    body('params').optional().isObject().withMessage('Params must be an object'),
+    body('message').optional({ nullable: true }).isString().trim().isLength({ max: 500 }).withMessage('Message must be at most 500 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ];
+};
+
+// @route   GET /api/admin/eligibility-rules
+// @desc    List eligibility pre-check rules and the rule types they can use
+// @access  Private (eligibility.manage)
+router.get('/eligibility-rules', requirePermission('eligibility.manage'), [
+  query('visaType').optional().isIn(VISA_TYPES),
+  query('isActive').optional().isBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const where = {};
+    if (req.query.visaType) where.visaType = req.query.visaType;
+    if (req.query.isActive !== undefined) where.isActive = req.query.isActive === 'true';
+
+    const rules = await EligibilityRule.findAll({
+      where,
+      include: [{ model: User, as: 'updater', attributes: ['id', 'firstName', 'lastName', 'email'] }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { rules, ruleTypes: RULE_TYPES, severities: RULE_SEVERITIES }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/eligibility-rules/:id
+// @desc    Get an eligibility rule
+// @access  Private (eligibility.manage)
+router.get('/eligibility-rules/:id', requirePermission('eligibility.manage'), [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const rule = await EligibilityRule.findByPk(req.params.id, {
+      include: [{ model: User, as: 'updater', attributes: ['id', 'firstName', 'lastName', 'email'] }]
+    });
+    if (!rule) {
+      return next(new AppError('Eligibility rule not found', 404));
+    }
+
+    res.json({
+      success: true,
+      data: { rule }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/eligibility-rules
+// @desc    Add an eligibility rule; it applies to the next check
+// @access  Private (eligibility.manage)
+router.post('/eligibility-rules', requirePermission('eligibility.manage'), eligibilityRuleValidators(true), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const rule = await createEligibilityRule(req.body, req.user);
 
-    // Recent payments
-    const recentPayments = await Payment.findAll({
-      include: [
-        { model: User, as: 'user', attributes: ['firstName', 'lastName', 'email'] },
-        { model: Application, as: 'application', attributes: ['visaType'] }
-      ],
-      order: [['createdAt', 'DESC']],
-      limit: 5
+    auditLogger.adminAction(req.user.id, 'create_eligibility_rule', null, {
+      ruleId: rule.id,
+      name: rule.name,
+      ruleType: rule.ruleType
     });
 
-    res.json({
+    res.status(201).json({
       success: true,
-      data: {
-        totalApplications,
-        pendingApplications,
-        activeUsers: totalUsers,
-        avgProcessingDays: Math.round((avgProcessingDays || 2.3) * 10) / 10,
-        serverUptime: '99.9%',
-        responseTime: '120ms',
-        errorRate: '0.1%',
-        storageUsed: '68%',
-        businessLicenses,
-        permitRenewals,
-        newRegistrations,
-        documentUpdates,
-        statistics: {
-          totalUsers,
-          totalApplications,
-          pendingApplications,
-          issuedApplications,
-          totalPayments,
-          pendingPayments,
-          totalRevenue: totalRevenue || 0
-        },
-        recentApplications,
-        recentPayments
-      }
+      message: 'Eligibility rule created successfully',
+      data: { rule }
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @route   GET /api/admin/users
-// @desc    Get all users with pagination and filtering
-// @access  Private/Admin
-router.get('/users', [
-  query('page').optional().isInt({ min: 1 }).toInt(),
-  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
-  query('role').optional().isIn(['user', 'admin', 'officer']),
-  query('isActive').optional().isBoolean().toBoolean(),
-  query('search').optional().trim()
+// @route   PUT /api/admin/eligibility-rules/:id
+// @desc    Change an eligibility rule, or switch it on or off with isActive
+// @access  Private (eligibility.manage)
+router.put('/eligibility-rules/:id', requirePermission('eligibility.manage'), [
+  param('id').isUUID(),
+  ...eligibilityRuleValidators(false)
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -136,55 +1168,35 @@ router.get('/users', [
       return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
     }
 
-    const { page = 1, limit = 10, role, isActive, search } = req.query;
-    const offset = (page - 1) * limit;
-
-    // Build where clause
-    const where = {};
-    if (role) where.role = role;
-    if (isActive !== undefined) where.isActive = isActive;
-    if (search) {
-      where[Op.or] = [
-        { firstName: { [Op.iLike]: `%${search}%` } },
-        { lastName: { [Op.iLike]: `%${search}%` } },
-        { email: { [Op.iLike]: `%${search}%` } }
-      ];
+    const rule = await EligibilityRule.findByPk(req.params.id);
+    if (!rule) {
+      return next(new AppError('Eligibility rule not found', 404));
     }
 
-    const { count, rows: users } = await User.findAndCountAll({
-      where,
-      attributes: { exclude: ['password', 'passwordResetToken', 'passwordResetExpires'] },
-      order: [['createdAt', 'DESC']],
-      limit,
-      offset
+    const previous = rule.toJSON();
+    await updateEligibilityRule(rule, req.body, req.user);
+
+    auditLogger.adminAction(req.user.id, 'update_eligibility_rule', null, {
+      ruleId: rule.id,
+      before: { params: previous.params, severity: previous.severity, isActive: previous.isActive },
+      after: { params: rule.params, severity: rule.severity, isActive: rule.isActive }
     });
 
     res.json({
       success: true,
-      data: {
-        users,
-        pagination: {
-          total: count,
-          page,
-          pages: Math.ceil(count / limit),
-          limit
-        }
-      }
+      message: 'Eligibility rule updated successfully',
+      data: { rule }
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @route   PUT /api/admin/users/:id
-// @desc    Update user details
-// @access  Private/Admin
-router.put('/users/:id', [
-  param('id').isUUID(),
-  body('firstName').optional().trim().isLength({ min: 2 }),
-  body('lastName').optional().trim().isLength({ min: 2 }),
-  body('role').optional().isIn(['user', 'admin', 'officer']),
-  body('isActive').optional().isBoolean()
+// @route   DELETE /api/admin/eligibility-rules/:id
+// @desc    Remove an eligibility rule (set isActive to false to keep it for later)
+// @access  Private (eligibility.manage)
+router.delete('/eligibility-rules/:id', requirePermission('eligibility.manage'), [
+  param('id').isUUID()
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -192,45 +1204,46 @@ router.put('/users/:id', [
       return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
     }
 
-    const { id } = req.params;
-    const { firstName, lastName, role, isActive } = req.body;
-
-    const user = await User.findByPk(id);
-    if (!user) {
-      return next(new AppError('User not found', 404));
+    const rule = await EligibilityRule.findByPk(req.params.id);
+    if (!rule) {
+      return next(new AppError('Eligibility rule not found', 404));
     }
 
-    // Update user
-    await user.update({
-      ...(firstName && { firstName }),
-      ...(lastName && { lastName }),
-      ...(role && { role }),
-      ...(isActive !== undefined && { isActive })
-    });
+    await rule.destroy();
 
-    // Log admin action
-    auditLogger.adminAction(req.user.id, 'update_user', id, { firstName, lastName, role, isActive });
+    auditLogger.adminAction(req.user.id, 'delete_eligibility_rule', null, {
+      ruleId: rule.id,
+      name: rule.name,
+      ruleType: rule.ruleType
+    });
 
     res.json({
       success: true,
-      message: 'User updated successfully',
-      data: { user: user.toSafeObject() }
+      message: 'Eligibility rule deleted successfully'
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @route   PUT /api/admin/users/:id/reset-password
-// @desc    Reset user password (admin function)
+// Valid application statuses (defined by the application workflow)
+const VALID_APPLICATION_STATUSES = Application.getValidStatuses();
+
+// @route   GET /api/admin/applications/status-graph
+// @desc    Get the application workflow: statuses, allowed transitions and their guards
 // @access  Private/Admin
-router.put('/users/:id/reset-password', [
-  param('id').isUUID().isLength({ min: 36, max: 36 }),
-  body('newPassword')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number')
+router.get('/applications/status-graph', requirePermission('applications.read_all'), (req, res) => {
+  res.json({
+    success: true,
+    data: getStatusGraph()
+  });
+});
+
+// @route   GET /api/admin/applications/lookup
+// @desc    Find an application by its number (case, spaces and dashes are ignored)
+// @access  Private/Admin
+router.get('/applications/lookup', requirePermission('applications.read_all'), [
+  query('number').trim().notEmpty().withMessage('An application number is required')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -238,52 +1251,30 @@ router.put('/users/:id/reset-password', [
       return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
     }
 
-    const { id } = req.params;
-    const { newPassword } = req.body;
+    const application = await findApplicationByNumber(req.query.number, {
+      include: [{ model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email', 'phoneNumber'] }]
+    });
 
-    const user = await User.findByPk(id);
-    if (!user) {
-      return next(new AppError('User not found', 404));
+    if (!application) {
+      return next(new AppError(`No application found with number ${req.query.number}`, 404));
     }
 
-    // Hash new password with salt 12
-    const salt = await bcrypt.genSalt(12);
-    const hashedPassword = await bcrypt.hash(newPassword, salt);
-
-    // Update user password
-    await user.update({ password: hashedPassword });
-
-    // Log admin action
-    auditLogger.adminAction(req.user.id, 'reset_user_password', id, { email: user.email });
-
     res.json({
       success: true,
-      message: 'Password reset successfully. User can now login with the new password.'
+      data: {
+        application,
+        availableTransitions: getAvailableTransitions(application, req)
+      }
     });
   } catch (error) {
-    console.error('❌ Password reset error:', error);
     next(error);
   }
 });
 
-// Valid application statuses (must match the Application model enum)
-const VALID_APPLICATION_STATUSES = [
-  'draft',
-  'submitted',
-  'under_review',
-  'documents_required',
-  'biometrics_scheduled',
-  'biometrics_completed',
-  'approved',
-  'rejected',
-  'completed',
-  'issued'
-];
-
 // @route   GET /api/admin/applications
 // @desc    Get all applications with filtering
 // @access  Private/Admin
-router.get('/applications', [
+router.get('/applications', requirePermission('applications.read_all'), [
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
   query('status').optional().isIn(VALID_APPLICATION_STATUSES),
@@ -335,10 +1326,12 @@ router.get('/applications', [
 // @route   PUT /api/admin/applications/:id/status
 // @desc    Update application status
 // @access  Private/Admin
-router.put('/applications/:id/status', [
+router.put('/applications/:id/status', requirePermission('applications.decide'), [
   param('id').isUUID(),
   body('status').isIn(VALID_APPLICATION_STATUSES),
   body('notes').optional().trim(),
+  body('reason').optional().trim().isLength({ max: 1000 }),
+  body('rejectionReason').optional().trim(),
   body('assignedOfficer').optional().isUUID()
 ], async (req, res, next) => {
   try {
@@ -348,7 +1341,7 @@ router.put('/applications/:id/status', [
     }
 
     const { id } = req.params;
-    const { status, notes, assignedOfficer } = req.body;
+    const { status, notes, reason, rejectionReason, assignedOfficer } = req.body;
 
     // DEBUG: Log the search attempt
     console.log('═══════════════════════════════════════════════════════════');
@@ -411,79 +1404,14 @@ router.put('/applications/:id/status', [
       return next(new AppError(`Application with ID '${id}' not found. The application may have been deleted or the ID is incorrect.`, 404));
     }
 
-    const oldStatus = application.status;
-    const applicationInfo = {
-      id: application.id,
-      applicationNumber: application.applicationNumber,
-      currentStatus: application.status,
-      applicant: application.user ? `${application.user.firstName} ${application.user.lastName}` : 'Unknown'
-    };
-
-    // Update application
-    const updateData = { status };
-    if (notes) updateData.processingNotes = notes;
-    if (assignedOfficer) updateData.assignedOfficerId = assignedOfficer;
-
-    // Set timestamps based on status
-    const now = new Date();
-    if (status === 'under_review') updateData.reviewed_at = now;
-    if (status === 'approved') updateData.approved_at = now;
-    if (status === 'rejected') updateData.rejected_at = now;
-    if (status === 'biometrics_scheduled') updateData.biometrics_date = now;
-
-    await application.update(updateData);
-
-    // Log status change
-    auditLogger.applicationStatusChange(id, oldStatus, status, req.user.id);
-
-    // Create notification for user
-    await Notification.create({
-      userId: application.userId,
-      applicationId: id,
-      type: 'application_status_update',
-      title: 'Application Status Updated',
-      message: `Your visa application status has been updated to: ${status.replace('_', ' ').toUpperCase()}`,
-      priority: 'medium',
-      createdBy: req.user.id
-    });
-
-    // Check if application is completed or issued - send farewell email
-    if (status === 'completed' || status === 'issued') {
-      const user = await User.findByPk(application.userId);
-      
-      // Create special farewell notification
-      await Notification.create({
-        userId: application.userId,
-        applicationId: id,
-        type: 'farewell',
-        title: '🎉 Congratulations! Your Visa Application is Complete!',
-        message: `Dear ${user.firstName}, your visa application (${application.applicationNumber}) has been successfully processed and ${status === 'issued' ? 'your visa has been issued!' : 'marked as completed!'}. We wish you a pleasant journey!`,
-        priority: 'high',
-        createdBy: req.user.id
-      });
+    const changes = {};
+    if (notes) changes.processingNotes = notes;
+    if (assignedOfficer) changes.assignedOfficerId = assignedOfficer;
+    if (status === 'rejected') changes.rejectionReason = rejectionReason || notes;
 
-      // Log farewell email (simulated - would send real email in production)
-      console.log('═══════════════════════════════════════════════════════════');
-      console.log('📧 FAREWELL EMAIL SENT TO:', user.email);
-      console.log('─────────────────────────────────────────────────────────────');
-      console.log(`To: ${user.firstName} ${user.lastName} <${user.email}>`);
-      console.log(`Subject: 🎉 Congratulations! Your Visa Application is Complete!`);
-      console.log(`─────────────────────────────────────────────────────────────`);
-      console.log(`Dear ${user.firstName},`);
-      console.log('');
-      console.log(`Congratulations! Your visa application (${application.applicationNumber}) has been`);
-      console.log(`successfully processed and ${status === 'issued' ? 'your visa has been issued!' : 'marked as completed!'}`);
-      console.log('');
-      console.log(`Visa Type: ${application.visaType}`);
-      console.log(`Destination: ${application.destinationCountry || 'N/A'}`);
-      console.log(`Application Number: ${application.applicationNumber}`);
-      console.log('');
-      console.log(`We wish you a pleasant and safe journey!`);
-      console.log('');
-      console.log(`Best regards,`);
-      console.log(`ArRaji Visa Services Team`);
-      console.log('═══════════════════════════════════════════════════════════');
-    }
+    // The workflow decides whether this move is allowed, records it and handles notifications.
+    // The reason is shown to the applicant; notes stay internal.
+    await transitionApplication(application, status, { actor: req, changes, reason, note: notes });
 
     res.json({
       success: true,
@@ -498,7 +1426,7 @@ router.put('/applications/:id/status', [
 // @route   GET /api/admin/reports
 // @desc    Get various reports
 // @access  Private/Admin
-router.get('/reports', async (req, res, next) => {
+router.get('/reports', requirePermission('admin.dashboard'), async (req, res, next) => {
   try {
     // Application status distribution
     const applicationStats = await Application.findAll({
@@ -553,10 +1481,36 @@ router.get('/reports', async (req, res, next) => {
   }
 });
 
+// @route   GET /api/admin/reports/processing-times
+// @desc    Get how long applications spend in each status and from submission to decision
+// @access  Private/Admin
+router.get('/reports/processing-times', requirePermission('admin.dashboard'), [
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('visaType').optional().isIn(['tourist', 'business', 'student', 'work', 'transit', 'family', 'diplomatic'])
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { from, to, visaType } = req.query;
+    const stats = await getProcessingTimeStats({ from, to, visaType });
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/admin/passport-tracking
 // @desc    Get all passports for tracking
 // @access  Private/Admin
-router.get('/passport-tracking', async (req, res, next) => {
+router.get('/passport-tracking', requirePermission('passports.manage'), async (req, res, next) => {
   try {
     const { page = 1, limit = 20, status, search } = req.query;
     const offset = (page - 1) * limit;
@@ -623,7 +1577,7 @@ router.get('/passport-tracking', async (req, res, next) => {
 // @route   PUT /api/admin/passport/:id/status
 // @desc    Update passport status
 // @access  Private/Admin
-router.put('/passport/:id/status', async (req, res, next) => {
+router.put('/passport/:id/status', requirePermission('passports.manage'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { status, location, note } = req.body;
@@ -645,94 +1599,261 @@ router.put('/passport/:id/status', async (req, res, next) => {
   }
 });
 
-// @route   PUT /api/admin/passport/:id/courier
-// @desc    Update courier information
+// @route   PUT /api/admin/passport/:id/courier
+// @desc    Update courier information
+// @access  Private/Admin
+router.put('/passport/:id/courier', requirePermission('passports.manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { courierName, trackingNumber, eta } = req.body;
+
+    res.json({
+      success: true,
+      message: 'Courier information updated successfully',
+      data: {
+        id,
+        courier: { name: courierName, tracking: trackingNumber, eta },
+        lastUpdated: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/application/:id
+// @desc    Get single application details
+// @access  Private/Admin
+router.get('/application/:id', requirePermission('applications.read_all'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const application = await Application.findByPk(id, {
+      include: [
+        { model: User, as: 'user', attributes: ['firstName', 'lastName', 'email', 'phone'] },
+        { model: Document, as: 'documents' },
+        { model: Payment, as: 'payments' },
+        { model: BiometricAppointment, as: 'biometricAppointment' },
+        { model: Application, as: 'previousApplication', attributes: ['id', 'applicationNumber', 'visaType', 'status', 'decisionDate', 'issueDate', 'expiryDate'] }
+      ]
+    });
+
+    if (!application) {
+      return next(new AppError('Application not found', 404));
+    }
+
+    // Officers review family and group applications together
+    const group = application.applicationGroupId ? serializeGroup(await loadGroup(application.applicationGroupId)) : null;
+
+    res.json({
+      success: true,
+      data: {
+        application,
+        availableTransitions: getAvailableTransitions(application, req),
+        group
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/application/:id/timeline
+// @desc    Get the full status history of an application with actors, internal notes and durations
+// @access  Private/Admin
+router.get('/application/:id/timeline', requirePermission('applications.read_all'), [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const application = await Application.findByPk(req.params.id);
+    if (!application) {
+      return next(new AppError('Application not found', 404));
+    }
+
+    const timeline = await getStaffTimeline(application);
+
+    res.json({
+      success: true,
+      data: { timeline }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Load the application and (optionally) one of its notes for the note routes
+const loadApplicationNote = async (applicationId, noteId) => {
+  const application = await Application.findByPk(applicationId);
+  if (!application) {
+    throw new AppError('Application not found', 404);
+  }
+
+  if (!noteId) {
+    return { application };
+  }
+
+  const note = await ApplicationNote.findOne({ where: { id: noteId, applicationId } });
+  if (!note) {
+    throw new AppError('Note not found', 404);
+  }
+
+  return { application, note };
+};
+
+// @route   GET /api/admin/application/:id/notes
+// @desc    Get the case note threads of an application
+// @access  Private/Admin
+router.get('/application/:id/notes', requirePermission('applications.read_all'), [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { application } = await loadApplicationNote(req.params.id);
+    const threads = await listNoteThreads(application.id);
+
+    res.json({
+      success: true,
+      data: { threads }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/application/:id/notes
+// @desc    Add a case note (or a reply) to an application
 // @access  Private/Admin
-router.put('/passport/:id/courier', async (req, res, next) => {
+router.post('/application/:id/notes', requirePermission('applications.notes'), [
+  param('id').isUUID(),
+  // "note" is the field name older clients send
+  body('content').optional().trim(),
+  body('note').optional().trim(),
+  body('visibility').optional().isIn(['internal', 'applicant']),
+  body('parentId').optional().isUUID(),
+  body('mentions').optional().isArray({ max: 20 }),
+  body('mentions.*').isUUID()
+], async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { courierName, trackingNumber, eta } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
 
-    res.json({
+    const content = req.body.content || req.body.note;
+    if (!content) {
+      return next(new AppError('Note content is required', 400));
+    }
+
+    const { application } = await loadApplicationNote(req.params.id);
+    const { visibility, parentId, mentions } = req.body;
+
+    const note = await createNote(application, req.user, { content, visibility, parentId, mentions });
+
+    auditLogger.adminAction(req.user.id, 'add_note', application.id, { noteId: note.id, visibility: note.visibility });
+
+    res.status(201).json({
       success: true,
-      message: 'Courier information updated successfully',
-      data: {
-        id,
-        courier: { name: courierName, tracking: trackingNumber, eta },
-        lastUpdated: new Date().toISOString()
-      }
+      message: 'Note added successfully',
+      data: { note }
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @route   GET /api/admin/application/:id
-// @desc    Get single application details
+// @route   PUT /api/admin/application/:id/notes/:noteId
+// @desc    Edit a case note (previous versions are kept)
 // @access  Private/Admin
-router.get('/application/:id', async (req, res, next) => {
+router.put('/application/:id/notes/:noteId', requirePermission('applications.notes'), [
+  param('id').isUUID(),
+  param('noteId').isUUID(),
+  body('content').optional().trim().notEmpty(),
+  body('visibility').optional().isIn(['internal', 'applicant']),
+  body('mentions').optional().isArray({ max: 20 }),
+  body('mentions.*').isUUID()
+], async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
 
-    const application = await Application.findByPk(id, {
-      include: [
-        { model: User, as: 'user', attributes: ['firstName', 'lastName', 'email', 'phone'] },
-        { model: Document, as: 'documents' },
-        { model: Payment, as: 'payments' },
-        { model: BiometricAppointment, as: 'biometricAppointment' }
-      ]
+    const { application, note } = await loadApplicationNote(req.params.id, req.params.noteId);
+    const { content, visibility, mentions } = req.body;
+
+    await updateNote(note, application, req.user, { content, visibility, mentions }, {
+      canManage: hasPermission(req, 'applications.notes_manage')
     });
 
-    if (!application) {
-      return next(new AppError('Application not found', 404));
-    }
+    auditLogger.adminAction(req.user.id, 'edit_note', application.id, { noteId: note.id });
 
     res.json({
       success: true,
-      data: { application }
+      message: 'Note updated successfully',
+      data: { note }
     });
   } catch (error) {
     next(error);
   }
 });
 
-// @route   POST /api/admin/application/:id/notes
-// @desc    Add processing note to application
+// @route   PUT /api/admin/application/:id/notes/:noteId/pin
+// @desc    Pin or unpin a case note thread
 // @access  Private/Admin
-router.post('/application/:id/notes', async (req, res, next) => {
+router.put('/application/:id/notes/:noteId/pin', requirePermission('applications.notes'), [
+  param('id').isUUID(),
+  param('noteId').isUUID(),
+  body('pinned').isBoolean().toBoolean()
+], async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { note } = req.body;
-
-    if (!note) {
-      return next(new AppError('Note content is required', 400));
-    }
-
-    const application = await Application.findByPk(id);
-    if (!application) {
-      return next(new AppError('Application not found', 404));
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
     }
 
-    // Get existing notes or initialize empty
-    const existingNotes = application.processingNotes || [];
-    const newNoteEntry = {
-      content: note,
-      createdBy: req.user.id,
-      createdByName: `${req.user.firstName} ${req.user.lastName}`,
-      createdAt: new Date().toISOString()
-    };
+    const { note } = await loadApplicationNote(req.params.id, req.params.noteId);
+    await setNotePinned(note, req.user, req.body.pinned);
 
-    await application.update({
-      processingNotes: [...existingNotes, newNoteEntry]
+    res.json({
+      success: true,
+      message: req.body.pinned ? 'Note pinned' : 'Note unpinned',
+      data: { note }
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/application/:id/notes/:noteId
+// @desc    Delete a case note (it stays in its thread as a placeholder)
+// @access  Private/Admin
+router.delete('/application/:id/notes/:noteId', requirePermission('applications.notes'), [
+  param('id').isUUID(),
+  param('noteId').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
 
-    // Log action
-    auditLogger.adminAction(req.user.id, 'add_note', id, { note });
+    const { application, note } = await loadApplicationNote(req.params.id, req.params.noteId);
+    await deleteNote(note, req.user, { canManage: hasPermission(req, 'applications.notes_manage') });
+
+    auditLogger.adminAction(req.user.id, 'delete_note', application.id, { noteId: note.id });
 
     res.json({
       success: true,
-      message: 'Note added successfully',
-      data: { note: newNoteEntry }
+      message: 'Note deleted successfully'
     });
   } catch (error) {
     next(error);
@@ -742,7 +1863,7 @@ router.post('/application/:id/notes', async (req, res, next) => {
 // @route   PUT /api/admin/application/:id/assign
 // @desc    Assign application to officer
 // @access  Private/Admin
-router.put('/application/:id/assign', async (req, res, next) => {
+router.put('/application/:id/assign', requirePermission('applications.assign'), async (req, res, next) => {
   try {
     const { id } = req.params;
     const { officerId } = req.body;
@@ -784,7 +1905,7 @@ router.put('/application/:id/assign', async (req, res, next) => {
 // @route   POST /api/admin/application/:id/send-cost-estimation
 // @desc    Send cost estimation to user (admin manually triggers)
 // @access  Private/Admin
-router.post('/application/:id/send-cost-estimation', [
+router.post('/application/:id/send-cost-estimation', requirePermission('applications.cost_estimation'), [
   param('id').isUUID(),
   body('processingFee').optional().isFloat({ min: 0 }),
   body('biometricsFee').optional().isFloat({ min: 0 }),
@@ -822,30 +1943,24 @@ router.post('/application/:id/send-cost-estimation', [
       return next(new AppError('Cost estimation has already been sent for this application', 400));
     }
 
+    if (application.applicationGroupId) {
+      return next(new AppError('This application is part of a group; send the cost estimation for the whole group instead', 400));
+    }
+
     // Calculate payment deadline (3 days from now if not provided)
     const deadline = paymentDeadline ? new Date(paymentDeadline) : new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
 
-    // Update application with cost details and status
-    await application.update({
-      status: 'cost_provided',
-      processingFee,
-      biometricsFee,
-      serviceFee,
-      courierFee,
-      totalCost: total,
-      paymentDeadline: deadline,
-      costProvidedAt: new Date()
-    });
-
-    // Create notification for user
-    await Notification.create({
-      userId: application.userId,
-      applicationId: id,
-      type: 'cost',
-      title: 'Cost Details Provided',
-      message: 'The visa cost breakdown has been sent to your email. Please review and proceed with payment.',
-      priority: 'high',
-      createdBy: req.user.id
+    // Save the cost details and move the application on (this also notifies the user)
+    await transitionApplication(application, 'cost_provided', {
+      actor: req,
+      changes: {
+        processingFee,
+        biometricsFee,
+        serviceFee,
+        courierFee,
+        totalCost: total,
+        paymentDeadline: deadline
+      }
     });
 
     // Log admin action
@@ -882,10 +1997,103 @@ router.post('/application/:id/send-cost-estimation', [
   }
 });
 
+// @route   GET /api/admin/application-groups
+// @desc    List application groups with their combined status
+// @access  Private/Admin
+router.get('/application-groups', requirePermission('applications.read_all'), [
+  query('leadUserId').optional().isUUID(),
+  query('quoted').optional().isBoolean().toBoolean()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const where = {};
+    if (req.query.leadUserId) where.leadUserId = req.query.leadUserId;
+    if (req.query.quoted !== undefined) where.costProvidedAt = req.query.quoted ? { [Op.ne]: null } : null;
+
+    const groups = await listGroups(where);
+
+    res.json({
+      success: true,
+      data: { groups: groups.map(serializeGroup) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/application-groups/:id
+// @desc    Get an application group with its members and combined status
+// @access  Private/Admin
+router.get('/application-groups/:id', requirePermission('applications.read_all'), [
+  param('id').isUUID()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const group = await loadGroup(req.params.id);
+
+    res.json({
+      success: true,
+      data: { group: serializeGroup(group) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/application-groups/:id/send-cost-estimation
+// @desc    Send one combined quote for every application of a group
+// @access  Private/Admin
+router.post('/application-groups/:id/send-cost-estimation', requirePermission('applications.cost_estimation'), [
+  param('id').isUUID(),
+  body('processingFee').optional().isFloat({ min: 0 }),
+  body('biometricsFee').optional().isFloat({ min: 0 }),
+  body('serviceFee').optional().isFloat({ min: 0 }),
+  body('courierFee').optional().isFloat({ min: 0 }),
+  body('paymentDeadline').optional().isISO8601()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { processingFee, biometricsFee, serviceFee, courierFee, paymentDeadline } = req.body;
+
+    const group = await loadGroup(req.params.id);
+    const quoted = await sendGroupCostEstimation(group, {
+      fees: { processingFee, biometricsFee, serviceFee, courierFee },
+      paymentDeadline
+    }, req);
+
+    auditLogger.adminAction(req.user.id, 'send_group_cost_estimation', quoted.leadUserId, {
+      applicationGroupId: quoted.id,
+      totalCost: quoted.totalCost,
+      costBreakdown: quoted.costBreakdown,
+      paymentDeadline: quoted.paymentDeadline
+    });
+
+    res.json({
+      success: true,
+      message: 'Combined cost estimation sent successfully to the lead applicant',
+      data: { group: serializeGroup(quoted) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/admin/system/settings
 // @desc    Get system settings
 // @access  Private/Admin
-router.get('/system/settings', async (req, res, next) => {
+router.get('/system/settings', requirePermission('settings.manage'), async (req, res, next) => {
   try {
     // Return mock system settings
     res.json({
@@ -899,7 +2107,7 @@ router.get('/system/settings', async (req, res, next) => {
           backupFrequency: 'daily',
           logRetention: '30',
           sessionTimeout: '60',
-          passwordPolicy: 'strong',
+          passwordPolicy: await getPasswordPolicy(),
           ipWhitelist: false,
           auditLogging: true,
           adminAlerts: true,
@@ -917,9 +2125,14 @@ router.get('/system/settings', async (req, res, next) => {
 // @route   PUT /api/admin/system/settings
 // @desc    Update system settings
 // @access  Private/Admin
-router.put('/system/settings', async (req, res, next) => {
+router.put('/system/settings', requirePermission('settings.manage'), async (req, res, next) => {
   try {
-    const settings = req.body;
+    const settings = { ...req.body };
+
+    // The password policy is persisted; see also /system/password-policy
+    if (settings.passwordPolicy !== undefined) {
+      settings.passwordPolicy = await updatePasswordPolicy(settings.passwordPolicy, req.user.id);
+    }
 
     // Log the settings change
     auditLogger.adminAction(req.user.id, 'update_system_settings', null, { settings });
@@ -934,46 +2147,190 @@ router.put('/system/settings', async (req, res, next) => {
   }
 });
 
+// @route   GET /api/admin/system/password-policy
+// @desc    Get the password policy in force
+// @access  Private/Admin
+router.get('/system/password-policy', requirePermission('settings.manage'), async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: { policy: await getPasswordPolicy() }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/system/password-policy
+// @desc    Update the password policy (only the fields sent are changed)
+// @access  Private/Admin
+router.put('/system/password-policy', requirePermission('settings.manage'), async (req, res, next) => {
+  try {
+    const policy = await updatePasswordPolicy(req.body, req.user.id);
+
+    auditLogger.adminAction(req.user.id, 'update_password_policy', null, { changes: req.body });
+
+    res.json({
+      success: true,
+      message: 'Password policy updated successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   DELETE /api/admin/users
-// @desc    Delete all users (except current admin)
+// @desc    Removed - bulk deletion orphaned files and ignored retention duties
 // @access  Private/Admin
-router.delete('/users', async (req, res, next) => {
+router.delete('/users', requirePermission('users.delete'), (req, res) => {
+  res.status(410).json({
+    success: false,
+    message: 'Bulk user deletion has been removed. Erase individual accounts through /api/admin/erasure-requests'
+  });
+});
+
+// @route   GET /api/admin/erasure-requests
+// @desc    List erasure requests (pending ones by default)
+// @access  Private (users.delete)
+router.get('/erasure-requests', requirePermission('users.delete'), [
+  query('status').optional().isIn(['pending', 'completed', 'rejected', 'cancelled', 'all'])
+], async (req, res, next) => {
   try {
-    // Get the current admin's ID to exclude from deletion
-    const currentAdminId = req.user.id;
-
-    // Count users before deletion
-    const totalUsers = await User.count();
-    const usersToDelete = await User.count({
-      where: {
-        id: { [Op.ne]: currentAdminId }
-      }
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const status = req.query.status || 'pending';
+
+    const erasureRequests = await ErasureRequest.findAll({
+      where: status === 'all' ? {} : { status },
+      include: [
+        { model: User, as: 'user', attributes: ['id', 'firstName', 'lastName', 'email', 'role', 'legalHold', 'legalHoldReason', 'erasedAt'] },
+        { model: User, as: 'reviewer', attributes: ['id', 'firstName', 'lastName'] }
+      ],
+      order: [['createdAt', 'DESC']]
     });
 
-    // Delete all users except the current admin
-    await User.destroy({
-      where: {
-        id: { [Op.ne]: currentAdminId }
-      }
+    res.json({
+      success: true,
+      data: { erasureRequests }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/erasure-requests/:id/approve
+// @desc    Approve an erasure request and pseudonymise the account
+// @access  Private (users.delete)
+router.put('/erasure-requests/:id/approve', requirePermission('users.delete'), [
+  param('id').isUUID(),
+  body('notes').optional().trim().isLength({ max: 2000 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const erasureRequest = await ErasureRequest.findByPk(req.params.id);
+    if (!erasureRequest) {
+      return next(new AppError('Erasure request not found', 404));
+    }
+    if (erasureRequest.status !== 'pending') {
+      return next(new AppError(`Erasure request is already ${erasureRequest.status}`, 409));
+    }
+    if (erasureRequest.userId === req.user.id) {
+      return next(new AppError('You cannot approve erasure of your own account', 403));
+    }
+
+    const summary = await approveErasureRequest(erasureRequest, req.user, req.body.notes);
+
+    auditLogger.adminAction(req.user.id, 'approve_erasure', erasureRequest.userId, { erasureRequestId: erasureRequest.id });
+
+    res.json({
+      success: true,
+      message: 'Account data erased. See the summary for what was retained and why.',
+      data: { summary }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/erasure-requests/:id/reject
+// @desc    Decline an erasure request, with a reason shown to the user
+// @access  Private (users.delete)
+router.put('/erasure-requests/:id/reject', requirePermission('users.delete'), [
+  param('id').isUUID(),
+  body('reason').trim().isLength({ min: 5, max: 2000 }).withMessage('A reason of at least 5 characters is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const erasureRequest = await ErasureRequest.findByPk(req.params.id);
+    if (!erasureRequest) {
+      return next(new AppError('Erasure request not found', 404));
+    }
+    if (erasureRequest.status !== 'pending') {
+      return next(new AppError(`Erasure request is already ${erasureRequest.status}`, 409));
+    }
+
+    await rejectErasureRequest(erasureRequest, req.user, req.body.reason);
+
+    auditLogger.adminAction(req.user.id, 'reject_erasure', erasureRequest.userId, { erasureRequestId: erasureRequest.id, reason: req.body.reason });
+
+    res.json({
+      success: true,
+      message: 'Erasure request rejected'
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/users/:id/legal-hold
+// @desc    Place or lift a legal hold, which blocks erasure of the account
+// @access  Private (users.delete)
+router.put('/users/:id/legal-hold', requirePermission('users.delete'), [
+  param('id').isUUID(),
+  body('legalHold').isBoolean().withMessage('legalHold must be a boolean'),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const legalHold = String(req.body.legalHold) === 'true';
+    if (legalHold && !req.body.reason) {
+      return next(new AppError('A reason is required to place a legal hold', 400));
+    }
+
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
 
-    // Log the action
-    auditLogger.adminAction(req.user.id, 'delete_all_users', null, { 
-      totalUsers, 
-      deletedCount: usersToDelete,
-      retainedAdminId: currentAdminId
+    await user.update({
+      legalHold,
+      legalHoldReason: legalHold ? req.body.reason : null
     });
 
+    auditLogger.adminAction(req.user.id, legalHold ? 'place_legal_hold' : 'lift_legal_hold', user.id, { reason: req.body.reason });
+
     res.json({
       success: true,
-      message: `Successfully deleted ${usersToDelete} users. Admin user (${currentAdminId}) was preserved.`,
-      data: {
-        deletedCount: usersToDelete,
-        preservedAdminId: currentAdminId
-      }
+      message: legalHold ? 'Legal hold placed' : 'Legal hold lifted',
+      data: { user: user.toSafeObject() }
     });
   } catch (error) {
-    console.error('❌ Delete all users error:', error);
     next(error);
   }
 });
@@ -984,7 +2341,7 @@ const VALID_DOCUMENT_STATUSES = ['pending', 'approved', 'rejected'];
 // @route   GET /api/admin/documents
 // @desc    Get all documents with pagination and filtering
 // @access  Private/Admin
-router.get('/documents', [
+router.get('/documents', requirePermission('documents.read_all'), [
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
   query('status').optional().isIn(VALID_DOCUMENT_STATUSES),
@@ -1042,10 +2399,11 @@ router.get('/documents', [
 // @route   PUT /api/admin/documents/:id/status
 // @desc    Update document status (approve/reject)
 // @access  Private/Admin
-router.put('/documents/:id/status', [
+router.put('/documents/:id/status', requirePermission('documents.review'), [
   param('id').isUUID(),
   body('status').isIn(VALID_DOCUMENT_STATUSES),
-  body('rejectionReason').optional().trim()
+  body('rejectionReason').optional().trim(),
+  body('expiresAt').optional({ nullable: true }).isISO8601()
 ], async (req, res, next) => {
   try {
     // DEBUG: Log the status update attempt
@@ -1117,6 +2475,10 @@ router.put('/documents/:id/status', [
     if (status === 'approved') {
       updateData.verifiedAt = new Date();
     }
+    // Reviewers record the expiry date printed on the document
+    if (req.body.expiresAt !== undefined) {
+      updateData.expiresAt = req.body.expiresAt;
+    }
 
     await document.update(updateData);
 
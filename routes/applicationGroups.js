@@ -0,0 +1,254 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { Application } = require('../models');
+const { protect, isOwner, canAccessResource } = require('../middleware/auth');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+const {
+  GROUP_RELATIONSHIPS,
+  MAX_GROUP_SIZE,
+  loadGroup,
+  listGroups,
+  serializeGroup,
+  createGroup,
+  addGroupMember,
+  removeGroupMember,
+  dissolveGroup
+} = require('../services/applicationGroupService');
+
+const router = express.Router();
+
+// All group routes require authentication
+router.use(protect);
+
+// The lead applicant manages the group; staff who may view every application can view it
+const loadAccessibleGroup = async (req, { manage = false } = {}) => {
+  const group = await loadGroup(req.params.id);
+  const allowed = manage
+    ? isOwner(group, req.user, 'leadUserId')
+    : canAccessResource(req, group, 'applications.read_all', 'leadUserId');
+  if (!allowed) {
+    throw new AppError(`Not authorized to ${manage ? 'change' : 'access'} this group`, 403);
+  }
+  return group;
+};
+
+// @route   GET /api/application-groups
+// @desc    Get the user's application groups
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const groups = await listGroups({ leadUserId: req.user.id });
+
+    res.json({
+      success: true,
+      data: { groups: groups.map(serializeGroup) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/application-groups/:id
+// @desc    Get an application group with its members and combined status
+// @access  Private
+router.get('/:id', [
+  param('id').isUUID().withMessage('Invalid group ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const group = await loadAccessibleGroup(req);
+
+    res.json({
+      success: true,
+      data: { group: serializeGroup(group) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/application-groups
+// @desc    Link the user's applications for people travelling together into one group
+// @access  Private
+router.post('/', [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Group name must be between 1 and 100 characters'),
+  body('leadApplicationId')
+    .isUUID()
+    .withMessage('Lead application ID is required'),
+  body('members')
+    .optional()
+    .isArray({ max: MAX_GROUP_SIZE - 1 })
+    .withMessage(`A group can have at most ${MAX_GROUP_SIZE} applications`),
+  body('members.*.applicationId')
+    .isUUID()
+    .withMessage('Each member needs an application ID'),
+  body('members.*.relationship')
+    .optional()
+    .isIn(GROUP_RELATIONSHIPS.filter(relationship => relationship !== 'lead'))
+    .withMessage('Valid relationship is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const memberInput = req.body.members || [];
+    const ids = [req.body.leadApplicationId, ...memberInput.map(member => member.applicationId)];
+    if (new Set(ids).size !== ids.length) {
+      return next(new AppError('An application can only be added to the group once', 400));
+    }
+
+    const applications = await Application.findAll({ where: { id: ids } });
+    const findApplication = (id) => applications.find(application => application.id === id);
+
+    const missing = ids.filter(id => !findApplication(id));
+    if (missing.length > 0) {
+      return next(new AppError(`Application not found: ${missing.join(', ')}`, 404));
+    }
+
+    const group = await createGroup({
+      name: req.body.name,
+      leadApplication: findApplication(req.body.leadApplicationId),
+      members: memberInput.map(member => ({ application: findApplication(member.applicationId), relationship: member.relationship })),
+      user: req.user
+    });
+
+    logger.info(`Application group ${group.id} created by user ${req.user.id} with ${group.members.length} applications`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Application group created successfully',
+      data: { group: serializeGroup(group) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/application-groups/:id/members
+// @desc    Add one of the user's applications to a group
+// @access  Private
+router.post('/:id/members', [
+  param('id').isUUID().withMessage('Invalid group ID'),
+  body('applicationId')
+    .isUUID()
+    .withMessage('Application ID is required'),
+  body('relationship')
+    .optional()
+    .isIn(GROUP_RELATIONSHIPS.filter(relationship => relationship !== 'lead'))
+    .withMessage('Valid relationship is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const group = await loadAccessibleGroup(req, { manage: true });
+
+    const application = await Application.findByPk(req.body.applicationId);
+    if (!application) {
+      return next(new AppError('Application not found', 404));
+    }
+
+    const updated = await addGroupMember(group, application, req.body.relationship);
+
+    res.json({
+      success: true,
+      message: 'Application added to the group',
+      data: { group: serializeGroup(updated) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/application-groups/:id/members/:applicationId
+// @desc    Take an application out of a group
+// @access  Private
+router.delete('/:id/members/:applicationId', [
+  param('id').isUUID().withMessage('Invalid group ID'),
+  param('applicationId').isUUID().withMessage('Invalid application ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const group = await loadAccessibleGroup(req, { manage: true });
+
+    const application = await Application.findByPk(req.params.applicationId);
+    if (!application) {
+      return next(new AppError('Application not found', 404));
+    }
+
+    const updated = await removeGroupMember(group, application);
+
+    res.json({
+      success: true,
+      message: 'Application removed from the group',
+      data: { group: serializeGroup(updated) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/application-groups/:id
+// @desc    Dissolve a group; its applications carry on separately
+// @access  Private
+router.delete('/:id', [
+  param('id').isUUID().withMessage('Invalid group ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const group = await loadAccessibleGroup(req, { manage: true });
+
+    await dissolveGroup(group);
+
+    logger.info(`Application group ${group.id} dissolved by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Application group dissolved'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
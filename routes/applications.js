@@ -1,13 +1,34 @@
 const express = require('express');
 const { Op } = require('sequelize');
-const { body, param, validationResult } = require('express-validator');
-const { Application, User, Document, Payment, BiometricAppointment } = require('../models');
-const { protect, authorize, authorizeOwnerOrAdmin } = require('../middleware/auth');
+const { body, param, query, validationResult } = require('express-validator');
+const { Application, FormSchema, User, Document, Payment, BiometricAppointment } = require('../models');
+const { protect, requirePermission, hasPermission, isOwner, canAccessResource, requireVerifiedEmail } = require('../middleware/auth');
 const { AppError } = require('../middleware/errorHandler');
 const { logger, auditLogger } = require('../middleware/logger');
+const { transitionApplication, getStatusList } = require('../services/applicationStateMachine');
+const { getApplicantTimeline } = require('../services/applicationTimelineService');
+const { listApplicantNotes } = require('../services/applicationNoteService');
+const { validateAnswers, extractAnswers, getActiveFormSchema, getApplicationFormSchema } = require('../services/formSchemaService');
+const { createInitialRevision, saveAnswers, listRevisions, getRevision, compareRevisions, restoreRevision } = require('../services/applicationRevisionService');
+const { generateApplicationNumber } = require('../services/applicationNumberService');
+const { getRenewableApplications, cloneApplication, RENEWAL_WINDOW_DAYS } = require('../services/applicationCloneService');
+const { runEligibilityCheck } = require('../services/eligibilityService');
+const { getReadiness } = require('../services/applicationReadinessService');
+const { VISA_TYPES } = require('../config/applicationForms');
+const { processingCenters } = require('../config/applicationNumbers');
 
 const router = express.Router();
 
+// A calendar date as YYYY-MM-DD (any time part is dropped by the handler). isISO8601 on its
+// own also takes week dates, ordinal dates and bare years, which the date maths cannot use.
+const calendarDate = (field, message) => {
+  return body(field)
+    .isISO8601({ strict: true, strictSeparator: true })
+    .withMessage(message)
+    .matches(/^\d{4}-\d{2}-\d{2}(T|$)/)
+    .withMessage(message);
+};
+
 // @route   GET /api/applications
 // @desc    Get user's applications
 // @access  Private
@@ -39,6 +60,107 @@ router.get('/', protect, async (req, res, next) => {
   }
 });
 
+// @route   GET /api/applications/form-schema
+// @desc    Get the application form for a visa type and destination
+// @access  Private
+router.get('/form-schema', [
+  protect,
+  query('visaType').isIn(VISA_TYPES).withMessage('Valid visa type is required'),
+  query('destinationCountry').optional().isString().trim()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const formSchema = await getActiveFormSchema(req.query.visaType, req.query.destinationCountry);
+
+    res.json({
+      success: true,
+      data: { formSchema }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/applications/eligibility-check
+// @desc    Check a planned trip against the eligibility rules before applying
+// @access  Private
+router.post('/eligibility-check', [
+  protect,
+  body('nationality')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Nationality is required'),
+  body('destinationCountry')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Destination country is required'),
+  body('visaType')
+    .isIn(VISA_TYPES)
+    .withMessage('Valid visa type is required'),
+  calendarDate('intendedDateOfArrival', 'Valid arrival date (YYYY-MM-DD) is required'),
+  calendarDate('intendedDateOfDeparture', 'Valid departure date (YYYY-MM-DD) is required')
+    .custom((value, { req }) => String(value).slice(0, 10) >= String(req.body.intendedDateOfArrival).slice(0, 10))
+    .withMessage('Departure date cannot be before the arrival date'),
+  calendarDate('passportExpiryDate', 'Valid passport expiry date (YYYY-MM-DD) is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { nationality, destinationCountry, visaType } = req.body;
+    const eligibility = await runEligibilityCheck({
+      nationality,
+      destinationCountry,
+      visaType,
+      intendedDateOfArrival: req.body.intendedDateOfArrival.slice(0, 10),
+      intendedDateOfDeparture: req.body.intendedDateOfDeparture.slice(0, 10),
+      passportExpiryDate: req.body.passportExpiryDate.slice(0, 10)
+    });
+
+    res.json({
+      success: true,
+      data: eligibility
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/applications/renewable
+// @desc    Get issued visas that can be renewed now
+// @access  Private
+router.get('/renewable', protect, async (req, res, next) => {
+  try {
+    const applications = await getRenewableApplications(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        applications,
+        renewalWindowDays: RENEWAL_WINDOW_DAYS
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/applications/:id
 // @desc    Get specific application
 // @access  Private
@@ -61,7 +183,9 @@ router.get('/:id', [
         { model: User, as: 'user', attributes: ['firstName', 'lastName', 'email', 'phoneNumber'] },
         { model: Document, as: 'documents' },
         { model: Payment, as: 'payments' },
-        { model: BiometricAppointment, as: 'biometricAppointment' }
+        { model: BiometricAppointment, as: 'biometricAppointment' },
+        { model: FormSchema, as: 'formSchema' },
+        { model: Application, as: 'previousApplication', attributes: ['id', 'applicationNumber', 'visaType', 'status', 'expiryDate'] }
       ]
     });
 
@@ -69,8 +193,8 @@ router.get('/:id', [
       return next(new AppError('Application not found', 404));
     }
 
-    // Check if user owns the application or is admin/officer
-    if (application.userId !== req.user.id && !['admin', 'officer'].includes(req.user.role)) {
+    // Check if user owns the application or may view all applications
+    if (!canAccessResource(req, application, 'applications.read_all')) {
       return next(new AppError('Not authorized to access this application', 403));
     }
 
@@ -83,63 +207,144 @@ router.get('/:id', [
   }
 });
 
+// @route   GET /api/applications/:id/timeline
+// @desc    Get the status history of an application
+// @access  Private
+router.get('/:id/timeline', [
+  protect,
+  param('id').isUUID().withMessage('Invalid application ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findByPk(req.params.id);
+
+    if (!application) {
+      return next(new AppError('Application not found', 404));
+    }
+
+    if (!canAccessResource(req, application, 'applications.read_all')) {
+      return next(new AppError('Not authorized to access this application', 403));
+    }
+
+    // Staff get the full version from /api/admin/application/:id/timeline
+    const timeline = await getApplicantTimeline(application);
+
+    res.json({
+      success: true,
+      data: { timeline }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/applications/:id/readiness
+// @desc    Get the checklist of documents and answers still needed before submission
+// @access  Private
+router.get('/:id/readiness', [
+  protect,
+  param('id').isUUID().withMessage('Invalid application ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findByPk(req.params.id);
+
+    if (!application) {
+      return next(new AppError('Application not found', 404));
+    }
+
+    if (!canAccessResource(req, application, 'applications.read_all')) {
+      return next(new AppError('Not authorized to access this application', 403));
+    }
+
+    const readiness = await getReadiness(application);
+
+    res.json({
+      success: true,
+      data: {
+        status: application.status,
+        ...readiness
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/applications/:id/notes
+// @desc    Get the messages staff have shared about an application
+// @access  Private
+router.get('/:id/notes', [
+  protect,
+  param('id').isUUID().withMessage('Invalid application ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findByPk(req.params.id);
+
+    if (!application) {
+      return next(new AppError('Application not found', 404));
+    }
+
+    if (!canAccessResource(req, application, 'applications.read_all')) {
+      return next(new AppError('Not authorized to access this application', 403));
+    }
+
+    const notes = await listApplicantNotes(application.id);
+
+    res.json({
+      success: true,
+      data: { notes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   POST /api/applications
 // @desc    Create new application
 // @access  Private
 router.post('/', [
   protect,
   body('visaType')
-    .isIn(['tourist', 'business', 'student', 'work', 'transit', 'family', 'diplomatic'])
+    .isIn(VISA_TYPES)
     .withMessage('Valid visa type is required'),
   body('destinationCountry')
     .optional()
+    .isString()
     .trim(),
-  body('firstName')
-    .optional()
-    .trim(),
-  body('lastName')
-    .optional()
-    .trim(),
-  body('passportNumber')
+  body('fullName')
     .optional()
+    .isString()
     .trim(),
-  body('passportExpiryDate')
-    .optional()
-    .isISO8601()
-    .withMessage('Valid passport expiry date is required'),
-  body('dateOfBirth')
-    .optional()
-    .isISO8601()
-    .withMessage('Valid date of birth is required'),
-  body('nationality')
-    .optional()
-    .trim(),
-  body('purposeOfTravel')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Purpose of travel must be less than 500 characters'),
-  body('intendedDurationOfStay')
+  body('processingCenter')
     .optional()
-    .isInt({ min: 1, max: 365 })
-    .withMessage('Duration must be between 1 and 365 days'),
-  body('intendedEntryDate')
-    .optional()
-    .isISO8601()
-    .withMessage('Valid intended entry date is required'),
-  body('accommodationType')
-    .optional()
-    .isIn(['hotel', 'hostel', 'rented', 'friend_relative', 'own_property', 'other'])
-    .withMessage('Valid accommodation type is required'),
-  body('hasPreviousVisa')
-    .optional()
-    .isBoolean()
-    .withMessage('Previous visa flag must be a boolean'),
-  body('previousVisaDetails')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Previous visa details must be less than 500 characters')
+    .isIn(Object.keys(processingCenters))
+    .withMessage(`Processing center must be one of ${Object.keys(processingCenters).join(', ')}`)
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -151,23 +356,36 @@ router.post('/', [
       });
     }
 
+    // Answers are checked against the form for this visa type and destination; the
+    // application keeps that schema version even if a newer one is published later
+    const formSchema = await getActiveFormSchema(req.body.visaType, req.body.destinationCountry);
+    const answers = extractAnswers(formSchema.definition, req.body);
+
     // Parse fullName into firstName and lastName if provided
-    let { firstName, lastName } = req.body;
-    if (req.body.fullName && !firstName && !lastName) {
-      const nameParts = req.body.fullName.trim().split(' ');
-      firstName = nameParts[0];
-      lastName = nameParts.slice(1).join(' ') || '';
+    if (req.body.fullName && !answers.firstName && !answers.lastName) {
+      const nameParts = req.body.fullName.split(/\s+/);
+      answers.firstName = nameParts[0];
+      answers.lastName = nameParts.slice(1).join(' ') || undefined;
+    }
+
+    // Drafts may be incomplete; required answers are enforced on submission
+    const { values, columns, errors: answerErrors } = validateAnswers(formSchema.definition, answers);
+    if (answerErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: answerErrors
+      });
     }
 
     const applicationData = {
       userId: req.user.id,
-      applicationNumber: `VISA-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
       visaType: req.body.visaType,
       destinationCountry: req.body.destinationCountry || null,
-      firstName: firstName || null,
-      lastName: lastName || null,
-      status: 'draft',
-      ...req.body
+      processingCenter: req.body.processingCenter || null,
+      formSchemaId: formSchema.id,
+      formAnswers: values,
+      ...columns
     };
 
     console.log('═══════════════════════════════════════════════════════════');
@@ -179,7 +397,15 @@ router.post('/', [
     console.log(JSON.stringify(applicationData, null, 2));
     console.log('');
 
-    const application = await Application.create(applicationData);
+    // The number, the application and its first answer revision are saved together
+    const application = await Application.sequelize.transaction(async (transaction) => {
+      const created = await Application.create({
+        ...applicationData,
+        applicationNumber: await generateApplicationNumber({ processingCenter: req.body.processingCenter, transaction })
+      }, { transaction });
+      await createInitialRevision(created, { user: req.user, transaction });
+      return created;
+    });
 
     console.log('✅ Application Created Successfully:');
     console.log(`   ID: ${application.id}`);
@@ -231,16 +457,37 @@ router.put('/:id', [
     }
 
     // Check if user owns the application
-    if (application.userId !== req.user.id) {
+    if (!isOwner(application, req.user)) {
       return next(new AppError('Not authorized to update this application', 403));
     }
 
-    // Only allow updates if application is in draft status or user is admin/officer
-    if (application.status !== 'draft' && !['admin', 'officer'].includes(req.user.role)) {
+    // Only allow updates if application is in draft status or user may edit submitted applications
+    if (application.status !== 'draft' && !hasPermission(req, 'applications.update_any')) {
       return next(new AppError('Cannot update application after submission', 400));
     }
 
-    await application.update(req.body);
+    // Status changes go through the workflow endpoints
+    if (req.body.status !== undefined && req.body.status !== application.status) {
+      return next(new AppError('The status cannot be changed here. Use the submit or cancel endpoints instead', 400));
+    }
+
+    const formSchema = await getApplicationFormSchema(application);
+
+    // Only the answers sent are changed; null clears an answer
+    const { errors: answerErrors } = await saveAnswers(application, {
+      answers: extractAnswers(formSchema.definition, req.body),
+      action: 'update',
+      user: req.user,
+      changes: req.body.notes !== undefined ? { notes: req.body.notes } : {},
+      requireComplete: application.status !== 'draft'
+    });
+    if (answerErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: answerErrors
+      });
+    }
 
     logger.info(`Application ${application.applicationNumber} updated by user ${req.user.id}`);
 
@@ -254,11 +501,320 @@ router.put('/:id', [
   }
 });
 
+// @route   PATCH /api/applications/:id
+// @desc    Autosave some answers of a draft application
+// @access  Private
+router.patch('/:id', [
+  protect,
+  param('id').isUUID().withMessage('Invalid application ID'),
+  body('baseRevision')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Base revision must be a revision number')
+    .toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findByPk(req.params.id);
+
+    if (!application) {
+      return next(new AppError('Application not found', 404));
+    }
+
+    if (!isOwner(application, req.user)) {
+      return next(new AppError('Not authorized to update this application', 403));
+    }
+
+    if (application.status !== 'draft') {
+      return next(new AppError('Only draft applications can be autosaved', 400));
+    }
+
+    const formSchema = await getApplicationFormSchema(application);
+
+    // Only the answers sent are changed; null clears an answer
+    const { errors: answerErrors, revision } = await saveAnswers(application, {
+      answers: extractAnswers(formSchema.definition, req.body),
+      action: 'autosave',
+      user: req.user,
+      baseRevision: req.body.baseRevision,
+      draftOnly: true
+    });
+    if (answerErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: answerErrors
+      });
+    }
+
+    res.json({
+      success: true,
+      message: revision ? 'Draft saved' : 'No changes to save',
+      data: { application, revision }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/applications/:id/revisions
+// @desc    List the saved revisions of an application's answers
+// @access  Private
+router.get('/:id/revisions', [
+  protect,
+  param('id').isUUID().withMessage('Invalid application ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findByPk(req.params.id);
+
+    if (!application) {
+      return next(new AppError('Application not found', 404));
+    }
+
+    if (!canAccessResource(req, application, 'applications.read_all')) {
+      return next(new AppError('Not authorized to access this application', 403));
+    }
+
+    const revisions = await listRevisions(application);
+
+    res.json({
+      success: true,
+      data: { revisions }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/applications/:id/revisions/diff
+// @desc    Compare the answers of two revisions (?from=&to=)
+// @access  Private
+router.get('/:id/revisions/diff', [
+  protect,
+  param('id').isUUID().withMessage('Invalid application ID'),
+  query('from').isInt({ min: 1 }).withMessage('From must be a revision number').toInt(),
+  query('to').isInt({ min: 1 }).withMessage('To must be a revision number').toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findByPk(req.params.id);
+
+    if (!application) {
+      return next(new AppError('Application not found', 404));
+    }
+
+    if (!canAccessResource(req, application, 'applications.read_all')) {
+      return next(new AppError('Not authorized to access this application', 403));
+    }
+
+    const diff = await compareRevisions(application, req.query.from, req.query.to);
+
+    res.json({
+      success: true,
+      data: { diff }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/applications/:id/revisions/:revision
+// @desc    Get one revision with the full answers as they were then
+// @access  Private
+router.get('/:id/revisions/:revision', [
+  protect,
+  param('id').isUUID().withMessage('Invalid application ID'),
+  param('revision').isInt({ min: 1 }).withMessage('Invalid revision number').toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findByPk(req.params.id);
+
+    if (!application) {
+      return next(new AppError('Application not found', 404));
+    }
+
+    if (!canAccessResource(req, application, 'applications.read_all')) {
+      return next(new AppError('Not authorized to access this application', 403));
+    }
+
+    const revision = await getRevision(application, req.params.revision);
+
+    res.json({
+      success: true,
+      data: { revision }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/applications/:id/revisions/:revision/restore
+// @desc    Restore a draft's answers to an earlier revision
+// @access  Private
+router.post('/:id/revisions/:revision/restore', [
+  protect,
+  param('id').isUUID().withMessage('Invalid application ID'),
+  param('revision').isInt({ min: 1 }).withMessage('Invalid revision number').toInt(),
+  body('baseRevision')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Base revision must be a revision number')
+    .toInt()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const application = await Application.findByPk(req.params.id);
+
+    if (!application) {
+      return next(new AppError('Application not found', 404));
+    }
+
+    if (!isOwner(application, req.user)) {
+      return next(new AppError('Not authorized to update this application', 403));
+    }
+
+    // Answers that have since become invalid (e.g. a date now in the past) are reported, not restored
+    const { errors: answerErrors, revision } = await restoreRevision(application, req.params.revision, {
+      user: req.user,
+      baseRevision: req.body.baseRevision
+    });
+    if (answerErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: answerErrors
+      });
+    }
+
+    logger.info(`Application ${application.applicationNumber} restored to revision ${req.params.revision} by user ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: revision ? `Draft restored to revision ${req.params.revision}` : 'The draft already matches that revision',
+      data: { application, revision }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Shared by clone and renew: start a new draft from one of the user's applications
+const startFromPrevious = (renewal) => async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const previous = await Application.findByPk(req.params.id);
+
+    if (!previous) {
+      return next(new AppError('Application not found', 404));
+    }
+
+    if (!isOwner(previous, req.user)) {
+      return next(new AppError('Not authorized to copy this application', 403));
+    }
+
+    const { application, documents, droppedFields } = await cloneApplication(previous, {
+      visaType: req.body.visaType,
+      destinationCountry: req.body.destinationCountry,
+      renewal
+    });
+
+    logger.info(`Application ${application.applicationNumber} ${renewal ? 'renewed' : 'cloned'} from ${previous.applicationNumber} by user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: renewal ? 'Renewal application created successfully' : 'Application copied successfully',
+      data: {
+        application,
+        carriedForwardDocuments: documents,
+        // Answers that could not be copied (e.g. travel dates now in the past) and must be given again
+        droppedFields
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @route   POST /api/applications/:id/clone
+// @desc    Start a new draft with the answers and still-valid documents of an earlier application
+// @access  Private
+router.post('/:id/clone', [
+  protect,
+  param('id').isUUID().withMessage('Invalid application ID'),
+  body('visaType')
+    .optional()
+    .isIn(VISA_TYPES)
+    .withMessage('Valid visa type is required'),
+  body('destinationCountry')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+], startFromPrevious(false));
+
+// @route   POST /api/applications/:id/renew
+// @desc    Renew an issued visa that is nearing its expiry date
+// @access  Private
+router.post('/:id/renew', [
+  protect,
+  param('id').isUUID().withMessage('Invalid application ID')
+], startFromPrevious(true));
+
 // @route   PUT /api/applications/:id/submit
 // @desc    Submit application for review
 // @access  Private
 router.put('/:id/submit', [
   protect,
+  requireVerifiedEmail,
   param('id').isUUID().withMessage('Invalid application ID')
 ], async (req, res, next) => {
   try {
@@ -289,7 +845,7 @@ router.put('/:id/submit', [
     console.log('');
 
     // Check if user owns the application
-    if (application.userId !== req.user.id) {
+    if (!isOwner(application, req.user)) {
       console.log('❌ User not authorized to submit this application');
       console.log(`   Application User ID: ${application.userId}`);
       console.log(`   Submitting User ID: ${req.user.id}`);
@@ -297,48 +853,34 @@ router.put('/:id/submit', [
       return next(new AppError('Not authorized to submit this application', 403));
     }
 
-    if (application.status !== 'draft') {
-      console.log('❌ Application cannot be submitted - not in draft status');
-      console.log(`   Current Status: ${application.status}`);
-      console.log('═══════════════════════════════════════════════════════════');
-      return next(new AppError('Only draft applications can be submitted', 400));
+    // Report everything that is missing at once; the workflow guards check it again
+    if (application.status === 'draft') {
+      const readiness = await getReadiness(application);
+      if (!readiness.ready) {
+        console.log('❌ Application not ready for submission');
+        console.log('═══════════════════════════════════════════════════════════');
+        return res.status(400).json({
+          success: false,
+          message: 'The application is not ready to be submitted',
+          errors: [
+            ...readiness.missingDocuments.map(document => ({ type: 'document', key: document.key, msg: `${document.label} is required` })),
+            ...readiness.missingFields.map(field => ({ type: 'field', path: field.field, msg: field.message }))
+          ]
+        });
+      }
     }
 
-    await application.update({
-      status: 'submitted',
-      submittedAt: new Date()
-    });
+    // The workflow checks the application is still a draft and notifies the reviewers
+    await transitionApplication(application, 'submitted', { actor: req });
 
     console.log('✅ Application Submitted Successfully:');
     console.log(`   ID: ${application.id}`);
     console.log(`   Application Number: ${application.applicationNumber}`);
-    console.log(`   New Status: submitted`);
-    console.log(`   Submitted At: ${application.submittedAt}`);
+    console.log(`   New Status: ${application.status}`);
+    console.log(`   Submission Date: ${application.submissionDate}`);
     console.log('═══════════════════════════════════════════════════════════');
 
     logger.info(`Application ${application.applicationNumber} submitted by user ${req.user.id}`);
-    auditLogger.applicationStatusChange(application.id, 'draft', 'submitted', req.user.id);
-
-    // Notify all admin users about the new application submission
-    const { User, Notification } = require('../models');
-    const adminUsers = await User.findAll({
-      where: { role: 'admin', isActive: true }
-    });
-
-    // Create notification for each admin user
-    for (const admin of adminUsers) {
-      await Notification.create({
-        userId: admin.id,
-        applicationId: application.id,
-        type: 'application_status_update',
-        title: 'New Application Submitted for Review',
-        message: `A new visa application (${application.applicationNumber}) has been submitted and requires your review.`,
-        priority: 'high',
-        createdBy: req.user.id
-      });
-    }
-
-    logger.info(`Notifications sent to ${adminUsers.length} admin users for application ${application.applicationNumber}`);
 
     res.json({
       success: true,
@@ -368,19 +910,14 @@ router.put('/:id/cancel', [
       return next(new AppError('Application not found', 404));
     }
 
-    // Check if user owns the application or is admin
-    if (application.userId !== req.user.id && req.user.role !== 'admin') {
+    // Check if user owns the application or may cancel any application
+    if (!canAccessResource(req, application, 'applications.cancel_any')) {
       return next(new AppError('Not authorized to cancel this application', 403));
     }
 
-    if (['completed', 'approved', 'rejected'].includes(application.status)) {
-      return next(new AppError('Cannot cancel application in current status', 400));
-    }
-
-    await application.update({ status: 'cancelled' });
+    await transitionApplication(application, 'cancelled', { actor: req });
 
     logger.info(`Application ${application.applicationNumber} cancelled by user ${req.user.id}`);
-    auditLogger.applicationStatusChange(application.id, application.status, 'cancelled', req.user.id);
 
     res.json({
       success: true,
@@ -591,22 +1128,7 @@ router.get('/meta/statuses', protect, (req, res) => {
   res.json({
     success: true,
     data: {
-      statuses: [
-        { value: 'draft', label: 'Draft', description: 'Application is being prepared' },
-        { value: 'submitted', label: 'Submitted', description: 'Application submitted for review' },
-        { value: 'under_review', label: 'Under Review', description: 'Application is being reviewed' },
-        { value: 'documents_requested', label: 'Documents Requested', description: 'Additional documents are required' },
-        { value: 'cost_provided', label: 'Cost Provided', description: 'Processing cost has been provided' },
-        { value: 'payment_pending', label: 'Payment Pending', description: 'Payment is pending' },
-        { value: 'payment_completed', label: 'Payment Completed', description: 'Payment received' },
-        { value: 'biometrics_scheduled', label: 'Biometrics Scheduled', description: 'Biometrics appointment scheduled' },
-        { value: 'biometrics_completed', label: 'Biometrics Completed', description: 'Biometrics submitted' },
-        { value: 'embassy_submitted', label: 'Embassy Submitted', description: 'Application submitted to embassy' },
-        { value: 'processing', label: 'Processing', description: 'Application is being processed by embassy' },
-        { value: 'approved', label: 'Approved', description: 'Visa application approved' },
-        { value: 'rejected', label: 'Rejected', description: 'Visa application rejected' },
-        { value: 'completed', label: 'Completed', description: 'Visa processing completed' }
-      ],
+      statuses: getStatusList(),
       visaTypes: [
         { value: 'tourist_visa_uae', label: 'UAE Tourist Visa', destination: 'United Arab Emirates', duration: '30/60/90 days' },
         { value: 'business_visa_uk', label: 'UK Business Visa', destination: 'United Kingdom', duration: '6 months - 2 years' },
@@ -622,7 +1144,7 @@ router.get('/meta/statuses', protect, (req, res) => {
 // @route   GET /api/applications/admin/all
 // @desc    Get all applications (Admin/Officer)
 // @access  Private (Admin/Officer)
-router.get('/admin/all', protect, authorize('admin', 'officer'), async (req, res, next) => {
+router.get('/admin/all', protect, requirePermission('applications.read_all'), async (req, res, next) => {
   try {
     const { page = 1, limit = 10, status, visaType, assignedOfficer, search } = req.query;
     const offset = (page - 1) * limit;
@@ -1,13 +1,51 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
-const { User } = require('../models');
+const { body, param, validationResult } = require('express-validator');
+const { User, PasswordResetToken, EmailVerificationToken } = require('../models');
 const { protect } = require('../middleware/auth');
 const { AppError } = require('../middleware/errorHandler');
+const { logger, securityLogger } = require('../middleware/logger');
+const { generateSecureToken, hashToken } = require('../utils/tokens');
+const { sendEmail, getFrontendUrl } = require('../utils/email');
+const securityConfig = require('../config/security');
+const {
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeAllUserTokens,
+  findTokenFamily
+} = require('../services/tokenService');
+const { isTwoFactorRequired, verifySecondFactor } = require('../services/twoFactorService');
+const { registerFailedLogin, resetFailedLogins } = require('../services/lockoutService');
+const { checkLoginDevice, verifyLoginAlertToken, forgetDevice } = require('../services/loginAlertService');
+const {
+  findUsableInvitation,
+  startInvitationTwoFactor,
+  acceptInvitation
+} = require('../services/invitationService');
+const {
+  checkPassword,
+  toValidationErrors,
+  isPasswordExpired,
+  describePasswordPolicy
+} = require('../services/passwordPolicyService');
+const {
+  OIDC_STATE_COOKIE,
+  stateCookieOptions,
+  listProviders,
+  createAuthorizationRequest,
+  completeAuthorization,
+  linkIdentity,
+  findOrCreateUserFromClaims
+} = require('../services/oidcService');
+const { getRawQuery } = require('../utils/request');
 
 const router = express.Router();
 
+// Marks the short-lived JWT handed out between the password and 2FA steps of login
+const TWO_FACTOR_CHALLENGE_PURPOSE = '2fa_challenge';
+
 // Helper function to check if password needs upgrade
 async function checkIfNeedsUpgrade(storedHash) {
   if (!storedHash) return false;
@@ -16,13 +54,149 @@ async function checkIfNeedsUpgrade(storedHash) {
   return match && match[1] ? parseInt(match[1], 10) < 12 : false;
 }
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// Cookie options shared by the access and refresh token cookies
+const baseCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict'
+};
+
+// The refresh token cookie is only ever sent to the auth routes
+const refreshCookieOptions = { ...baseCookieOptions, path: '/api/auth' };
+
+// Set httpOnly cookies for the access and (optionally) refresh token
+const setAuthCookies = (res, { accessToken, refreshToken, refreshTokenExpiresAt }) => {
+  res.cookie('token', accessToken, baseCookieOptions);
+  if (refreshToken) {
+    res.cookie('refreshToken', refreshToken, { ...refreshCookieOptions, expires: refreshTokenExpiresAt });
+  }
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie('token', baseCookieOptions);
+  res.clearCookie('refreshToken', refreshCookieOptions);
+};
+
+// Request details stored with each refresh token
+const getClientContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+// 423 Locked, with the time the account unlocks itself
+const lockedAccountError = (lockedUntil) => {
+  return new AppError(`Account is temporarily locked after too many failed login attempts. Try again after ${lockedUntil.toISOString()} or reset your password`, 423);
+};
+
+// Short-lived JWT that lets the user continue to the second login step
+const signTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { id: user.id, purpose: TWO_FACTOR_CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: securityConfig.twoFactor.challengeTtl }
+  );
+};
+
+// Compare the login's device with the user's known devices - an alert failure must not block the login
+const recordLoginDevice = async (req, user, sessionId) => {
+  try {
+    await checkLoginDevice(user, { ...getClientContext(req), sessionId });
+  } catch (error) {
+    logger.error(`Failed to check login device for user ${user.id}: ${error.message}`);
+  }
+};
+
+// Issue tokens and cookies for a fully authenticated user
+const startSession = async (req, res, user) => {
+  await resetFailedLogins(user);
+  securityLogger.loginAttempt(user.email, req.ip, true);
+
+  // Short-lived access token plus rotating refresh token
+  const tokens = await issueAuthTokens(user, getClientContext(req));
+
+  // Set httpOnly cookies for additional security
+  setAuthCookies(res, tokens);
+
+  await recordLoginDevice(req, user, tokens.sessionId);
+
+  return tokens;
+};
+
+// Start a session for a fully authenticated user and send the login response
+const completeLogin = async (req, res, user) => {
+  const tokens = await startSession(req, res, user);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: user.toJSON(),
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      // Staff without 2FA can log in, but must enroll before using privileged routes
+      twoFactorEnrollmentRequired: isTwoFactorRequired(user) && !user.twoFactorEnabled,
+      // Same for staff whose password is older than the policy allows
+      passwordChangeRequired: await isPasswordExpired(user)
+    }
   });
 };
 
+// Issue a fresh email verification token and email the link to the user
+const sendVerificationEmail = async (user, ip) => {
+  // Only the newest verification link should work
+  await EmailVerificationToken.update(
+    { usedAt: new Date() },
+    { where: { userId: user.id, usedAt: null } }
+  );
+
+  const verificationToken = generateSecureToken();
+  const ttlHours = securityConfig.emailVerification.tokenTtlHours;
+
+  await EmailVerificationToken.create({
+    userId: user.id,
+    tokenHash: hashToken(verificationToken),
+    expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+    requestedIp: ip
+  });
+
+  const verificationUrl = `${getFrontendUrl()}/verify-email?token=${verificationToken}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Verify your ArRaji email address',
+    text: [
+      `Dear ${user.firstName},`,
+      '',
+      'Please confirm your email address by opening the link below.',
+      `The link expires in ${ttlHours} hours.`,
+      '',
+      verificationUrl,
+      '',
+      'If you did not create an account, you can safely ignore this email.',
+      '',
+      'ArRaji Visa Services Team'
+    ].join('\n')
+  });
+
+  securityLogger.emailVerificationSent(user.id, ip);
+};
+
+// @route   GET /api/auth/password-policy
+// @desc    Password rules, so clients can guide users before they submit
+// @access  Public
+router.get('/password-policy', async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        policy: await describePasswordPolicy()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   POST /api/auth/register
 // @desc    Register user
 // @access  Public
@@ -32,10 +206,8 @@ router.post('/register', [
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
   body('password')
-    .isLength({ min: 8 })
-    .withMessage('Password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+    .isString()
+    .withMessage('Password is required'),
   body('firstName')
     .trim()
     .isLength({ min: 2 })
@@ -62,6 +234,15 @@ router.post('/register', [
 
     const { email, password, firstName, lastName, phoneNumber } = req.body;
 
+    const passwordProblems = await checkPassword(password);
+    if (passwordProblems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: toValidationErrors(passwordProblems)
+      });
+    }
+
     console.log('📝 Registration attempt for:', email.toLowerCase());
 
     // Check if user exists
@@ -87,8 +268,19 @@ router.post('/register', [
     });
     console.log('✅ User created successfully:', user.id);
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Send the email verification link - a mail failure must not block registration
+    try {
+      await sendVerificationEmail(user, req.ip);
+    } catch (error) {
+      console.error('❌ Failed to send verification email:', error.message);
+    }
+
+    // Start a session
+    const tokens = await issueAuthTokens(user, getClientContext(req));
+    setAuthCookies(res, tokens);
+
+    // The registering device becomes the account's first known device
+    await recordLoginDevice(req, user, tokens.sessionId);
 
     // Remove password from response
     const userResponse = { ...user.toJSON() };
@@ -96,10 +288,11 @@ router.post('/register', [
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your address.',
       data: {
         user: userResponse,
-        token
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken
       }
     });
   } catch (error) {
@@ -154,11 +347,23 @@ router.post('/login', [
       return next(new AppError('Account is deactivated. Please contact support.', 401));
     }
 
+    // Locked accounts are rejected before the password is even checked
+    if (user.isLocked()) {
+      securityLogger.loginAttempt(user.email, req.ip, false);
+      return next(lockedAccountError(user.lockedUntil));
+    }
+
     // Check password
     const isMatch = await bcrypt.compare(password, user.password);
 
     if (!isMatch) {
       console.log('❌ Invalid password for:', user.email);
+      securityLogger.loginAttempt(user.email, req.ip, false);
+
+      const { locked, lockedUntil } = await registerFailedLogin(user, req.ip);
+      if (locked) {
+        return next(lockedAccountError(lockedUntil));
+      }
       return next(new AppError('Invalid credentials', 401));
     }
 
@@ -167,35 +372,336 @@ router.post('/login', [
       try {
         const salt = await bcrypt.genSalt(12);
         const newHash = await bcrypt.hash(password, salt);
-        await user.update({ password: newHash });
+        // Bulk update skips the instance hooks: the hash must not be hashed again,
+        // and the password itself (its age and history) has not changed
+        await User.update({ password: newHash }, { where: { id: user.id } });
+        user.password = newHash;
       } catch (error) {
         console.error('Error upgrading password hash:', error);
       }
     }
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Two-step login: the password was correct, now ask for the second factor
+    if (user.twoFactorEnabled) {
+      const challengeToken = signTwoFactorChallenge(user);
 
-    // Set httpOnly cookie for additional security
-    const cookieOptions = {
-      expires: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict'
-    };
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken
+        }
+      });
+    }
 
-    res.cookie('token', token, cookieOptions);
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Remove password from response
-    const userResponse = { ...user.toJSON() };
-    delete userResponse.password;
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step - verify a TOTP or backup code
+// @access  Public (requires the challenge token from /login)
+router.post('/login/2fa', [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('backupCode')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Backup code cannot be empty')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!code && !backupCode) {
+      return next(new AppError('A verification code or backup code is required', 400));
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      return next(new AppError('Login challenge is invalid or has expired. Please log in again', 401));
+    }
+
+    if (decoded.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE) {
+      return next(new AppError('Login challenge is invalid or has expired. Please log in again', 401));
+    }
+
+    const user = await User.findByPk(decoded.id);
+
+    if (!user || user.isActive === false || !user.twoFactorEnabled) {
+      return next(new AppError('Login challenge is invalid or has expired. Please log in again', 401));
+    }
+
+    if (user.isLocked()) {
+      return next(lockedAccountError(user.lockedUntil));
+    }
+
+    const { valid, method } = await verifySecondFactor(user, { code, backupCode });
+    securityLogger.twoFactorChallenge(user.id, req.ip, valid, method);
+
+    if (!valid) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      const { locked, lockedUntil } = await registerFailedLogin(user, req.ip);
+      if (locked) {
+        return next(lockedAccountError(lockedUntil));
+      }
+      return next(new AppError('Invalid verification code', 401));
+    }
+
+    await completeLogin(req, res, user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/oidc/providers
+// @desc    List the identity providers users can sign in with
+// @access  Public
+router.get('/oidc/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: { providers: listProviders() }
+  });
+});
+
+// @route   GET /api/auth/oidc/:provider/authorize
+// @desc    Redirect to the identity provider to sign in (authorization code + PKCE)
+// @access  Public
+router.get('/oidc/:provider/authorize', async (req, res, next) => {
+  try {
+    const { login_hint: loginHint } = getRawQuery(req);
+
+    const { authorizationUrl, stateToken } = await createAuthorizationRequest(req.params.provider, {
+      mode: 'login',
+      loginHint
+    });
+
+    res.cookie(OIDC_STATE_COOKIE, stateToken, stateCookieOptions);
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/oidc/:provider/callback
+// @desc    Identity provider redirects back here; logs in or links the account, then
+//          redirects to the frontend (tokens are only ever sent as httpOnly cookies)
+// @access  Public (requires the state cookie set by /authorize or the link endpoint)
+router.get('/oidc/:provider/callback', async (req, res) => {
+  const { provider } = req.params;
+  const { code, state, error: providerError } = getRawQuery(req);
+  const stateToken = req.cookies && req.cookies[OIDC_STATE_COOKIE];
+  const frontendUrl = getFrontendUrl();
+
+  res.clearCookie(OIDC_STATE_COOKIE, stateCookieOptions);
+
+  let mode = 'login';
+  try {
+    if (providerError) {
+      securityLogger.oidcLogin(null, provider, req.ip, false, providerError);
+      return res.redirect(`${frontendUrl}/login?error=oidc_cancelled`);
+    }
+
+    const result = await completeAuthorization(provider, { code, state, stateToken });
+    mode = result.mode;
+
+    if (result.mode === 'link') {
+      const user = await User.findByPk(result.userId);
+      if (!user || user.isActive === false) {
+        return res.redirect(`${frontendUrl}/settings/security?error=oidc_link_failed`);
+      }
+
+      await linkIdentity(user, provider, result.claims);
+      securityLogger.identityLinked(user.id, provider, req.ip);
+      return res.redirect(`${frontendUrl}/settings/security?linked=${encodeURIComponent(provider)}`);
+    }
+
+    const { user, created, linked } = await findOrCreateUserFromClaims(provider, result.claims);
+    if (linked) {
+      securityLogger.identityLinked(user.id, provider, req.ip);
+    }
+
+    if (user.isActive === false) {
+      securityLogger.oidcLogin(user.id, provider, req.ip, false, 'account_deactivated');
+      return res.redirect(`${frontendUrl}/login?error=account_deactivated`);
+    }
+
+    if (user.isLocked()) {
+      securityLogger.oidcLogin(user.id, provider, req.ip, false, 'account_locked');
+      return res.redirect(`${frontendUrl}/login?error=account_locked`);
+    }
+
+    securityLogger.oidcLogin(user.id, provider, req.ip, true, created ? 'account_created' : 'existing_account');
+
+    // The provider replaces the password step only - 2FA still applies.
+    // The challenge travels in the URL fragment so it never reaches server logs.
+    if (user.twoFactorEnabled) {
+      return res.redirect(`${frontendUrl}/login/2fa#challengeToken=${signTwoFactorChallenge(user)}`);
+    }
+
+    await startSession(req, res, user);
+    res.redirect(`${frontendUrl}/auth/callback${created ? '?welcome=1' : ''}`);
+  } catch (error) {
+    logger.warn(`OIDC callback failed - Provider: ${provider}, IP: ${req.ip}, Error: ${error.message}`);
+    securityLogger.oidcLogin(null, provider, req.ip, false, error.message);
+
+    const target = mode === 'link' ? '/settings/security' : '/login';
+    const reason = error.statusCode === 409 ? 'identity_in_use' : 'oidc_failed';
+    res.redirect(`${frontendUrl}${target}?error=${reason}`);
+  }
+});
+
+// Raw invitation tokens travel in the body so they stay out of request logs
+const invitationTokenValidator = () => body('token')
+  .isHexadecimal()
+  .isLength({ min: 64, max: 64 })
+  .withMessage('Invalid invitation token');
+
+// @route   POST /api/auth/invitations/lookup
+// @desc    Show who an invitation is for, before the invitee accepts it
+// @access  Public (token from the invitation email)
+router.post('/invitations/lookup', [
+  invitationTokenValidator()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await findUsableInvitation(req.body.token);
 
     res.json({
       success: true,
-      message: 'Login successful',
       data: {
-        user: userResponse,
-        token
+        invitation: {
+          email: invitation.email,
+          role: invitation.role,
+          processingCenter: invitation.processingCenter,
+          expiresAt: invitation.expiresAt
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/invitations/2fa
+// @desc    Acceptance step 1 - get the authenticator secret for the new account
+// @access  Public (token from the invitation email)
+router.post('/invitations/2fa', [
+  invitationTokenValidator()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const invitation = await findUsableInvitation(req.body.token);
+    const { secret, otpauthUri } = await startInvitationTwoFactor(invitation);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then accept the invitation with a code from the app',
+      data: { secret, otpauthUri }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/invitations/accept
+// @desc    Acceptance step 2 - choose a password, confirm 2FA and create the account
+// @access  Public (token from the invitation email)
+router.post('/invitations/accept', [
+  invitationTokenValidator(),
+  body('password')
+    .isString()
+    .withMessage('Password is required'),
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Verification code must be 6 digits'),
+  body('firstName')
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage('First name must be at least 2 characters long'),
+  body('lastName')
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage('Last name must be at least 2 characters long'),
+  body('phoneNumber')
+    .optional()
+    .isMobilePhone()
+    .withMessage('Please provide a valid phone number')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password, code, firstName, lastName, phoneNumber } = req.body;
+
+    const invitation = await findUsableInvitation(token);
+
+    const passwordProblems = await checkPassword(password);
+    if (passwordProblems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: toValidationErrors(passwordProblems)
+      });
+    }
+
+    const { user, backupCodes } = await acceptInvitation(invitation, { firstName, lastName, phoneNumber, password, code });
+
+    securityLogger.invitationAccepted(user.id, invitation.id, user.role, req.ip);
+    securityLogger.twoFactorEnabled(user.id, req.ip);
+
+    const tokens = await startSession(req, res, user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Welcome aboard. Store your backup codes somewhere safe - they will not be shown again.',
+      data: {
+        user: user.toJSON(),
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        backupCodes
       }
     });
   } catch (error) {
@@ -218,7 +724,44 @@ router.get('/me', protect, async (req, res, next) => {
 
     res.json({
       success: true,
-      data: { user }
+      data: {
+        user,
+        // Set when an admin is acting as this user, so the frontend can show a banner
+        impersonatedBy: req.impersonatorId || null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const rawToken = (req.cookies && req.cookies.refreshToken) || req.body.refreshToken;
+
+    if (!rawToken || typeof rawToken !== 'string') {
+      return next(new AppError('Refresh token is required', 401));
+    }
+
+    let tokens;
+    try {
+      tokens = await rotateRefreshToken(rawToken, getClientContext(req));
+    } catch (error) {
+      clearAuthCookies(res);
+      throw error;
+    }
+
+    setAuthCookies(res, tokens);
+
+    res.json({
+      success: true,
+      data: {
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken
+      }
     });
   } catch (error) {
     next(error);
@@ -226,20 +769,70 @@ router.get('/me', protect, async (req, res, next) => {
 });
 
 // @route   POST /api/auth/logout
-// @desc    Logout user (clear token and cookie)
+// @desc    Logout user (revoke the session server-side and clear cookies)
 // @access  Private
-router.post('/logout', protect, (req, res) => {
-  // Clear the httpOnly cookie
-  res.clearCookie('token', {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict'
-  });
-  
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+router.post('/logout', protect, async (req, res, next) => {
+  try {
+    await revokeTokenFamily(req.sessionId, 'logout');
+
+    // Also revoke the family of a refresh token sent with the request, if it differs
+    const rawRefreshToken = (req.cookies && req.cookies.refreshToken) || req.body.refreshToken;
+    if (rawRefreshToken && typeof rawRefreshToken === 'string') {
+      const family = await findTokenFamily(rawRefreshToken);
+      if (family && family.userId === req.user.id && family.familyId !== req.sessionId) {
+        await revokeTokenFamily(family.familyId, 'logout');
+      }
+    }
+
+    securityLogger.logout(req.user.id, req.sessionId, req.ip);
+
+    // Clear the httpOnly cookies
+    clearAuthCookies(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/login-alerts/revoke
+// @desc    "This wasn't me" - sign out the session named in a new-device login alert
+// @access  Public (token from the alert email)
+router.post('/login-alerts/revoke', [
+  body('token')
+    .isJWT()
+    .withMessage('Invalid login alert token')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const decoded = verifyLoginAlertToken(req.body.token);
+    if (!decoded) {
+      return next(new AppError('This link is invalid or has expired. Sign in and review your sessions instead', 400));
+    }
+
+    await revokeTokenFamily(decoded.sid, 'login_alert_not_me');
+    await forgetDevice(decoded.id, decoded.fp);
+
+    securityLogger.loginAlertRevoked(decoded.id, decoded.sid, req.ip);
+
+    res.json({
+      success: true,
+      message: 'That session has been signed out. We recommend resetting your password and enabling two-factor authentication.'
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 // @route   POST /api/auth/change-password
@@ -251,10 +844,8 @@ router.post('/change-password', [
     .notEmpty()
     .withMessage('Current password is required'),
   body('newPassword')
-    .isLength({ min: 8 })
-    .withMessage('New password must be at least 8 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number')
+    .isString()
+    .withMessage('New password is required')
 ], async (req, res, next) => {
   try {
     // Check for validation errors
@@ -278,12 +869,264 @@ router.post('/change-password', [
       return next(new AppError('Current password is incorrect', 400));
     }
 
+    const passwordProblems = await checkPassword(newPassword, { user });
+    if (passwordProblems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: toValidationErrors(passwordProblems, 'newPassword')
+      });
+    }
+
     // Update password - will be hashed by Sequelize beforeUpdate hook
+    // This also invalidates every token issued before the change
     await user.update({ password: newPassword });
 
+    // Log out every session, then hand the current one a fresh token pair
+    // so it stays signed in
+    await revokeAllUserTokens(user.id, 'password_changed', { keepSessionId: req.sessionId });
+    const tokens = await issueAuthTokens(user, { ...getClientContext(req), familyId: req.sessionId });
+    setAuthCookies(res, tokens);
+
+    securityLogger.passwordChange(user.id, req.ip);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Verify email address using the token from the verification email
+// @access  Public
+router.get('/verify-email/:token', [
+  param('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid verification token')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const verificationToken = await EmailVerificationToken.findOne({
+      where: { tokenHash: hashToken(req.params.token) },
+      include: [{ model: User, as: 'user' }]
+    });
+
+    if (!verificationToken || !verificationToken.isUsable() || !verificationToken.user) {
+      return next(new AppError('Verification link is invalid or has expired', 400));
+    }
+
+    const user = verificationToken.user;
+
+    await User.sequelize.transaction(async (transaction) => {
+      await user.update({ isVerified: true }, { transaction });
+      await verificationToken.update({ usedAt: new Date() }, { transaction });
+    });
+
+    securityLogger.emailVerified(user.id, req.ip);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification link
+// @access  Private
+router.post('/resend-verification', protect, async (req, res, next) => {
+  try {
+    if (req.user.isVerified) {
+      return next(new AppError('Email address is already verified', 400));
+    }
+
+    await sendVerificationEmail(req.user, req.ip);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send a password reset link to the user's email
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const email = req.body.email.toLowerCase();
+
+    // Security: The response is identical whether or not the account exists
+    const genericResponse = {
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    };
+
+    const user = await User.findOne({ where: { email } });
+
+    if (!user || user.isActive === false) {
+      securityLogger.passwordResetRequested(email, req.ip, false);
+      return res.json(genericResponse);
+    }
+
+    // Invalidate any outstanding reset links so only the newest one works
+    await PasswordResetToken.update(
+      { usedAt: new Date() },
+      { where: { userId: user.id, usedAt: null } }
+    );
+
+    const resetToken = generateSecureToken();
+    const ttlMinutes = securityConfig.passwordReset.tokenTtlMinutes;
+
+    await PasswordResetToken.create({
+      userId: user.id,
+      tokenHash: hashToken(resetToken),
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+      requestedIp: req.ip
+    });
+
+    const resetUrl = `${getFrontendUrl()}/reset-password?token=${resetToken}`;
+
+    await sendEmail({
+      to: user.email,
+      subject: 'Reset your ArRaji password',
+      text: [
+        `Dear ${user.firstName},`,
+        '',
+        'We received a request to reset the password for your account.',
+        `Use the link below to choose a new password. The link expires in ${ttlMinutes} minutes and can only be used once.`,
+        '',
+        resetUrl,
+        '',
+        'If you did not request a password reset, you can safely ignore this email.',
+        '',
+        'ArRaji Visa Services Team'
+      ].join('\n')
+    });
+
+    securityLogger.passwordResetRequested(email, req.ip, true);
+
+    res.json(genericResponse);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Reset password using a token from the reset email
+// @access  Public
+router.post('/reset-password', [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Invalid reset token'),
+  body('password')
+    .isString()
+    .withMessage('Password is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const resetToken = await PasswordResetToken.findOne({
+      where: { tokenHash: hashToken(token) },
+      include: [{ model: User, as: 'user' }]
+    });
+
+    if (!resetToken || !resetToken.isUsable() || !resetToken.user) {
+      securityLogger.passwordResetFailed(req.ip, resetToken ? 'expired_or_used_token' : 'unknown_token');
+      return next(new AppError('Password reset link is invalid or has expired', 400));
+    }
+
+    const user = resetToken.user;
+
+    if (user.isActive === false) {
+      securityLogger.passwordResetFailed(req.ip, 'account_deactivated');
+      return next(new AppError('Account is deactivated. Please contact support.', 400));
+    }
+
+    // The token stays usable, so the user can simply try another password
+    const passwordProblems = await checkPassword(password, { user });
+    if (passwordProblems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: toValidationErrors(passwordProblems)
+      });
+    }
+
+    await User.sequelize.transaction(async (transaction) => {
+      // Password is hashed by the beforeUpdate hook, which also stamps
+      // passwordChangedAt so every existing session is invalidated.
+      // Proving control of the mailbox also lifts any brute-force lockout.
+      await user.update({
+        password,
+        passwordLoginEnabled: true,
+        failedLoginAttempts: 0,
+        lockedUntil: null,
+        lockoutCount: 0
+      }, { transaction });
+
+      // Burn this token and any other outstanding ones for the account
+      await PasswordResetToken.update(
+        { usedAt: new Date() },
+        { where: { userId: user.id, usedAt: null }, transaction }
+      );
+    });
+
+    // Log out every session the account has
+    await revokeAllUserTokens(user.id, 'password_reset');
+
+    securityLogger.passwordResetCompleted(user.id, req.ip);
+
+    // Clear any session cookies sent along with the request
+    clearAuthCookies(res);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password has been reset successfully. Please log in with your new password.'
     });
   } catch (error) {
     next(error);
@@ -2,9 +2,11 @@ const express = require('express');
 const { body, param, validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const { BiometricAppointment, Application, User, Notification } = require('../models');
-const { protect, authorize, authorizeOwnerOrAdmin } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 const { AppError } = require('../middleware/errorHandler');
 const { auditLogger } = require('../middleware/logger');
+const { transitionApplication } = require('../services/applicationStateMachine');
+const { loadGroup, scheduleGroupBiometrics } = require('../services/applicationGroupService');
 
 const router = express.Router();
 
@@ -104,7 +106,7 @@ router.get('/:id', [
 // @desc    Schedule biometric appointment (Admin/Officer only)
 // @access  Private (Admin/Officer)
 router.post('/', [
-  authorize('admin', 'officer'),
+  requirePermission('biometrics.manage'),
   body('applicationId')
     .isUUID()
     .withMessage('Application ID is required'),
@@ -149,29 +151,28 @@ router.post('/', [
       return next(new AppError('Biometric appointment already scheduled for this application', 400));
     }
 
-    // Create appointment
-    const appointment = await BiometricAppointment.create({
-      applicationId,
-      userId: application.userId,
-      appointmentDate,
-      location,
-      status: 'scheduled',
-      notes,
-      scheduledBy: req.user.id
-    });
-
-    // Update application status
-    await application.update({ status: 'biometrics_scheduled' });
+    // Create the appointment and move the application on together
+    const appointment = await Application.sequelize.transaction(async (transaction) => {
+      const created = await BiometricAppointment.create({
+        applicationId,
+        userId: application.userId,
+        appointmentDate,
+        location,
+        status: 'scheduled',
+        notes,
+        scheduledBy: req.user.id
+      }, { transaction });
+
+      await transitionApplication(application, 'biometrics_scheduled', {
+        actor: req,
+        transaction,
+        changes: { biometricsDate: appointmentDate },
+        notification: {
+          message: `Your biometric appointment has been scheduled for ${new Date(appointmentDate).toLocaleDateString()} at ${location}`
+        }
+      });
 
-    // Create notification for user
-    await Notification.create({
-      userId: application.userId,
-      applicationId,
-      type: 'biometric_scheduled',
-      title: 'Biometric Appointment Scheduled',
-      message: `Your biometric appointment has been scheduled for ${new Date(appointmentDate).toLocaleDateString()} at ${location}`,
-      priority: 'high',
-      createdBy: req.user.id
+      return created;
     });
 
     auditLogger.adminAction(req.user.id, 'schedule_biometric', application.userId, {
@@ -191,11 +192,70 @@ router.post('/', [
   }
 });
 
+// @route   POST /api/biometrics/group
+// @desc    Book back-to-back appointments for every ready application of a group (Admin/Officer only)
+// @access  Private (Admin/Officer)
+router.post('/group', [
+  requirePermission('biometrics.manage'),
+  body('applicationGroupId')
+    .isUUID()
+    .withMessage('Application group ID is required'),
+  body('appointmentDate')
+    .isISO8601()
+    .withMessage('Valid appointment date and start time are required')
+    .toDate(),
+  body('location')
+    .trim()
+    .notEmpty()
+    .withMessage('Location is required'),
+  body('slotMinutes')
+    .optional()
+    .isInt({ min: 5, max: 120 })
+    .withMessage('Slot length must be between 5 and 120 minutes')
+    .toInt(),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { applicationGroupId, appointmentDate, location, slotMinutes, notes } = req.body;
+
+    const group = await loadGroup(applicationGroupId);
+    const appointments = await scheduleGroupBiometrics(group, { startsAt: appointmentDate, location, slotMinutes, notes }, req);
+
+    auditLogger.adminAction(req.user.id, 'schedule_group_biometrics', group.leadUserId, {
+      applicationGroupId,
+      appointmentIds: appointments.map(appointment => appointment.id),
+      appointmentDate,
+      location
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${appointments.length} biometric appointments scheduled for the group`,
+      data: { appointments }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   PUT /api/biometrics/:id/status
 // @desc    Update biometric appointment status
 // @access  Private (Admin/Officer)
 router.put('/:id/status', [
-  authorize('admin', 'officer'),
+  requirePermission('biometrics.manage'),
   param('id').isUUID().withMessage('Invalid appointment ID'),
   body('status')
     .isIn(['scheduled', 'completed', 'cancelled', 'rescheduled', 'no_show'])
@@ -234,21 +294,23 @@ router.put('/:id/status', [
       updateData.completedAt = new Date();
     }
 
-    await appointment.update(updateData);
+    const oldStatus = appointment.status;
 
-    // Update application status based on biometric status
+    // An application waiting on biometrics moves on when its appointment is completed or cancelled
     const application = appointment.application;
-    if (application) {
-      if (status === 'completed') {
-        await application.update({ status: 'biometrics_completed' });
-      } else if (status === 'cancelled') {
-        await application.update({ status: 'documents_requested' });
+    const nextApplicationStatus = { completed: 'biometrics_completed', cancelled: 'documents_required' }[status];
+
+    await Application.sequelize.transaction(async (transaction) => {
+      await appointment.update(updateData, { transaction });
+
+      if (application && nextApplicationStatus && application.status === 'biometrics_scheduled') {
+        await transitionApplication(application, nextApplicationStatus, { actor: req, transaction });
       }
-    }
+    });
 
     auditLogger.adminAction(req.user.id, 'update_biometric_status', appointment.userId, {
       appointmentId: appointment.id,
-      oldStatus: appointment.status,
+      oldStatus,
       newStatus: status
     });
 
@@ -266,7 +328,7 @@ router.put('/:id/status', [
 // @desc    Reschedule biometric appointment
 // @access  Private (Admin/Officer)
 router.put('/:id/reschedule', [
-  authorize('admin', 'officer'),
+  requirePermission('biometrics.manage'),
   param('id').isUUID().withMessage('Invalid appointment ID'),
   body('appointmentDate')
     .isISO8601()
@@ -339,7 +401,7 @@ router.put('/:id/reschedule', [
 // @route   GET /api/biometrics/admin/all
 // @desc    Get all biometric appointments (Admin/Officer)
 // @access  Private (Admin/Officer)
-router.get('/admin/all', protect, authorize('admin', 'officer'), async (req, res, next) => {
+router.get('/admin/all', protect, requirePermission('biometrics.read_all'), async (req, res, next) => {
   try {
     const { page = 1, limit = 10, status, dateFrom, dateTo } = req.query;
     const offset = (page - 1) * limit;
@@ -397,7 +459,7 @@ router.get('/admin/all', protect, authorize('admin', 'officer'), async (req, res
 // @route   GET /api/biometrics/stats
 // @desc    Get biometric statistics (Admin/Officer)
 // @access  Private (Admin/Officer)
-router.get('/admin/stats', protect, authorize('admin', 'officer'), async (req, res, next) => {
+router.get('/admin/stats', protect, requirePermission('biometrics.read_all'), async (req, res, next) => {
   try {
     const statusStats = await BiometricAppointment.findAll({
       attributes: [
@@ -1,10 +1,11 @@
 const express = require('express');
 const multer = require('multer');
+const { Op } = require('sequelize');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const { Document, Application, User } = require('../models');
-const { protect, authorize, authorizeOwnerOrAdmin } = require('../middleware/auth');
+const { protect, requirePermission, canAccessResource } = require('../middleware/auth');
 const { AppError } = require('../middleware/errorHandler');
 const { securityLogger, auditLogger } = require('../middleware/logger');
 
@@ -111,8 +112,8 @@ router.get('/:id', [
       return next(new AppError('Document not found', 404));
     }
 
-    // Check if user owns the document or is admin/officer
-    if (document.userId !== req.user.id && !['admin', 'officer'].includes(req.user.role)) {
+    // Check if user owns the document or may view all documents
+    if (!canAccessResource(req, document, 'documents.read_all')) {
       return next(new AppError('Not authorized to access this document', 403));
     }
 
@@ -144,7 +145,8 @@ router.post('/', upload.single('file'), [
   require('express-validator').body('documentType')
     .isIn(['passport', 'passport_photo', 'passport_copy', 'photo', 'id_card', 'birth_certificate', 'marriage_certificate', 'employment_letter', 'bank_statement', 'travel_insurance', 'travel_itinerary', 'flight_itinerary', 'hotel_booking', 'invitation_letter', 'insurance_policy', 'educational_certificate', 'other'])
     .withMessage('Valid document type is required'),
-  require('express-validator').body('description').optional().trim().isLength({ max: 500 })
+  require('express-validator').body('description').optional().trim().isLength({ max: 500 }),
+  require('express-validator').body('expiresAt').optional({ checkFalsy: true }).isISO8601().withMessage('Valid expiry date is required')
 ], async (req, res, next) => {
   try {
     const errors = require('express-validator').validationResult(req);
@@ -188,7 +190,8 @@ router.post('/', upload.single('file'), [
       fileSize: req.file.size,
       mimeType: req.file.mimetype,
       status: 'pending',
-      description: description || null
+      description: description || null,
+      expiresAt: req.body.expiresAt || null
     });
 
     securityLogger.fileUpload(req.user.id, req.file.originalname, req.file.size, req.ip);
@@ -214,11 +217,13 @@ router.post('/', upload.single('file'), [
 // @desc    Update document status (Admin/Officer only)
 // @access  Private (Admin/Officer)
 router.put('/:id/status', [
+  requirePermission('documents.review'),
   require('express-validator').param('id').isUUID().withMessage('Invalid document ID'),
   require('express-validator').body('status')
     .isIn(['pending', 'approved', 'rejected', 'expired'])
     .withMessage('Valid status is required'),
-  require('express-validator').body('rejectionReason').optional().trim().isLength({ max: 500 })
+  require('express-validator').body('rejectionReason').optional().trim().isLength({ max: 500 }),
+  require('express-validator').body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Valid expiry date is required')
 ], async (req, res, next) => {
   try {
     const errors = require('express-validator').validationResult(req);
@@ -244,6 +249,10 @@ router.put('/:id/status', [
     if (status === 'rejected') {
       updateData.rejectionReason = rejectionReason;
     }
+    // Reviewers record the expiry date printed on the document
+    if (req.body.expiresAt !== undefined) {
+      updateData.expiresAt = req.body.expiresAt;
+    }
 
     await document.update(updateData);
 
@@ -298,13 +307,16 @@ router.delete('/:id', [
       return next(new AppError('Document not found', 404));
     }
 
-    // Check if user owns the document or is admin
-    if (document.userId !== req.user.id && req.user.role !== 'admin') {
+    // Check if user owns the document or may delete any document
+    if (!canAccessResource(req, document, 'documents.delete_any')) {
       return next(new AppError('Not authorized to delete this document', 403));
     }
 
-    // Delete file from filesystem
-    if (fs.existsSync(document.filePath)) {
+    // Delete file from filesystem, unless it was carried forward to (or from) another application
+    const sharedWith = await Document.count({
+      where: { filePath: document.filePath, id: { [Op.ne]: document.id } }
+    });
+    if (sharedWith === 0 && fs.existsSync(document.filePath)) {
       fs.unlinkSync(document.filePath);
     }
 
@@ -324,7 +336,7 @@ router.delete('/:id', [
 // @route   GET /api/documents/admin/all
 // @desc    Get all documents (Admin/Officer)
 // @access  Private (Admin/Officer)
-router.get('/admin/all', protect, authorize('admin', 'officer'), async (req, res, next) => {
+router.get('/admin/all', protect, requirePermission('documents.read_all'), async (req, res, next) => {
   try {
     const { page = 1, limit = 10, status, documentType, applicationId, userId } = req.query;
     const offset = (page - 1) * limit;
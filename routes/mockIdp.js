@@ -0,0 +1,161 @@
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { generateSecureToken } = require('../utils/tokens');
+const { getRawQuery } = require('../utils/request');
+const oidcConfig = require('../config/oidc');
+
+// Minimal OpenID Connect provider for development and automated tests.
+// Mounted at /api/mock-idp only when OIDC_MOCK_ENABLED=true outside production.
+//
+// GET /authorize signs the user in immediately. Test knobs on the authorize URL:
+//   login_hint=<email>          email of the simulated person (default mock.user@example.com)
+//   mock_email_verified=false   report the email as unverified
+//   mock_deny=true              simulate the user pressing "cancel"
+
+const router = express.Router();
+
+const CODE_TTL_MS = 60 * 1000;
+const ID_TOKEN_TTL = '5m';
+
+// One signing key per process is enough for a mock
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.createHash('sha256').update(publicKey.export({ type: 'spki', format: 'der' })).digest('hex').substring(0, 16);
+
+// Authorization codes waiting to be exchanged
+const pendingCodes = new Map();
+
+const getIssuer = () => oidcConfig.providers.mock.issuer;
+
+const oauthError = (res, status, error, description) => {
+  return res.status(status).json({ error, error_description: description });
+};
+
+// @route   GET /api/mock-idp/.well-known/openid-configuration
+// @desc    Discovery document
+// @access  Public
+router.get('/.well-known/openid-configuration', (req, res) => {
+  const issuer = getIssuer();
+
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+    token_endpoint_auth_methods_supported: ['client_secret_post']
+  });
+});
+
+// @route   GET /api/mock-idp/jwks
+// @desc    Public signing keys
+// @access  Public
+router.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+  });
+});
+
+// @route   GET /api/mock-idp/authorize
+// @desc    Sign in the simulated person and redirect back with a code
+// @access  Public
+router.get('/authorize', (req, res) => {
+  const query = getRawQuery(req);
+  const client = oidcConfig.providers.mock;
+
+  if (query.client_id !== client.clientId) {
+    return oauthError(res, 400, 'unauthorized_client', 'Unknown client_id');
+  }
+  if (query.response_type !== 'code') {
+    return oauthError(res, 400, 'unsupported_response_type', 'Only the code flow is supported');
+  }
+  if (!query.redirect_uri || !query.redirect_uri.startsWith(oidcConfig.getApiBaseUrl())) {
+    return oauthError(res, 400, 'invalid_request', 'redirect_uri is not registered');
+  }
+  if (!query.code_challenge || query.code_challenge_method !== 'S256') {
+    return oauthError(res, 400, 'invalid_request', 'PKCE with S256 is required');
+  }
+
+  const redirect = new URL(query.redirect_uri);
+  if (query.state) {
+    redirect.searchParams.set('state', query.state);
+  }
+
+  if (query.mock_deny === 'true') {
+    redirect.searchParams.set('error', 'access_denied');
+    return res.redirect(redirect.toString());
+  }
+
+  const email = (query.login_hint || 'mock.user@example.com').toLowerCase();
+  const code = generateSecureToken(24);
+
+  pendingCodes.set(code, {
+    redirectUri: query.redirect_uri,
+    codeChallenge: query.code_challenge,
+    nonce: query.nonce,
+    email,
+    emailVerified: query.mock_email_verified !== 'false',
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  redirect.searchParams.set('code', code);
+  res.redirect(redirect.toString());
+});
+
+// @route   POST /api/mock-idp/token
+// @desc    Exchange a code (with its PKCE verifier) for an ID token
+// @access  Public (client credentials)
+router.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, client_secret: clientSecret, code_verifier: codeVerifier } = req.body;
+  const client = oidcConfig.providers.mock;
+
+  if (clientId !== client.clientId || clientSecret !== client.clientSecret) {
+    return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+  }
+  if (grantType !== 'authorization_code') {
+    return oauthError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+  }
+
+  const pending = pendingCodes.get(code);
+  // Codes are single use
+  pendingCodes.delete(code);
+
+  if (!pending || pending.expiresAt < Date.now() || pending.redirectUri !== redirectUri) {
+    return oauthError(res, 400, 'invalid_grant', 'Authorization code is invalid or expired');
+  }
+
+  const challenge = crypto.createHash('sha256').update(String(codeVerifier || '')).digest('base64url');
+  if (challenge !== pending.codeChallenge) {
+    return oauthError(res, 400, 'invalid_grant', 'PKCE verification failed');
+  }
+
+  const localPart = pending.email.split('@')[0];
+  const idToken = jwt.sign({
+    sub: `mock-${crypto.createHash('sha256').update(pending.email).digest('hex').substring(0, 24)}`,
+    email: pending.email,
+    email_verified: pending.emailVerified,
+    name: localPart,
+    given_name: localPart.split('.')[0],
+    family_name: localPart.split('.')[1] || 'Mock',
+    ...(pending.nonce && { nonce: pending.nonce })
+  }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: getIssuer(),
+    audience: client.clientId,
+    expiresIn: ID_TOKEN_TTL
+  });
+
+  res.json({
+    access_token: generateSecureToken(24),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const { param, query, validationResult, body } = require('express-validator');
 const { Notification, Application } = require('../models');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, requirePermission, hasPermission } = require('../middleware/auth');
 const { AppError } = require('../middleware/errorHandler');
 
 const router = express.Router();
@@ -16,7 +16,7 @@ router.get('/', [
   query('page').optional().isInt({ min: 1 }).toInt(),
   query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
   query('status').optional().isIn(['unread', 'read', 'archived']),
-  query('type').optional().isIn(['application_status_update', 'document_request', 'payment_reminder', 'biometrics_scheduled', 'biometrics_reminder', 'application_approved', 'application_rejected', 'document_approved', 'document_rejected', 'payment_completed', 'general_announcement', 'system_notification'])
+  query('type').optional().isIn(['application_status_update', 'document_request', 'payment_reminder', 'biometrics_scheduled', 'biometrics_reminder', 'application_approved', 'application_rejected', 'document_approved', 'document_rejected', 'payment_completed', 'general_announcement', 'system_notification', 'note_mention'])
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -206,7 +206,7 @@ router.delete('/:id', [
     const { id } = req.params;
 
     const where = { id };
-    if (req.user.role !== 'admin') {
+    if (!hasPermission(req, 'notifications.manage')) {
       where.userId = req.user.id;
     }
 
@@ -230,7 +230,7 @@ router.delete('/:id', [
 // @route   POST /api/notifications/broadcast
 // @desc    Create broadcast notification (admin only)
 // @access  Private/Admin
-router.post('/broadcast', authorize('admin'), [
+router.post('/broadcast', requirePermission('notifications.broadcast'), [
   body('title').trim().isLength({ min: 1, max: 200 }),
   body('message').trim().isLength({ min: 1, max: 1000 }),
   body('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
@@ -307,7 +307,9 @@ router.get('/types', (req, res) => {
     document_rejected: 'Document Rejected',
     payment_completed: 'Payment Completed',
     general_announcement: 'Announcement',
-    system_notification: 'System Notification'
+    system_notification: 'System Notification',
+    security_alert: 'Security Alert',
+    note_mention: 'Mentioned in a Note'
   };
 
   res.json({
@@ -1,10 +1,12 @@
 const express = require('express');
 const { Op } = require('sequelize');
 const { body, param, validationResult } = require('express-validator');
-const { Payment, Application, User } = require('../models');
-const { protect, authorize, authorizeOwnerOrAdmin } = require('../middleware/auth');
+const { Payment, Application, ApplicationGroup, User } = require('../models');
+const { protect, requirePermission } = require('../middleware/auth');
 const { AppError } = require('../middleware/errorHandler');
 const { logger } = require('../middleware/logger');
+const { transitionApplication } = require('../services/applicationStateMachine');
+const { advanceGroupPayment } = require('../services/applicationGroupService');
 
 const router = express.Router();
 
@@ -94,8 +96,13 @@ router.get('/:id', [
 router.post('/', [
   protect,
   body('applicationId')
+    .if(body('applicationGroupId').not().exists())
     .isUUID()
     .withMessage('Application ID is required'),
+  body('applicationGroupId')
+    .optional()
+    .isUUID()
+    .withMessage('Valid application group ID is required'),
   body('amount')
     .isFloat({ min: 0 })
     .withMessage('Valid amount is required'),
@@ -121,7 +128,62 @@ router.post('/', [
       });
     }
 
-    const { applicationId, amount, currency, paymentMethod, description, transactionId } = req.body;
+    const { applicationId, applicationGroupId, amount, currency, paymentMethod, description, transactionId } = req.body;
+
+    // A group is paid for in one payment covering every member
+    if (applicationGroupId) {
+      const group = await ApplicationGroup.findOne({
+        where: { id: applicationGroupId, leadUserId: req.user.id }
+      });
+
+      if (!group) {
+        return next(new AppError('Application group not found', 404));
+      }
+
+      if (!group.costProvidedAt) {
+        return next(new AppError('The group has not been quoted yet', 400));
+      }
+
+      // The payment settles every member at once, so it must be for exactly the quoted amount.
+      // Quotes carry no currency of their own: they are in the default payment currency.
+      const quoteCurrency = Payment.getAttributes().currency.defaultValue;
+      if (Math.round(Number(amount) * 100) !== Math.round(Number(group.totalCost) * 100) || currency !== quoteCurrency) {
+        return next(new AppError(`The group payment must be for the quoted ${Number(group.totalCost).toFixed(2)} ${quoteCurrency}`, 400));
+      }
+
+      const existingGroupPayment = await Payment.findOne({
+        where: { applicationGroupId, status: { [Op.ne]: 'failed' } }
+      });
+
+      if (existingGroupPayment) {
+        return next(new AppError('Payment already exists for this group', 400));
+      }
+
+      const payment = await Payment.sequelize.transaction(async (transaction) => {
+        const created = await Payment.create({
+          applicationGroupId,
+          userId: req.user.id,
+          amount,
+          currency,
+          paymentMethod,
+          status: 'pending',
+          description: description || `Payment for application group ${group.name}`,
+          transactionId
+        }, { transaction });
+
+        await advanceGroupPayment(group, 'payment_pending', { actor: req, transaction });
+
+        return created;
+      });
+
+      logger.info(`Payment initiated for application group ${applicationGroupId} by user ${req.user.id}`);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Payment record created successfully',
+        data: { payment }
+      });
+    }
 
     // Check if application exists and belongs to user
     const application = await Application.findOne({
@@ -135,6 +197,10 @@ router.post('/', [
       return next(new AppError('Application not found', 404));
     }
 
+    if (application.applicationGroupId && await ApplicationGroup.count({ where: { id: application.applicationGroupId, costProvidedAt: { [Op.ne]: null } } })) {
+      return next(new AppError('This application was quoted with its group; pay for the whole group instead', 400));
+    }
+
     // Check if payment already exists for this application
     const existingPayment = await Payment.findOne({
       where: { applicationId }
@@ -144,16 +210,24 @@ router.post('/', [
       return next(new AppError('Payment already exists for this application', 400));
     }
 
-    // Create payment record
-    const payment = await Payment.create({
-      applicationId,
-      userId: req.user.id,
-      amount,
-      currency,
-      paymentMethod,
-      status: 'pending',
-      description: description || `Payment for ${application.visaType} visa application`,
-      transactionId
+    // Create payment record; an application with a cost now awaits this payment
+    const payment = await Payment.sequelize.transaction(async (transaction) => {
+      const created = await Payment.create({
+        applicationId,
+        userId: req.user.id,
+        amount,
+        currency,
+        paymentMethod,
+        status: 'pending',
+        description: description || `Payment for ${application.visaType} visa application`,
+        transactionId
+      }, { transaction });
+
+      if (application.status === 'cost_provided') {
+        await transitionApplication(application, 'payment_pending', { actor: req, transaction });
+      }
+
+      return created;
     });
 
     logger.info(`Payment initiated for application ${applicationId} by user ${req.user.id}`);
@@ -173,7 +247,7 @@ router.post('/', [
 // @access  Private (Admin/Officer)
 router.put('/:id/status', [
   protect,
-  authorize('admin', 'officer'),
+  requirePermission('payments.update_status'),
   param('id').isUUID().withMessage('Invalid payment ID'),
   body('status')
     .isIn(['pending', 'processing', 'completed', 'failed', 'refunded'])
@@ -200,7 +274,10 @@ router.put('/:id/status', [
     }
 
     const payment = await Payment.findByPk(req.params.id, {
-      include: [{ model: Application, as: 'application' }]
+      include: [
+        { model: Application, as: 'application' },
+        { model: ApplicationGroup, as: 'applicationGroup' }
+      ]
     });
 
     if (!payment) {
@@ -219,15 +296,19 @@ router.put('/:id/status', [
       updateData.processedAt = new Date();
     }
 
-    await payment.update(updateData);
+    // A completed payment moves an application that is waiting for it on
+    const application = payment.application;
+    await Payment.sequelize.transaction(async (transaction) => {
+      await payment.update(updateData, { transaction });
 
-    // Update application status if payment is completed
-    if (status === 'completed') {
-      const application = payment.application;
-      if (application && application.status === 'payment_pending') {
-        await application.update({ status: 'payment_completed' });
+      if (status === 'completed' && application && ['cost_provided', 'payment_pending'].includes(application.status)) {
+        await transitionApplication(application, 'payment_completed', { actor: req, transaction });
       }
-    }
+
+      if (status === 'completed' && payment.applicationGroup) {
+        await advanceGroupPayment(payment.applicationGroup, 'payment_completed', { actor: req, transaction });
+      }
+    });
 
     logger.info(`Payment ${req.params.id} status updated to ${status} by user ${req.user.id}`);
 
@@ -246,7 +327,7 @@ router.put('/:id/status', [
 // @access  Private (Admin)
 router.post('/:id/refund', [
   protect,
-  authorize('admin'),
+  requirePermission('payments.refund'),
   param('id').isUUID().withMessage('Invalid payment ID'),
   body('amount')
     .optional()
@@ -305,7 +386,7 @@ router.post('/:id/refund', [
 // @route   GET /api/payments/admin/all
 // @desc    Get all payments (Admin/Officer)
 // @access  Private (Admin/Officer)
-router.get('/admin/all', protect, authorize('admin', 'officer'), async (req, res, next) => {
+router.get('/admin/all', protect, requirePermission('payments.read_all'), async (req, res, next) => {
   try {
     const { page = 1, limit = 10, status, paymentMethod, dateFrom, dateTo } = req.query;
 
@@ -376,7 +457,7 @@ router.get('/admin/all', protect, authorize('admin', 'officer'), async (req, res
 // @route   GET /api/payments/stats
 // @desc    Get payment statistics (Admin/Officer)
 // @access  Private (Admin/Officer)
-router.get('/admin/stats', protect, authorize('admin', 'officer'), async (req, res, next) => {
+router.get('/admin/stats', protect, requirePermission('payments.read_all'), async (req, res, next) => {
   try {
     const stats = await Payment.findAll({
       attributes: [
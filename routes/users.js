@@ -1,9 +1,28 @@
 const express = require('express');
 const { body, param, validationResult } = require('express-validator');
-const { User, Application, Payment, Notification } = require('../models');
-const { protect, authorizeOwnerOrAdmin } = require('../middleware/auth');
+const { Op } = require('sequelize');
+const { User, Application, Payment, Notification, Session, UserIdentity, DataExport, ErasureRequest } = require('../models');
+const { protect, requirePermission, authorizeOwnership } = require('../middleware/auth');
 const { AppError } = require('../middleware/errorHandler');
-const { securityLogger } = require('../middleware/logger');
+const { securityLogger, auditLogger } = require('../middleware/logger');
+const {
+  isTwoFactorRequired,
+  startEnrollment,
+  verifySecondFactor,
+  confirmEnrollment,
+  regenerateBackupCodes,
+  disableTwoFactor
+} = require('../services/twoFactorService');
+const { revokeTokenFamily } = require('../services/tokenService');
+const { requestDataExport } = require('../services/dataExportService');
+const { createErasureRequest, getErasureBlockers } = require('../services/erasureService');
+const {
+  OIDC_STATE_COOKIE,
+  stateCookieOptions,
+  getProvider,
+  listProviders,
+  createAuthorizationRequest
+} = require('../services/oidcService');
 
 const router = express.Router();
 
@@ -153,11 +172,40 @@ router.get('/dashboard', async (req, res, next) => {
   }
 });
 
-// @route   GET /api/users/:id
-// @desc    Get user by ID (admin or self only)
+// @route   GET /api/users/sessions
+// @desc    List the current user's active sessions (devices where they are logged in)
 // @access  Private
-router.get('/:id', authorizeOwnerOrAdmin, [
-  param('id').isUUID()
+router.get('/sessions', async (req, res, next) => {
+  try {
+    const sessions = await Session.findAll({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      attributes: ['id', 'userAgent', 'ipAddress', 'createdAt', 'lastSeenAt', 'expiresAt'],
+      order: [['lastSeenAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session.id === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/users/sessions/:id
+// @desc    Log out one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', [
+  param('id').isUUID().withMessage('Invalid session ID')
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -169,19 +217,212 @@ router.get('/:id', authorizeOwnerOrAdmin, [
       });
     }
 
-    const { id } = req.params;
+    const session = await Session.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
 
-    const user = await User.findByPk(id, {
-      attributes: { exclude: ['password', 'passwordResetToken', 'passwordResetExpires'] }
+    if (!session || session.revokedAt) {
+      return next(new AppError('Session not found', 404));
+    }
+
+    await revokeTokenFamily(session.id, 'user_revoked');
+    securityLogger.sessionRevoked(req.user.id, session.id, req.ip);
+
+    res.json({
+      success: true,
+      message: session.id === req.sessionId
+        ? 'Current session revoked. You have been logged out'
+        : 'Session revoked successfully'
     });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    if (!user) {
-      return next(new AppError('User not found', 404));
+// @route   POST /api/users/me/export
+// @desc    Request a copy of all personal data held on the user (built in the background)
+// @access  Private
+router.post('/me/export', async (req, res, next) => {
+  try {
+    // A copy of someone's data is for them alone, not for staff acting as them
+    if (req.impersonatorId) {
+      return next(new AppError('Data exports cannot be requested while impersonating a user', 403));
     }
 
+    const dataExport = await requestDataExport(req.user, req.ip);
+
+    auditLogger.userAction(req.user.id, 'data_export_requested', { exportId: dataExport.id, ip: req.ip });
+
+    res.status(202).json({
+      success: true,
+      message: 'Your data export is being prepared. We will notify you when it is ready to download.',
+      data: { export: dataExport }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/users/me/exports
+// @desc    List the user's data exports
+// @access  Private
+router.get('/me/exports', async (req, res, next) => {
+  try {
+    const exports = await DataExport.findAll({
+      where: { userId: req.user.id },
+      order: [['createdAt', 'DESC']],
+      limit: 20
+    });
+
     res.json({
       success: true,
-      data: { user }
+      data: { exports }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/users/me/exports/:id/download
+// @desc    Download a finished data export while its link is valid
+// @access  Private
+router.get('/me/exports/:id/download', [
+  param('id').isUUID().withMessage('Invalid export ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.impersonatorId) {
+      return next(new AppError('Data exports cannot be downloaded while impersonating a user', 403));
+    }
+
+    const dataExport = await DataExport.findOne({ where: { id: req.params.id, userId: req.user.id } });
+    if (!dataExport) {
+      return next(new AppError('Data export not found', 404));
+    }
+    if (!dataExport.isDownloadable()) {
+      return next(new AppError('This data export is not available for download. Please request a new one', 410));
+    }
+
+    await dataExport.update({ downloadedAt: new Date() });
+    securityLogger.sensitiveDataAccess(req.user.id, 'personal_data_export', req.ip);
+
+    res.set('X-Checksum-SHA256', dataExport.checksum);
+    res.download(dataExport.filePath, `arraji-data-export-${dataExport.createdAt.toISOString().slice(0, 10)}.tar.gz`, (error) => {
+      if (error && !res.headersSent) {
+        next(new AppError('Data export file is no longer available. Please request a new one', 410));
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/users/me/erasure
+// @desc    Ask for the account and its personal data to be erased (reviewed by an admin)
+// @access  Private
+router.post('/me/erasure', [
+  body('reason').optional().trim().isLength({ max: 2000 }).withMessage('Reason must be at most 2000 characters'),
+  body('password').optional().isString()
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.impersonatorId || req.apiKey) {
+      return next(new AppError('Only the account holder can request erasure', 403));
+    }
+
+    // Accounts with a password must confirm it
+    const user = await User.findByPk(req.user.id);
+    if (user.passwordLoginEnabled && !(await user.validatePassword(req.body.password || ''))) {
+      return next(new AppError('Password is incorrect', 401));
+    }
+
+    const erasureRequest = await createErasureRequest(user, { reason: req.body.reason, ip: req.ip });
+    const blockers = await getErasureBlockers(user);
+
+    auditLogger.userAction(user.id, 'erasure_requested', { erasureRequestId: erasureRequest.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Your erasure request has been received and will be reviewed by our team.',
+      data: {
+        erasureRequest,
+        // Things that will hold the erasure up until they are resolved
+        blockers
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/users/me/erasure
+// @desc    Status of the user's erasure requests
+// @access  Private
+router.get('/me/erasure', async (req, res, next) => {
+  try {
+    const erasureRequests = await ErasureRequest.findAll({
+      where: { userId: req.user.id },
+      attributes: { exclude: ['requestedIp'] },
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { erasureRequests }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/users/me/erasure
+// @desc    Withdraw a pending erasure request
+// @access  Private
+router.delete('/me/erasure', async (req, res, next) => {
+  try {
+    const erasureRequest = await ErasureRequest.findOne({ where: { userId: req.user.id, status: 'pending' } });
+    if (!erasureRequest) {
+      return next(new AppError('No pending erasure request found', 404));
+    }
+
+    await erasureRequest.update({ status: 'cancelled' });
+
+    auditLogger.userAction(req.user.id, 'erasure_request_cancelled', { erasureRequestId: erasureRequest.id });
+
+    res.json({
+      success: true,
+      message: 'Your erasure request has been withdrawn'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/users/:id
+// @desc    Get user by ID (self, or users.read permission)
+// @access  Private
+router.get('/:id', authorizeOwnership({ model: User, ownerField: 'id', permission: 'users.read' }), async (req, res, next) => {
+  try {
+    // Loaded by authorizeOwnership; toJSON strips credentials
+    res.json({
+      success: true,
+      data: { user: req.resource }
     });
   } catch (error) {
     next(error);
@@ -190,8 +431,8 @@ router.get('/:id', authorizeOwnerOrAdmin, [
 
 // @route   PUT /api/users/:id/deactivate
 // @desc    Deactivate user account (admin only)
-// @access  Private/Admin
-router.put('/:id/deactivate', require('../middleware/auth').authorize('admin'), [
+// @access  Private (users.manage)
+router.put('/:id/deactivate', requirePermission('users.manage'), [
   param('id').isUUID()
 ], async (req, res, next) => {
   try {
@@ -231,8 +472,8 @@ router.put('/:id/deactivate', require('../middleware/auth').authorize('admin'),
 
 // @route   PUT /api/users/:id/activate
 // @desc    Activate user account (admin only)
-// @access  Private/Admin
-router.put('/:id/activate', require('../middleware/auth').authorize('admin'), [
+// @access  Private (users.manage)
+router.put('/:id/activate', requirePermission('users.manage'), [
   param('id').isUUID()
 ], async (req, res, next) => {
   try {
@@ -339,8 +580,8 @@ router.get('/settings/account', async (req, res, next) => {
           language: 'en',
           timezone: 'UTC',
           dateFormat: 'MM/DD/YYYY',
-          twoFactorAuth: false,
-          loginAlerts: true
+          twoFactorAuth: !!req.user.twoFactorEnabled,
+          loginAlerts: req.user.loginAlertsEnabled !== false
         },
         user
       }
@@ -385,8 +626,11 @@ router.get('/settings/security', async (req, res, next) => {
       success: true,
       data: {
         settings: {
-          twoFactorAuth: false,
-          loginAlerts: true
+          twoFactorAuth: !!req.user.twoFactorEnabled,
+          twoFactorRequired: isTwoFactorRequired(req.user),
+          twoFactorEnabledAt: req.user.twoFactorEnabledAt || null,
+          backupCodesRemaining: (req.user.twoFactorBackupCodes || []).length,
+          loginAlerts: req.user.loginAlertsEnabled !== false
         }
       }
     });
@@ -396,11 +640,63 @@ router.get('/settings/security', async (req, res, next) => {
 });
 
 // @route   PUT /api/users/settings/security
-// @desc    Update user security settings
+// @desc    Update user security settings (turning 2FA off needs password and a code)
 // @access  Private
-router.put('/settings/security', async (req, res, next) => {
+router.put('/settings/security', [
+  body('twoFactorAuth')
+    .optional()
+    .isBoolean()
+    .withMessage('twoFactorAuth must be a boolean'),
+  body('loginAlerts')
+    .optional()
+    .isBoolean()
+    .withMessage('loginAlerts must be a boolean')
+], async (req, res, next) => {
   try {
-    const { twoFactorAuth, loginAlerts } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { twoFactorAuth, loginAlerts, password, code, backupCode } = req.body;
+    const wantsTwoFactor = twoFactorAuth === undefined ? undefined : String(twoFactorAuth) === 'true';
+
+    // Enabling goes through the setup/verify endpoints so the user proves they have the secret
+    if (wantsTwoFactor === true && !req.user.twoFactorEnabled) {
+      return next(new AppError('Use /api/users/settings/security/2fa/setup to enable two-factor authentication', 400));
+    }
+
+    if (wantsTwoFactor === false && req.user.twoFactorEnabled) {
+      if (isTwoFactorRequired(req.user)) {
+        return next(new AppError('Two-factor authentication is mandatory for your role', 403));
+      }
+
+      if (!password || (!code && !backupCode)) {
+        return next(new AppError('Password and a verification code are required to disable two-factor authentication', 400));
+      }
+
+      const user = await User.findByPk(req.user.id);
+      if (!(await user.validatePassword(password))) {
+        return next(new AppError('Password is incorrect', 401));
+      }
+
+      const { valid } = await verifySecondFactor(user, { code, backupCode });
+      if (!valid) {
+        return next(new AppError('Invalid verification code', 401));
+      }
+
+      await disableTwoFactor(user);
+      req.user.twoFactorEnabled = false;
+      securityLogger.twoFactorDisabled(req.user.id, req.ip);
+    }
+
+    if (loginAlerts !== undefined) {
+      await req.user.update({ loginAlertsEnabled: String(loginAlerts) === 'true' });
+    }
 
     securityLogger.dataAccess(req.user.id, 'update', 'security_settings', req.ip);
 
@@ -409,8 +705,8 @@ router.put('/settings/security', async (req, res, next) => {
       message: 'Security settings updated successfully',
       data: {
         settings: {
-          twoFactorAuth,
-          loginAlerts
+          twoFactorAuth: !!req.user.twoFactorEnabled,
+          loginAlerts: req.user.loginAlertsEnabled !== false
         }
       }
     });
@@ -419,4 +715,199 @@ router.put('/settings/security', async (req, res, next) => {
   }
 });
 
+// @route   POST /api/users/settings/security/2fa/setup
+// @desc    Start two-factor enrollment - returns a new TOTP secret and otpauth URI
+// @access  Private
+router.post('/settings/security/2fa/setup', async (req, res, next) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return next(new AppError('Two-factor authentication is already enabled', 400));
+    }
+
+    const { secret, otpauthUri } = await startEnrollment(req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code or enter the secret in your authenticator app, then verify a code',
+      data: {
+        secret,
+        otpauthUri
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/users/settings/security/2fa/verify
+// @desc    Confirm two-factor enrollment with a code from the authenticator app
+// @access  Private
+router.post('/settings/security/2fa/verify', [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (req.user.twoFactorEnabled) {
+      return next(new AppError('Two-factor authentication is already enabled', 400));
+    }
+
+    if (!req.user.twoFactorSecret) {
+      return next(new AppError('Start two-factor setup before verifying a code', 400));
+    }
+
+    const backupCodes = await confirmEnrollment(req.user, req.body.code);
+    if (!backupCodes) {
+      return next(new AppError('Invalid verification code', 400));
+    }
+
+    securityLogger.twoFactorEnabled(req.user.id, req.ip);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these backup codes somewhere safe - they will not be shown again',
+      data: {
+        backupCodes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/users/settings/security/2fa/backup-codes
+// @desc    Replace all backup codes (requires a current TOTP code)
+// @access  Private
+router.post('/settings/security/2fa/backup-codes', [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.user.twoFactorEnabled) {
+      return next(new AppError('Two-factor authentication is not enabled', 400));
+    }
+
+    const { valid } = await verifySecondFactor(req.user, { code: req.body.code });
+    if (!valid) {
+      return next(new AppError('Invalid verification code', 401));
+    }
+
+    const backupCodes = await regenerateBackupCodes(req.user);
+    securityLogger.dataAccess(req.user.id, 'regenerate', 'two_factor_backup_codes', req.ip);
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work',
+      data: {
+        backupCodes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/users/settings/identities
+// @desc    List linked identity providers and the ones available to link
+// @access  Private
+router.get('/settings/identities', async (req, res, next) => {
+  try {
+    const identities = await UserIdentity.findAll({
+      where: { userId: req.user.id },
+      attributes: ['id', 'provider', 'email', 'lastLoginAt', 'createdAt'],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        identities,
+        availableProviders: listProviders(),
+        passwordLoginEnabled: req.user.passwordLoginEnabled !== false
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/users/settings/identities/:provider/link
+// @desc    Start linking an identity provider - returns the URL to send the browser to
+// @access  Private
+router.post('/settings/identities/:provider/link', async (req, res, next) => {
+  try {
+    getProvider(req.params.provider);
+
+    const existing = await UserIdentity.findOne({
+      where: { userId: req.user.id, provider: req.params.provider }
+    });
+    if (existing) {
+      return next(new AppError('This provider is already linked to your account', 400));
+    }
+
+    const { authorizationUrl, stateToken } = await createAuthorizationRequest(req.params.provider, {
+      mode: 'link',
+      userId: req.user.id
+    });
+
+    res.cookie(OIDC_STATE_COOKIE, stateToken, stateCookieOptions);
+
+    res.json({
+      success: true,
+      data: { authorizationUrl }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/users/settings/identities/:provider
+// @desc    Unlink an identity provider (the account must keep a way to sign in)
+// @access  Private
+router.delete('/settings/identities/:provider', async (req, res, next) => {
+  try {
+    const identities = await UserIdentity.findAll({ where: { userId: req.user.id } });
+    const identity = identities.find(item => item.provider === req.params.provider);
+
+    if (!identity) {
+      return next(new AppError('This provider is not linked to your account', 404));
+    }
+
+    if (req.user.passwordLoginEnabled === false && identities.length === 1) {
+      return next(new AppError('Set a password (through forgot password) before unlinking your only sign-in method', 400));
+    }
+
+    await identity.destroy();
+    securityLogger.identityUnlinked(req.user.id, identity.provider, req.ip);
+
+    res.json({
+      success: true,
+      message: 'Identity provider unlinked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -5,6 +5,7 @@
 
 require('dotenv').config();
 const { sequelize, User, Application } = require('./models');
+const { createInitialRevision } = require('./services/applicationRevisionService');
 
 const seedTestData = async () => {
   try {
@@ -231,7 +232,8 @@ const seedTestData = async () => {
         await existingApp.update(appData);
         appsUpdated++;
       } else {
-        await Application.create(appData);
+        const application = await Application.create(appData);
+        await createInitialRevision(application);
         appsCreated++;
       }
     }
@@ -13,6 +13,7 @@ const sequelize = require('./config/database');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const applicationRoutes = require('./routes/applications');
+const applicationGroupRoutes = require('./routes/applicationGroups');
 const biometricsRoutes = require('./routes/biometrics');
 const paymentRoutes = require('./routes/payments');
 const documentRoutes = require('./routes/documents');
@@ -95,8 +96,8 @@ const corsOptions = {
     callback(new Error('Not allowed by CORS'));
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID', 'X-API-Key']
 };
 app.use(cors(corsOptions));
 
@@ -186,6 +187,30 @@ const authMeLimiter = rateLimit({
   }
 });
 
+// Separate limiter for resending verification emails so it cannot be used to spam inboxes
+const verificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // limit each IP to 3 verification emails per hour
+  message: {
+    success: false,
+    message: 'Too many verification emails requested, please try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Invitation acceptance takes a few calls (lookup, 2FA setup, accept) plus retries
+const invitationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit each IP to 20 invitation requests per 15 minutes
+  message: {
+    success: false,
+    message: 'Too many invitation attempts, please try again later'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 const generalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs for general API
@@ -197,10 +222,14 @@ const generalLimiter = rateLimit({
   legacyHeaders: false
 });
 
-// Apply stricter rate limiting to auth routes (login/register/forgot-password)
-app.use('/api/auth/login', authLimiter);
+// Apply stricter rate limiting to auth routes (login/register/forgot-password/reset-password)
+app.use('/api/auth/login', authLimiter); // also covers /api/auth/login/2fa
 app.use('/api/auth/register', authLimiter);
 app.use('/api/auth/forgot-password', authLimiter);
+app.use('/api/auth/reset-password', authLimiter);
+app.use('/api/auth/login-alerts', authLimiter);
+app.use('/api/auth/resend-verification', verificationLimiter);
+app.use('/api/auth/invitations', invitationLimiter);
 
 // Apply more permissive rate limiting to /api/auth/me endpoint
 // This must be applied before the general limiter
@@ -279,12 +308,18 @@ app.get('/api/debug/db', async (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/applications', applicationRoutes);
+app.use('/api/application-groups', applicationGroupRoutes);
 app.use('/api/biometrics', biometricsRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/documents', documentRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/admin', adminRoutes);
 
+// Local OpenID Connect provider for development and tests (never mounted in production)
+if (require('./config/oidc').mockEnabled) {
+  app.use('/api/mock-idp', require('./routes/mockIdp'));
+}
+
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
@@ -299,6 +334,36 @@ app.use(errorHandler);
 // Database connection and server start
 const PORT = process.env.PORT || 5000;
 
+// Function to ensure the built-in roles exist (sync-based databases skip the roles migration)
+const ensureDefaultRoles = async () => {
+  try {
+    const { ensureDefaultRoles: createDefaultRoles } = require('./services/permissionService');
+    await createDefaultRoles();
+  } catch (error) {
+    console.error('❌ [ROLES] Failed to create default roles:', error.message);
+  }
+};
+
+// Function to ensure every visa type has an application form
+const ensureDefaultFormSchemas = async () => {
+  try {
+    const { ensureDefaultFormSchemas: createDefaultFormSchemas } = require('./services/formSchemaService');
+    await createDefaultFormSchemas();
+  } catch (error) {
+    console.error('❌ [FORMS] Failed to create default form schemas:', error.message);
+  }
+};
+
+// Function to ensure the eligibility pre-check has its default rules
+const ensureDefaultEligibilityRules = async () => {
+  try {
+    const { ensureDefaultEligibilityRules: createDefaultEligibilityRules } = require('./services/eligibilityService');
+    await createDefaultEligibilityRules();
+  } catch (error) {
+    console.error('❌ [ELIGIBILITY] Failed to create default eligibility rules:', error.message);
+  }
+};
+
 // Function to ensure admin user exists
 const ensureAdminUser = async () => {
   try {
@@ -426,6 +491,9 @@ const startServer = async () => {
     // Ensure admin user exists (both development and production)
     // This guarantees admin login works even if seed didn't run
     if (sequelize) {
+      await ensureDefaultRoles();
+      await ensureDefaultFormSchemas();
+      await ensureDefaultEligibilityRules();
       await ensureAdminUser();
     }
 
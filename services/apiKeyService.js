@@ -0,0 +1,90 @@
+const { Op } = require('sequelize');
+const { ApiKey, User } = require('../models');
+const { generateSecureToken, hashToken } = require('../utils/tokens');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const securityConfig = require('../config/security');
+
+const KEY_PREFIX = 'ak_';
+
+// Raw keys look like "ak_<48 hex chars>"; only the hash is stored
+const generateRawKey = () => `${KEY_PREFIX}${generateSecureToken(24)}`;
+
+const describeKey = (rawKey) => ({
+  keyPrefix: rawKey.substring(0, KEY_PREFIX.length + 8),
+  keyHash: hashToken(rawKey)
+});
+
+// Issue a new key; the raw value is returned once and never stored
+const createApiKey = async ({ name, organization, userId, scopes, expiresAt, createdBy }) => {
+  const rawKey = generateRawKey();
+
+  const apiKey = await ApiKey.create({
+    name,
+    organization,
+    userId,
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresAt || null,
+    createdBy,
+    ...describeKey(rawKey)
+  });
+
+  return { apiKey, rawKey };
+};
+
+// Replace the secret of an existing key; the old value stops working immediately
+const rotateApiKey = async (apiKey) => {
+  const rawKey = generateRawKey();
+
+  await apiKey.update({
+    ...describeKey(rawKey),
+    rotatedAt: new Date()
+  });
+
+  return rawKey;
+};
+
+// Resolve a raw key to an active ApiKey (with its owning user), or null
+const authenticateApiKey = async (rawKey, ip) => {
+  if (typeof rawKey !== 'string' || !rawKey.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  const apiKey = await ApiKey.findOne({
+    where: { keyHash: hashToken(rawKey) },
+    include: [{ model: User, as: 'user', attributes: { exclude: ['password'] } }]
+  });
+
+  if (!apiKey || !apiKey.isActive() || !apiKey.user) {
+    return null;
+  }
+
+  // Throttle last-used writes the same way as session activity
+  const threshold = new Date(Date.now() - securityConfig.sessions.lastSeenUpdateIntervalSeconds * 1000);
+  await ApiKey.update(
+    { lastUsedAt: new Date(), lastUsedIp: ip || null },
+    {
+      where: {
+        id: apiKey.id,
+        [Op.or]: [{ lastUsedAt: null }, { lastUsedAt: { [Op.lt]: threshold } }]
+      }
+    }
+  );
+
+  return apiKey;
+};
+
+// A request is allowed when one of the key's scopes covers its method and path
+const isRequestInScope = (scopes, method, path) => {
+  return (scopes || []).some(scopeName => {
+    const scope = API_KEY_SCOPES[scopeName];
+    if (!scope || !scope.methods.includes(method)) return false;
+    return scope.paths.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+  });
+};
+
+module.exports = {
+  createApiKey,
+  rotateApiKey,
+  authenticateApiKey,
+  isRequestInScope
+};
@@ -0,0 +1,160 @@
+const { Op } = require('sequelize');
+const { Application, Document } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { validateAnswers, getActiveFormSchema } = require('./formSchemaService');
+const { generateApplicationNumber } = require('./applicationNumberService');
+const { createInitialRevision } = require('./applicationRevisionService');
+
+// An issued visa can be renewed from this many days before it expires
+const RENEWAL_WINDOW_DAYS = 90;
+
+// Documents that only describe one trip are never carried forward
+const TRIP_SPECIFIC_DOCUMENT_TYPES = [
+  'bank_statement', 'travel_insurance', 'travel_itinerary', 'flight_itinerary',
+  'hotel_booking', 'invitation_letter', 'insurance_policy'
+];
+
+// Documents that expire; they are only carried forward with a known expiry date in the future
+const EXPIRING_DOCUMENT_TYPES = ['passport', 'passport_copy', 'id_card'];
+
+// Passport scans without a recorded expiry can use the date the applicant gave on the form
+const PASSPORT_DOCUMENT_TYPES = ['passport', 'passport_copy'];
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const renewalOpensOn = (expiryDate) => {
+  const date = new Date(`${expiryDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - RENEWAL_WINDOW_DAYS);
+  return date.toISOString().split('T')[0];
+};
+
+const isRenewable = (application) => {
+  return application.status === 'issued' && !!application.expiryDate && renewalOpensOn(application.expiryDate) <= today();
+};
+
+// Issued applications of the user that can be renewed now
+const getRenewableApplications = async (userId) => {
+  const issued = await Application.findAll({
+    where: { userId, status: 'issued', expiryDate: { [Op.ne]: null } },
+    attributes: ['id', 'applicationNumber', 'visaType', 'destinationCountry', 'issueDate', 'expiryDate'],
+    order: [['expiryDate', 'ASC']]
+  });
+  return issued.filter(isRenewable);
+};
+
+// Answers of the earlier application that still fit the current form. Answers the form no
+// longer asks for, or that are no longer valid (e.g. travel dates now in the past), are left out.
+// Applications from before form schemas only have their columns to go on.
+const carryOverAnswers = (definition, previous) => {
+  const previousAnswers = { ...previous.formAnswers };
+  for (const field of definition.sections.flatMap(section => section.fields)) {
+    if (previousAnswers[field.name] === undefined && field.column && previous[field.column] !== null && previous[field.column] !== undefined) {
+      previousAnswers[field.name] = previous[field.column];
+    }
+  }
+
+  const answers = { ...previousAnswers };
+  const { errors } = validateAnswers(definition, answers);
+  errors.forEach(error => delete answers[error.path]);
+
+  const { values, columns } = validateAnswers(definition, answers);
+  const droppedFields = Object.keys(previousAnswers).filter(name => values[name] === undefined);
+  return { values, columns, droppedFields };
+};
+
+// The date a document stops being valid, or null when it does not expire or is not known
+const documentExpiry = (document, previous) => {
+  if (document.expiresAt) return document.expiresAt;
+  if (PASSPORT_DOCUMENT_TYPES.includes(document.documentType)) {
+    return (previous.formAnswers || {}).passportExpiryDate || null;
+  }
+  return null;
+};
+
+// Approved documents that are still valid, re-attached to the new application. The new
+// rows point at the same file and remember which document they came from.
+// Passports and ID cards whose expiry is unknown (e.g. uploaded before expiry dates were
+// recorded) are left out and have to be uploaded again.
+const carryOverDocuments = async (previous, application, transaction) => {
+  const documents = await Document.findAll({
+    where: {
+      applicationId: previous.id,
+      status: 'approved',
+      documentType: { [Op.notIn]: TRIP_SPECIFIC_DOCUMENT_TYPES },
+      [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: today() } }]
+    },
+    transaction
+  });
+
+  const carried = [];
+  for (const document of documents) {
+    const expiresAt = documentExpiry(document, previous);
+    if (EXPIRING_DOCUMENT_TYPES.includes(document.documentType) && !(expiresAt && expiresAt > today())) {
+      continue;
+    }
+
+    carried.push(await Document.create({
+      userId: application.userId,
+      applicationId: application.id,
+      documentType: document.documentType,
+      fileName: document.fileName,
+      originalName: document.originalName,
+      filePath: document.filePath,
+      fileSize: document.fileSize,
+      mimeType: document.mimeType,
+      status: 'approved',
+      verifiedAt: document.verifiedAt,
+      expiresAt,
+      sourceDocumentId: document.sourceDocumentId || document.id
+    }, { transaction }));
+  }
+  return carried;
+};
+
+// Start a new draft from an earlier application: its answers (as far as they still fit)
+// and still-valid approved documents are copied, and the two are linked.
+// Renewals keep the visa type and destination; clones may change them.
+const cloneApplication = async (previous, { visaType, destinationCountry, renewal = false } = {}) => {
+  if (renewal && !isRenewable(previous)) {
+    throw new AppError(
+      previous.status !== 'issued' || !previous.expiryDate
+        ? 'Only issued visas with an expiry date can be renewed'
+        : `This visa can be renewed from ${renewalOpensOn(previous.expiryDate)}`,
+      400
+    );
+  }
+
+  const targetVisaType = (!renewal && visaType) || previous.visaType;
+  const targetDestination = renewal || destinationCountry === undefined ? previous.destinationCountry : destinationCountry;
+
+  // The new draft uses the form that is current now, which may be a newer version
+  const formSchema = await getActiveFormSchema(targetVisaType, targetDestination);
+  const { values, columns, droppedFields } = carryOverAnswers(formSchema.definition, previous);
+
+  return Application.sequelize.transaction(async (transaction) => {
+    const application = await Application.create({
+      userId: previous.userId,
+      applicationNumber: await generateApplicationNumber({ processingCenter: previous.processingCenter, transaction }),
+      visaType: targetVisaType,
+      destinationCountry: targetDestination || null,
+      processingCenter: previous.processingCenter,
+      formSchemaId: formSchema.id,
+      formAnswers: values,
+      ...columns,
+      previousApplicationId: previous.id,
+      isRenewal: renewal
+    }, { transaction });
+    await createInitialRevision(application, { action: renewal ? 'renew' : 'clone', transaction });
+
+    const documents = await carryOverDocuments(previous, application, transaction);
+
+    return { application, documents, droppedFields };
+  });
+};
+
+module.exports = {
+  RENEWAL_WINDOW_DAYS,
+  isRenewable,
+  getRenewableApplications,
+  cloneApplication
+};
@@ -0,0 +1,328 @@
+const { Op } = require('sequelize');
+const { Application, ApplicationGroup, BiometricAppointment, User } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { transitionApplication, getStatusLabel } = require('./applicationStateMachine');
+const { APPLICATION_STATUSES } = require('../config/applicationWorkflow');
+
+const GROUP_RELATIONSHIPS = ['lead', 'spouse', 'partner', 'child', 'parent', 'sibling', 'other'];
+
+// Members can join or leave until the group has been quoted
+const GROUPABLE_STATUSES = ['draft', 'submitted', 'under_review', 'documents_required'];
+
+const MAX_GROUP_SIZE = 10;
+
+// Fees per member; the courier fee is charged once for the whole group
+const DEFAULT_MEMBER_FEES = {
+  processingFee: 120.00,
+  biometricsFee: 50.00,
+  serviceFee: 30.00,
+  courierFee: 25.00
+};
+
+const MEMBER_ATTRIBUTES = [
+  'id', 'userId', 'applicationNumber', 'firstName', 'lastName', 'visaType', 'destinationCountry',
+  'status', 'groupRelationship', 'totalCost', 'applicationGroupId', 'createdAt'
+];
+
+const STATUS_ORDER = Object.keys(APPLICATION_STATUSES);
+
+// The group's status is the least advanced status among its members. Members that are
+// finished, rejected or cancelled do not hold the others back.
+const getGroupStatus = (members) => {
+  if (members.length === 0) return null;
+
+  const counts = {};
+  for (const member of members) {
+    counts[member.status] = (counts[member.status] || 0) + 1;
+  }
+
+  const open = members.filter(member => !APPLICATION_STATUSES[member.status].terminal);
+  const considered = open.length > 0 ? open : members;
+  const status = considered
+    .map(member => member.status)
+    .reduce((lowest, current) => (STATUS_ORDER.indexOf(current) < STATUS_ORDER.indexOf(lowest) ? current : lowest));
+
+  return {
+    status,
+    label: getStatusLabel(status),
+    mixed: Object.keys(counts).length > 1,
+    counts
+  };
+};
+
+const GROUP_INCLUDE = [
+  { model: Application, as: 'members', attributes: MEMBER_ATTRIBUTES },
+  { model: User, as: 'leadUser', attributes: ['id', 'firstName', 'lastName', 'email'] }
+];
+
+const listGroups = async (where) => {
+  return ApplicationGroup.findAll({
+    where,
+    include: GROUP_INCLUDE,
+    order: [['createdAt', 'DESC'], [{ model: Application, as: 'members' }, 'createdAt', 'ASC']]
+  });
+};
+
+const loadGroup = async (id, { transaction } = {}) => {
+  const group = await ApplicationGroup.findByPk(id, {
+    include: GROUP_INCLUDE,
+    order: [[{ model: Application, as: 'members' }, 'createdAt', 'ASC']],
+    transaction
+  });
+  if (!group) {
+    throw new AppError('Application group not found', 404);
+  }
+  return group;
+};
+
+// The group as returned by the API: its members (lead first) and the rolled-up status
+const serializeGroup = (group) => {
+  const members = [
+    ...group.members.filter(member => member.id === group.leadApplicationId),
+    ...group.members.filter(member => member.id !== group.leadApplicationId)
+  ];
+  return {
+    ...group.toJSON(),
+    members: members.map(member => member.toJSON()),
+    groupStatus: getGroupStatus(members)
+  };
+};
+
+const assertCanJoin = (application, leadUserId, groupId = null) => {
+  if (application.userId !== leadUserId) {
+    throw new AppError(`Application ${application.applicationNumber} belongs to another account; the lead applicant files every application of the group`, 400);
+  }
+  if (application.applicationGroupId && application.applicationGroupId !== groupId) {
+    throw new AppError(`Application ${application.applicationNumber} is already part of a group`, 400);
+  }
+  if (!GROUPABLE_STATUSES.includes(application.status)) {
+    throw new AppError(`Application ${application.applicationNumber} is ${getStatusLabel(application.status)} and can no longer join a group`, 400);
+  }
+};
+
+const assertNotQuoted = (group) => {
+  if (group.costProvidedAt) {
+    throw new AppError('The group has already been quoted; its members can no longer change', 400);
+  }
+};
+
+// members: [{ application, relationship }] not including the lead
+const createGroup = async ({ name, leadApplication, members, user }) => {
+  if (members.length + 1 > MAX_GROUP_SIZE) {
+    throw new AppError(`A group can have at most ${MAX_GROUP_SIZE} applications`, 400);
+  }
+  if (members.some(({ application }) => application.id === leadApplication.id)) {
+    throw new AppError('The lead application is already in the group', 400);
+  }
+
+  for (const application of [leadApplication, ...members.map(member => member.application)]) {
+    assertCanJoin(application, user.id);
+  }
+
+  const group = await ApplicationGroup.sequelize.transaction(async (transaction) => {
+    const created = await ApplicationGroup.create({
+      name,
+      leadUserId: user.id,
+      leadApplicationId: leadApplication.id,
+      createdBy: user.id
+    }, { transaction });
+
+    await leadApplication.update({ applicationGroupId: created.id, groupRelationship: 'lead' }, { transaction });
+    for (const { application, relationship } of members) {
+      await application.update({ applicationGroupId: created.id, groupRelationship: relationship || 'other' }, { transaction });
+    }
+
+    return created;
+  });
+
+  return loadGroup(group.id);
+};
+
+const addGroupMember = async (group, application, relationship) => {
+  assertNotQuoted(group);
+  if (group.members.length >= MAX_GROUP_SIZE) {
+    throw new AppError(`A group can have at most ${MAX_GROUP_SIZE} applications`, 400);
+  }
+  assertCanJoin(application, group.leadUserId, group.id);
+
+  await application.update({ applicationGroupId: group.id, groupRelationship: relationship || 'other' });
+  return loadGroup(group.id);
+};
+
+const removeGroupMember = async (group, application) => {
+  assertNotQuoted(group);
+  if (application.applicationGroupId !== group.id) {
+    throw new AppError('Application is not part of this group', 404);
+  }
+  if (application.id === group.leadApplicationId) {
+    throw new AppError('The lead application cannot leave the group; dissolve the group instead', 400);
+  }
+
+  await application.update({ applicationGroupId: null, groupRelationship: null });
+  return loadGroup(group.id);
+};
+
+const dissolveGroup = async (group) => {
+  assertNotQuoted(group);
+
+  await ApplicationGroup.sequelize.transaction(async (transaction) => {
+    await Application.update(
+      { applicationGroupId: null, groupRelationship: null },
+      { where: { applicationGroupId: group.id }, transaction }
+    );
+    await group.destroy({ transaction });
+  });
+};
+
+// Send one combined quote: every open member moves to "cost provided" with its share,
+// and the lead applicant is told the group total once.
+const sendGroupCostEstimation = async (group, { fees = {}, paymentDeadline }, actor) => {
+  assertNotQuoted(group);
+
+  const open = group.members.filter(member => !APPLICATION_STATUSES[member.status].terminal);
+  const drafts = open.filter(member => member.status === 'draft');
+  if (drafts.length > 0) {
+    throw new AppError(`Every member must be submitted before the group is quoted (still in draft: ${drafts.map(member => member.applicationNumber).join(', ')})`, 400);
+  }
+  if (open.length === 0) {
+    throw new AppError('The group has no open applications to quote', 400);
+  }
+
+  const memberFees = { ...DEFAULT_MEMBER_FEES };
+  Object.keys(memberFees).forEach((name) => {
+    if (fees[name] !== undefined) memberFees[name] = fees[name];
+  });
+  const deadline = paymentDeadline ? new Date(paymentDeadline) : new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+  const courierPayer = open.find(member => member.id === group.leadApplicationId) || open[0];
+
+  const costBreakdown = open.map((member) => {
+    const courierFee = member.id === courierPayer.id ? Number(memberFees.courierFee) : 0;
+    const share = {
+      applicationId: member.id,
+      applicationNumber: member.applicationNumber,
+      processingFee: Number(memberFees.processingFee),
+      biometricsFee: Number(memberFees.biometricsFee),
+      serviceFee: Number(memberFees.serviceFee),
+      courierFee
+    };
+    share.total = share.processingFee + share.biometricsFee + share.serviceFee + share.courierFee;
+    return share;
+  });
+  const totalCost = costBreakdown.reduce((sum, share) => sum + share.total, 0);
+
+  await ApplicationGroup.sequelize.transaction(async (transaction) => {
+    // Group listings only load a few columns; the workflow needs whole applications
+    const applications = await Application.findAll({ where: { id: open.map(member => member.id) }, transaction });
+
+    for (const share of costBreakdown) {
+      const member = applications.find(candidate => candidate.id === share.applicationId);
+      await transitionApplication(member, 'cost_provided', {
+        actor,
+        transaction,
+        changes: {
+          processingFee: share.processingFee,
+          biometricsFee: share.biometricsFee,
+          serviceFee: share.serviceFee,
+          courierFee: share.courierFee,
+          totalCost: share.total,
+          paymentDeadline: deadline
+        },
+        // Everyone in the group shares the lead's account: one notification is enough
+        notifyApplicant: member.id === courierPayer.id,
+        notification: {
+          message: `The combined cost for your group "${group.name}" (${costBreakdown.length} applications) is ${totalCost.toFixed(2)}. Please pay it in one payment before ${deadline.toLocaleDateString()}.`
+        }
+      });
+    }
+
+    await group.update({ totalCost, costBreakdown, paymentDeadline: deadline, costProvidedAt: new Date() }, { transaction });
+  });
+
+  return loadGroup(group.id);
+};
+
+// Move every member waiting for the group's payment on; `toStatus` is payment_pending
+// when the payment is started and payment_completed once it is received
+const advanceGroupPayment = async (group, toStatus, { actor, transaction }) => {
+  const fromStatuses = toStatus === 'payment_pending' ? ['cost_provided'] : ['cost_provided', 'payment_pending'];
+  const members = await Application.findAll({
+    where: { applicationGroupId: group.id, status: { [Op.in]: fromStatuses } },
+    transaction
+  });
+
+  for (const member of members) {
+    await transitionApplication(member, toStatus, {
+      actor,
+      transaction,
+      notifyApplicant: member.id === group.leadApplicationId
+    });
+  }
+  return members;
+};
+
+// Book back-to-back appointments at one location for every member ready for biometrics
+const scheduleGroupBiometrics = async (group, { startsAt, location, slotMinutes = 15, notes }, actor) => {
+  const ready = group.members.filter(member => ['under_review', 'payment_completed'].includes(member.status));
+  if (ready.length === 0) {
+    throw new AppError('No application in the group is ready for a biometric appointment', 400);
+  }
+
+  const existing = await BiometricAppointment.findAll({
+    where: { applicationId: ready.map(member => member.id) },
+    attributes: ['applicationId']
+  });
+  const toBook = ready.filter(member => !existing.some(appointment => appointment.applicationId === member.id));
+  if (toBook.length === 0) {
+    throw new AppError('Every ready application in the group already has a biometric appointment', 400);
+  }
+
+  return ApplicationGroup.sequelize.transaction(async (transaction) => {
+    const appointments = [];
+    const applications = await Application.findAll({ where: { id: toBook.map(member => member.id) }, transaction });
+
+    for (const [index, member] of toBook.map(({ id }) => applications.find(application => application.id === id)).entries()) {
+      const slot = new Date(startsAt.getTime() + index * slotMinutes * 60 * 1000);
+      const appointment = await BiometricAppointment.create({
+        applicationId: member.id,
+        applicationGroupId: group.id,
+        userId: member.userId,
+        appointmentDate: slot.toISOString().slice(0, 10),
+        appointmentTime: slot.toISOString().slice(11, 19),
+        location,
+        status: 'scheduled',
+        notes,
+        scheduledBy: actor.user.id
+      }, { transaction });
+
+      await transitionApplication(member, 'biometrics_scheduled', {
+        actor,
+        transaction,
+        changes: { biometricsDate: slot },
+        notifyApplicant: index === 0,
+        notification: {
+          message: `Biometric appointments for your group "${group.name}" have been booked at ${location} on ${slot.toLocaleDateString()}, one after the other starting at ${startsAt.toISOString().slice(11, 16)} UTC`
+        }
+      });
+
+      appointments.push(appointment);
+    }
+
+    return appointments;
+  });
+};
+
+module.exports = {
+  GROUP_RELATIONSHIPS,
+  MAX_GROUP_SIZE,
+  getGroupStatus,
+  loadGroup,
+  listGroups,
+  serializeGroup,
+  createGroup,
+  addGroupMember,
+  removeGroupMember,
+  dissolveGroup,
+  sendGroupCostEstimation,
+  advanceGroupPayment,
+  scheduleGroupBiometrics
+};
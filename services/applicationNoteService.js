@@ -0,0 +1,205 @@
+const { Op } = require('sequelize');
+const { ApplicationNote, User, Notification } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { getRolePermissions, grantsPermission } = require('./permissionService');
+
+const AUTHOR_ATTRIBUTES = ['id', 'firstName', 'lastName', 'role'];
+const EXCERPT_LENGTH = 140;
+
+const excerpt = (content) => (content.length > EXCERPT_LENGTH ? `${content.slice(0, EXCERPT_LENGTH - 1)}…` : content);
+
+// Only active staff who can open the application may be mentioned
+const resolveMentions = async (userIds) => {
+  const ids = [...new Set(userIds || [])];
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const users = await User.findAll({
+    where: { id: { [Op.in]: ids }, isActive: true },
+    attributes: ['id', 'firstName', 'lastName', 'role']
+  });
+
+  const mentionable = [];
+  for (const user of users) {
+    if (grantsPermission(await getRolePermissions(user.role), 'applications.read_all')) {
+      mentionable.push(user);
+    }
+  }
+
+  if (mentionable.length !== ids.length) {
+    const found = mentionable.map(user => user.id);
+    throw new AppError(`These users cannot be mentioned: ${ids.filter(id => !found.includes(id)).join(', ')}`, 400);
+  }
+
+  return mentionable;
+};
+
+const notifyMentions = async (note, application, author, userIds) => {
+  for (const userId of userIds) {
+    if (String(userId) === String(author.id)) continue;
+
+    await Notification.create({
+      userId,
+      applicationId: application.id,
+      type: 'note_mention',
+      title: 'You were mentioned in a case note',
+      message: `${author.firstName} ${author.lastName} mentioned you on application ${application.applicationNumber}: "${excerpt(note.content)}"`,
+      priority: 'medium',
+      actionUrl: `/admin/applications/${application.id}?note=${note.id}`,
+      createdBy: author.id
+    });
+  }
+};
+
+const notifyApplicant = async (note, application, author) => {
+  await Notification.create({
+    userId: application.userId,
+    applicationId: application.id,
+    type: 'application_status_update',
+    title: 'New message about your application',
+    message: `There is a new message about your visa application (${application.applicationNumber}): "${excerpt(note.content)}"`,
+    priority: 'medium',
+    actionUrl: `/applications/${application.id}`,
+    createdBy: author.id
+  });
+};
+
+// Add a note, or a reply when parentId is given. Replies to replies join the same thread.
+const createNote = async (application, author, { content, visibility = 'internal', parentId, mentions }) => {
+  let threadId = null;
+  if (parentId) {
+    const parent = await ApplicationNote.findOne({ where: { id: parentId, applicationId: application.id } });
+    if (!parent || parent.isDeleted()) {
+      throw new AppError('The note you are replying to was not found', 404);
+    }
+    threadId = parent.parentId || parent.id;
+  }
+
+  const mentioned = await resolveMentions(mentions);
+
+  const note = await ApplicationNote.create({
+    applicationId: application.id,
+    authorId: author.id,
+    parentId: threadId,
+    content,
+    visibility,
+    mentionedUserIds: mentioned.map(user => user.id)
+  });
+
+  await notifyMentions(note, application, author, note.mentionedUserIds);
+  if (visibility === 'applicant') {
+    await notifyApplicant(note, application, author);
+  }
+
+  return note;
+};
+
+const assertCanChange = (note, user, canManage) => {
+  if (note.isDeleted()) {
+    throw new AppError('This note has been deleted', 410);
+  }
+  if (String(note.authorId) !== String(user.id) && !canManage) {
+    throw new AppError('Only the author can change this note', 403);
+  }
+};
+
+// Edit a note, keeping the previous version. Only newly mentioned officers are notified.
+const updateNote = async (note, application, editor, { content, visibility, mentions }, { canManage = false } = {}) => {
+  assertCanChange(note, editor, canManage);
+
+  const previousMentions = note.mentionedUserIds || [];
+  const mentioned = mentions !== undefined ? (await resolveMentions(mentions)).map(user => user.id) : previousMentions;
+  const becameVisible = visibility === 'applicant' && note.visibility !== 'applicant';
+
+  await note.update({
+    content: content !== undefined ? content : note.content,
+    visibility: visibility || note.visibility,
+    mentionedUserIds: mentioned,
+    editHistory: [
+      ...(note.editHistory || []),
+      { content: note.content, visibility: note.visibility, editedAt: new Date().toISOString(), editedBy: editor.id }
+    ],
+    editedAt: new Date()
+  });
+
+  await notifyMentions(note, application, editor, mentioned.filter(id => !previousMentions.includes(id)));
+  if (becameVisible) {
+    await notifyApplicant(note, application, editor);
+  }
+
+  return note;
+};
+
+// Pinned threads are listed first
+const setNotePinned = async (note, user, pinned) => {
+  if (note.isDeleted()) {
+    throw new AppError('This note has been deleted', 410);
+  }
+  if (note.parentId) {
+    throw new AppError('Only the first note of a thread can be pinned', 400);
+  }
+
+  await note.update(pinned
+    ? { isPinned: true, pinnedAt: new Date(), pinnedBy: user.id }
+    : { isPinned: false, pinnedAt: null, pinnedBy: null });
+
+  return note;
+};
+
+// Soft delete: the note stays in its thread as a placeholder
+const deleteNote = async (note, user, { canManage = false } = {}) => {
+  assertCanChange(note, user, canManage);
+
+  await note.update({ deletedAt: new Date(), deletedBy: user.id, isPinned: false, pinnedAt: null, pinnedBy: null });
+  return note;
+};
+
+// Staff view: threads with their replies, pinned threads first
+const listNoteThreads = async (applicationId) => {
+  const notes = await ApplicationNote.findAll({
+    where: { applicationId },
+    include: [{ model: User, as: 'author', attributes: AUTHOR_ATTRIBUTES }],
+    order: [['createdAt', 'ASC']]
+  });
+
+  const threads = notes
+    .filter(note => !note.parentId)
+    .map(note => ({ ...note.toJSON(), replies: [] }));
+  const byId = new Map(threads.map(thread => [thread.id, thread]));
+
+  for (const note of notes) {
+    if (note.parentId && byId.has(note.parentId)) {
+      byId.get(note.parentId).replies.push(note.toJSON());
+    }
+  }
+
+  // Drop deleted threads nobody replied to
+  return threads
+    .filter(thread => !thread.deletedAt || thread.replies.some(reply => !reply.deletedAt))
+    .sort((a, b) => Number(b.isPinned) - Number(a.isPinned));
+};
+
+// Applicant view: notes shared with the applicant, without internal details
+const listApplicantNotes = async (applicationId) => {
+  const notes = await ApplicationNote.findAll({
+    where: { applicationId, visibility: 'applicant', deletedAt: null },
+    order: [['createdAt', 'ASC']]
+  });
+
+  return notes.map(note => ({
+    id: note.id,
+    content: note.content,
+    createdAt: note.createdAt,
+    editedAt: note.editedAt
+  }));
+};
+
+module.exports = {
+  createNote,
+  updateNote,
+  setNotePinned,
+  deleteNote,
+  listNoteThreads,
+  listApplicantNotes
+};
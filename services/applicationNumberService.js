@@ -0,0 +1,136 @@
+const { Application, ApplicationNumberSequence } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const numberConfig = require('../config/applicationNumbers');
+
+const CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+if (!numberConfig.format.includes('{SEQ}') || !numberConfig.format.endsWith('{CHECK}')) {
+  throw new Error('APPLICATION_NUMBER_FORMAT must contain {SEQ} and end with {CHECK}');
+}
+
+// Letters and digits only, upper case: what the check character is computed over
+const compactNumber = (value) => String(value).toUpperCase().replace(/[^0-9A-Z]/g, '');
+
+// Luhn mod 36: catches any single wrong character and most swaps of neighbouring ones.
+// With `withCheck` the last character is the check itself and a valid number sums to 0.
+const luhnSum = (compact, withCheck) => {
+  let factor = withCheck ? 1 : 2;
+  let sum = 0;
+  for (let i = compact.length - 1; i >= 0; i--) {
+    const addend = factor * CHARACTERS.indexOf(compact[i]);
+    sum += Math.floor(addend / CHARACTERS.length) + (addend % CHARACTERS.length);
+    factor = factor === 2 ? 1 : 2;
+  }
+  return sum % CHARACTERS.length;
+};
+
+const getCheckCharacter = (payload) => CHARACTERS[(CHARACTERS.length - luhnSum(compactNumber(payload), false)) % CHARACTERS.length];
+
+// Whether the check character matches; says nothing about whether the application exists
+const hasValidCheckCharacter = (number) => {
+  const compact = compactNumber(number);
+  return compact.length > 1 && luhnSum(compact, true) === 0;
+};
+
+// Numbers in the current format start with the prefix; older ones (VISA-...) have no check character
+const isCurrentFormat = (number) => compactNumber(number).startsWith(numberConfig.prefix);
+
+// Pattern of a current-format number once separators are stripped, with the name of the
+// token each group captures. Literal parts of the format keep only their letters and digits.
+const TOKEN_PATTERNS = {
+  PREFIX: `(${numberConfig.prefix})`,
+  YYYY: '(\\d{4})',
+  CENTER: '([0-9A-Z]+?)',
+  SEQ: `(\\d{${numberConfig.sequenceDigits}})`,
+  CHECK: '([0-9A-Z])'
+};
+const formatParts = numberConfig.format.split(/(\{[A-Z]+\})/).filter(Boolean);
+const compactTokens = formatParts.filter(part => /^\{[A-Z]+\}$/.test(part)).map(part => part.slice(1, -1));
+const compactPattern = new RegExp(`^${formatParts
+  .map(part => (/^\{[A-Z]+\}$/.test(part) ? TOKEN_PATTERNS[part.slice(1, -1)] : compactNumber(part)))
+  .join('')}$`);
+
+// Fill the format template; values are keyed by token name
+const formatNumber = (values) => numberConfig.format.replace(/\{([A-Z]+)\}/g, (token, name) => values[name]);
+
+// The number as stored (e.g. ARJ-2026-DXB-000123-K) from a compact, upper-case one,
+// or null when it does not fit the current format
+const toCanonicalNumber = (compact) => {
+  const match = compactPattern.exec(compact);
+  if (!match) return null;
+  return formatNumber(Object.fromEntries(compactTokens.map((name, index) => [name, match[index + 1]])));
+};
+
+// Center code for a processing center given by code or name; unknown centers get the default
+const resolveCenterCode = (processingCenter) => {
+  if (processingCenter) {
+    const wanted = String(processingCenter).trim().toUpperCase();
+    const match = Object.entries(numberConfig.processingCenters)
+      .find(([code, name]) => code === wanted || name.toUpperCase() === wanted);
+    if (match) return match[0];
+  }
+  return numberConfig.defaultCenter;
+};
+
+// Atomically take the next value of the year's counter for a center.
+// A number is used up even if the application insert then fails, so gaps can appear.
+const nextSequenceValue = async (year, center, transaction) => {
+  const [rows] = await ApplicationNumberSequence.sequelize.query(`
+    INSERT INTO application_number_sequences (year, center, last_value, created_at, updated_at)
+    VALUES (:year, :center, 1, NOW(), NOW())
+    ON CONFLICT (year, center)
+    DO UPDATE SET last_value = application_number_sequences.last_value + 1, updated_at = NOW()
+    RETURNING last_value
+  `, { replacements: { year, center }, transaction });
+
+  return Number(rows[0].last_value);
+};
+
+const generateApplicationNumber = async ({ processingCenter, date = new Date(), transaction } = {}) => {
+  const year = date.getUTCFullYear();
+  const center = resolveCenterCode(processingCenter);
+  const sequence = await nextSequenceValue(year, center, transaction);
+
+  const payload = formatNumber({
+    PREFIX: numberConfig.prefix,
+    YYYY: String(year),
+    CENTER: center,
+    SEQ: String(sequence).padStart(numberConfig.sequenceDigits, '0'),
+    CHECK: ''
+  });
+
+  return `${payload}${getCheckCharacter(payload)}`;
+};
+
+// Find an application by number. Current-format numbers may be typed in any case, with or
+// without spaces and dashes, and are looked up as stored so the index on the column is used;
+// a wrong check character is reported as a typo. Older numbers (VISA-...) must be given as printed.
+const findApplicationByNumber = async (number, options = {}) => {
+  const compact = compactNumber(number);
+  if (!compact) {
+    throw new AppError('An application number is required', 400);
+  }
+
+  let applicationNumber = String(number).trim().toUpperCase();
+  if (isCurrentFormat(compact)) {
+    if (!hasValidCheckCharacter(compact)) {
+      throw new AppError('This application number contains a typo (its check character does not match)', 400);
+    }
+    applicationNumber = toCanonicalNumber(compact);
+    if (!applicationNumber) {
+      return null;
+    }
+  }
+
+  return Application.findOne({
+    ...options,
+    where: { applicationNumber }
+  });
+};
+
+module.exports = {
+  generateApplicationNumber,
+  findApplicationByNumber,
+  hasValidCheckCharacter,
+  resolveCenterCode
+};
@@ -0,0 +1,73 @@
+const { Op } = require('sequelize');
+const { Document, FormSchema } = require('../models');
+const { validateAnswers } = require('./formSchemaService');
+const { DOCUMENT_REQUIREMENTS } = require('../config/documentRequirements');
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// The requirements of the matrix that apply to a visa type and destination
+const getRequiredDocuments = (visaType, destinationCountry) => {
+  return DOCUMENT_REQUIREMENTS.filter((requirement) => {
+    if (requirement.visaTypes && !requirement.visaTypes.includes(visaType)) return false;
+    if (requirement.destinations && !requirement.destinations.some(destination => normalize(destination) === normalize(destinationCountry))) {
+      return false;
+    }
+    return true;
+  });
+};
+
+// What an application still needs before it can be submitted: the documents of the
+// requirement matrix and the mandatory questions of its form.
+// Returns { ready, documents, missingDocuments, missingFields }.
+const getReadiness = async (application, { transaction } = {}) => {
+  const requirements = getRequiredDocuments(application.visaType, application.destinationCountry);
+
+  const uploaded = await Document.findAll({
+    where: {
+      applicationId: application.id,
+      status: { [Op.in]: ['pending', 'approved'] },
+      [Op.or]: [{ expiresAt: null }, { expiresAt: { [Op.gt]: today() } }]
+    },
+    attributes: ['id', 'documentType', 'status', 'expiresAt'],
+    order: [['createdAt', 'DESC']],
+    transaction
+  });
+
+  const documents = requirements.map((requirement) => {
+    // An approved document is shown in preference to one still waiting for review
+    const matching = uploaded.filter(document => requirement.documentTypes.includes(document.documentType));
+    const document = matching.find(candidate => candidate.status === 'approved') || matching[0];
+    return {
+      key: requirement.key,
+      label: requirement.label,
+      documentTypes: requirement.documentTypes,
+      satisfied: !!document,
+      documentId: document ? document.id : null,
+      documentStatus: document ? document.status : null
+    };
+  });
+
+  // Applications started before form schemas existed have no form to check
+  let missingFields = [];
+  if (application.formSchemaId) {
+    const schema = await FormSchema.findByPk(application.formSchemaId, { transaction });
+    const { errors } = validateAnswers(schema.definition, application.formAnswers, { requireComplete: true });
+    missingFields = errors.map(error => ({ field: error.path, message: error.msg }));
+  }
+
+  const missingDocuments = documents.filter(document => !document.satisfied);
+
+  return {
+    ready: missingDocuments.length === 0 && missingFields.length === 0,
+    documents,
+    missingDocuments,
+    missingFields
+  };
+};
+
+module.exports = {
+  getRequiredDocuments,
+  getReadiness
+};
@@ -0,0 +1,175 @@
+const { Application, ApplicationRevision, User } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { validateAnswers, getApplicationFormSchema } = require('./formSchemaService');
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Names of the answers that differ between two sets of answers
+const changedAnswerNames = (before = {}, after = {}) => {
+  const names = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...names].filter(name => !sameValue(before[name], after[name]));
+};
+
+// Record the answers a new application starts with as revision 1. Call it in the
+// transaction that creates the application so the first state can always be restored.
+const createInitialRevision = async (application, { action = 'create', user, transaction } = {}) => {
+  return ApplicationRevision.create({
+    applicationId: application.id,
+    revisionNumber: 1,
+    action,
+    answers: application.formAnswers || {},
+    changedFields: Object.keys(application.formAnswers || {}),
+    createdBy: user ? user.id : application.userId
+  }, { transaction });
+};
+
+// Save a change to an application's answers and record it as the next revision.
+// `answers` is merged into the stored answers (null clears one) unless `replace` is set.
+// Nothing is recorded when the answers come out unchanged.
+// Returns { errors } when the answers do not fit the form, otherwise { revision }
+// (null when nothing changed).
+const saveAnswers = async (application, {
+  answers = {},
+  replace = false,
+  action,
+  user,
+  changes = {},
+  baseRevision,
+  draftOnly = false,
+  requireComplete = false,
+  restoredFromRevision = null
+}) => {
+  return Application.sequelize.transaction(async (transaction) => {
+    // Lock the application so concurrent autosaves are applied one after the other
+    await application.reload({ lock: transaction.LOCK.UPDATE, transaction });
+
+    if (draftOnly && application.status !== 'draft') {
+      throw new AppError('Only draft applications can be changed this way', 400);
+    }
+
+    const latestRevision = (await ApplicationRevision.max('revisionNumber', {
+      where: { applicationId: application.id },
+      transaction
+    })) || 0;
+
+    // Clients send the revision they started from so a stale tab cannot overwrite newer answers
+    if (baseRevision !== undefined && baseRevision !== latestRevision) {
+      throw new AppError(`The application was changed elsewhere (now at revision ${latestRevision}). Reload it and try again`, 409);
+    }
+
+    const formSchema = await getApplicationFormSchema(application, { transaction });
+
+    const merged = replace ? { ...answers } : { ...application.formAnswers, ...answers };
+    Object.keys(merged).forEach(name => merged[name] === null && delete merged[name]);
+
+    const { values, columns, errors } = validateAnswers(formSchema.definition, merged, { requireComplete });
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const changedFields = changedAnswerNames(application.formAnswers, values);
+
+    await application.update({
+      ...changes,
+      formSchemaId: formSchema.id,
+      formAnswers: values,
+      ...columns
+    }, { transaction });
+
+    if (changedFields.length === 0) {
+      return { errors: [], revision: null };
+    }
+
+    const revision = await ApplicationRevision.create({
+      applicationId: application.id,
+      revisionNumber: latestRevision + 1,
+      action,
+      answers: values,
+      changedFields,
+      restoredFromRevision,
+      createdBy: user ? user.id : null
+    }, { transaction });
+
+    return { errors: [], revision };
+  });
+};
+
+// Revisions of an application, newest first, without the full answers
+const listRevisions = async (application) => {
+  return ApplicationRevision.findAll({
+    where: { applicationId: application.id },
+    attributes: { exclude: ['answers'] },
+    include: [{ model: User, as: 'author', attributes: ['id', 'firstName', 'lastName', 'role'] }],
+    order: [['revisionNumber', 'DESC']]
+  });
+};
+
+const getRevision = async (application, revisionNumber) => {
+  const revision = await ApplicationRevision.findOne({
+    where: { applicationId: application.id, revisionNumber },
+    include: [{ model: User, as: 'author', attributes: ['id', 'firstName', 'lastName', 'role'] }]
+  });
+  if (!revision) {
+    throw new AppError(`Revision ${revisionNumber} not found`, 404);
+  }
+  return revision;
+};
+
+// Field-by-field differences between two revisions, labelled with the form's questions
+const compareRevisions = async (application, fromNumber, toNumber) => {
+  const [from, to] = await Promise.all([
+    getRevision(application, fromNumber),
+    getRevision(application, toNumber)
+  ]);
+
+  const formSchema = await getApplicationFormSchema(application);
+  const fields = formSchema.definition.sections.flatMap(section => section.fields.map(field => ({ ...field, section: section.id })));
+
+  const changes = changedAnswerNames(from.answers, to.answers).map((name) => {
+    const field = fields.find(candidate => candidate.name === name);
+    return {
+      field: name,
+      label: field ? field.label : name,
+      section: field ? field.section : null,
+      from: from.answers[name] === undefined ? null : from.answers[name],
+      to: to.answers[name] === undefined ? null : to.answers[name]
+    };
+  });
+
+  const describe = (revision) => ({
+    revisionNumber: revision.revisionNumber,
+    action: revision.action,
+    createdAt: revision.createdAt,
+    author: revision.author
+  });
+
+  return { from: describe(from), to: describe(to), changes };
+};
+
+// Put a draft's answers back to how they were at an earlier revision (recorded as a new revision)
+const restoreRevision = async (application, revisionNumber, { user, baseRevision } = {}) => {
+  if (application.status !== 'draft') {
+    throw new AppError('Only draft applications can be restored to an earlier revision', 400);
+  }
+
+  const revision = await getRevision(application, revisionNumber);
+
+  return saveAnswers(application, {
+    answers: revision.answers,
+    replace: true,
+    action: 'restore',
+    user,
+    baseRevision,
+    draftOnly: true,
+    restoredFromRevision: revision.revisionNumber
+  });
+};
+
+module.exports = {
+  createInitialRevision,
+  saveAnswers,
+  listRevisions,
+  getRevision,
+  compareRevisions,
+  restoreRevision
+};
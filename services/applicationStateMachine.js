@@ -0,0 +1,364 @@
+const { Op } = require('sequelize');
+const { Application, ApplicationStatusHistory, FormSchema, User, Payment, BiometricAppointment, Notification } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { logger, auditLogger } = require('../middleware/logger');
+const { grantsPermission } = require('./permissionService');
+const { sendEmail } = require('../utils/email');
+const { validateAnswers } = require('./formSchemaService');
+const { getReadiness } = require('./applicationReadinessService');
+const { APPLICATION_STATUSES, APPLICATION_TRANSITIONS, INITIAL_STATUS } = require('../config/applicationWorkflow');
+
+const getStatusLabel = (status) => (APPLICATION_STATUSES[status] ? APPLICATION_STATUSES[status].label : status);
+
+// Named checks referenced by the transitions in config/applicationWorkflow.js.
+// Each returns a reason the move is not allowed yet, or null.
+const GUARDS = {
+  formComplete: {
+    description: 'Every required question of the application form is answered',
+    check: async (application, { transaction }) => {
+      // Applications started before form schemas existed have nothing to check
+      if (!application.formSchemaId) return null;
+
+      const schema = await FormSchema.findByPk(application.formSchemaId, { transaction });
+      const { errors } = validateAnswers(schema.definition, application.formAnswers, { requireComplete: true });
+      return errors.length === 0 ? null : `The application form is incomplete: ${errors.map(error => error.msg).join('; ')}`;
+    }
+  },
+  requiredDocumentsUploaded: {
+    description: 'Every document required for the visa type and destination is uploaded',
+    check: async (application, { transaction }) => {
+      const { missingDocuments } = await getReadiness(application, { transaction });
+      return missingDocuments.length === 0
+        ? null
+        : `Required documents are missing: ${missingDocuments.map(document => document.label).join('; ')}`;
+    }
+  },
+  costDetailsSet: {
+    description: 'A total cost has been set',
+    check: async (application, { changes }) => {
+      const totalCost = changes.totalCost !== undefined ? changes.totalCost : application.totalCost;
+      return Number(totalCost) > 0 ? null : 'A total cost must be set before the cost can be sent';
+    }
+  },
+  paymentCompleted: {
+    description: 'A payment for the application (or its group) has been completed',
+    check: async (application, { transaction }) => {
+      const paidFor = [{ applicationId: application.id }];
+      if (application.applicationGroupId) {
+        paidFor.push({ applicationGroupId: application.applicationGroupId });
+      }
+      const payment = await Payment.findOne({
+        where: { [Op.or]: paidFor, status: 'completed' },
+        attributes: ['id'],
+        transaction
+      });
+      return payment ? null : 'No completed payment was found for this application';
+    }
+  },
+  biometricAppointmentScheduled: {
+    description: 'A biometric appointment is booked',
+    check: async (application, { transaction }) => {
+      const appointment = await BiometricAppointment.findOne({
+        where: { applicationId: application.id, status: { [Op.in]: ['scheduled', 'rescheduled'] } },
+        attributes: ['id'],
+        transaction
+      });
+      return appointment ? null : 'Schedule a biometric appointment first';
+    }
+  },
+  biometricsCompleted: {
+    description: 'The biometric appointment has been completed',
+    check: async (application, { transaction }) => {
+      const appointment = await BiometricAppointment.findOne({
+        where: { applicationId: application.id, status: 'completed' },
+        attributes: ['id'],
+        transaction
+      });
+      return appointment ? null : 'Biometrics must be completed first';
+    }
+  },
+  rejectionReasonGiven: {
+    description: 'A reason for the rejection is recorded',
+    check: async (application, { changes }) => {
+      return changes.rejectionReason || application.rejectionReason ? null : 'A rejection reason is required';
+    }
+  }
+};
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Fields stamped when an application enters a status
+const ENTRY_UPDATES = {
+  submitted: () => ({ submissionDate: today() }),
+  under_review: (application) => ({ reviewedAt: application.reviewedAt || new Date() }),
+  cost_provided: () => ({ costProvidedAt: new Date() }),
+  embassy_submitted: () => ({ embassySubmissionDate: today() }),
+  approved: () => ({ approvedAt: new Date(), decisionDate: today() }),
+  rejected: () => ({ rejectedAt: new Date(), decisionDate: today() }),
+  issued: (application) => ({ issueDate: application.issueDate || today() })
+};
+
+// What the applicant is told when their application enters a status
+const APPLICANT_NOTIFICATIONS = {
+  documents_required: {
+    type: 'document_request',
+    priority: 'high',
+    title: 'Additional Documents Required',
+    message: (application) => `Additional documents are required for your visa application (${application.applicationNumber}). Please upload them to continue.`
+  },
+  cost_provided: {
+    type: 'payment_reminder',
+    priority: 'high',
+    title: 'Cost Details Provided',
+    message: () => 'The visa cost breakdown has been sent to your email. Please review and proceed with payment.'
+  },
+  biometrics_scheduled: {
+    type: 'biometrics_scheduled',
+    priority: 'high',
+    title: 'Biometric Appointment Scheduled',
+    message: (application) => `A biometric appointment has been scheduled for your visa application (${application.applicationNumber}).`
+  },
+  approved: {
+    type: 'application_approved',
+    priority: 'high',
+    title: 'Application Approved',
+    message: (application) => `Your visa application (${application.applicationNumber}) has been approved.`
+  },
+  rejected: {
+    type: 'application_rejected',
+    priority: 'high',
+    title: 'Application Rejected',
+    message: (application) => `Your visa application (${application.applicationNumber}) has been rejected. Reason: ${application.rejectionReason}`
+  },
+  issued: {
+    type: 'application_status_update',
+    priority: 'high',
+    title: '🎉 Congratulations! Your Visa Application is Complete!',
+    message: (application) => `Your visa application (${application.applicationNumber}) has been successfully processed and your visa has been issued! We wish you a pleasant journey!`
+  },
+  completed: {
+    type: 'application_status_update',
+    priority: 'high',
+    title: '🎉 Congratulations! Your Visa Application is Complete!',
+    message: (application) => `Your visa application (${application.applicationNumber}) has been successfully processed and marked as completed. We wish you a pleasant journey!`
+  }
+};
+
+const DEFAULT_NOTIFICATION = {
+  type: 'application_status_update',
+  priority: 'medium',
+  title: 'Application Status Updated',
+  message: (application) => `Your visa application status has been updated to: ${getStatusLabel(application.status)}`
+};
+
+// Reviewers hear about every newly submitted application
+const notifyReviewers = async (application, actorId) => {
+  const admins = await User.findAll({ where: { role: 'admin', isActive: true }, attributes: ['id'] });
+
+  for (const admin of admins) {
+    await Notification.create({
+      userId: admin.id,
+      applicationId: application.id,
+      type: 'application_status_update',
+      title: 'New Application Submitted for Review',
+      message: `A new visa application (${application.applicationNumber}) has been submitted and requires your review.`,
+      priority: 'high',
+      createdBy: actorId
+    });
+  }
+};
+
+const sendCompletionEmail = async (application) => {
+  const user = await User.findByPk(application.userId, { attributes: ['email', 'firstName'] });
+  if (!user) {
+    return;
+  }
+
+  await sendEmail({
+    to: user.email,
+    subject: '🎉 Congratulations! Your Visa Application is Complete!',
+    text: [
+      `Dear ${user.firstName},`,
+      '',
+      `Congratulations! Your visa application (${application.applicationNumber}) has been successfully processed and ${application.status === 'issued' ? 'your visa has been issued!' : 'marked as completed!'}`,
+      '',
+      `Visa Type: ${application.visaType}`,
+      `Destination: ${application.destinationCountry || 'N/A'}`,
+      `Application Number: ${application.applicationNumber}`,
+      '',
+      'We wish you a pleasant and safe journey!',
+      '',
+      'Best regards,',
+      'ArRaji Visa Services Team'
+    ].join('\n')
+  });
+};
+
+// Extra work done once an application has entered a status
+const AFTER_HOOKS = {
+  submitted: [notifyReviewers],
+  issued: [sendCompletionEmail],
+  completed: [sendCompletionEmail]
+};
+
+const findTransition = (fromStatus, toStatus) => {
+  return APPLICATION_TRANSITIONS.find(transition => transition.to === toStatus && transition.from.includes(fromStatus));
+};
+
+// The actor is anything with a user and resolved permissions - usually the request
+const isActorAllowed = (transition, application, actor) => {
+  if (!actor || !actor.user) {
+    return false;
+  }
+  if (transition.owner && String(application.userId) === String(actor.user.id)) {
+    return true;
+  }
+  return (transition.permissions || []).some(permission => grantsPermission(actor.permissions, permission));
+};
+
+const runAfterHooks = async (application, fromStatus, { actor, notification, notifyApplicant }) => {
+  const actorId = actor.user.id;
+  auditLogger.applicationStatusChange(application.id, fromStatus, application.status, actorId);
+
+  try {
+    // Applicants are not told about changes they made themselves
+    if (notifyApplicant && String(application.userId) !== String(actorId)) {
+      const template = { ...DEFAULT_NOTIFICATION, ...APPLICANT_NOTIFICATIONS[application.status], ...notification };
+      await Notification.create({
+        userId: application.userId,
+        applicationId: application.id,
+        type: template.type,
+        title: template.title,
+        message: typeof template.message === 'function' ? template.message(application) : template.message,
+        priority: template.priority,
+        createdBy: actorId
+      });
+    }
+
+    for (const hook of AFTER_HOOKS[application.status] || []) {
+      await hook(application, actorId);
+    }
+  } catch (error) {
+    // The status change itself has been saved; a failed notification must not undo it
+    logger.error(`Side effects of application ${application.id} moving to ${application.status} failed: ${error.message}`);
+  }
+};
+
+// Move an application to a new status. Checks the transition exists, that the actor may
+// make it and that its guards pass, saves the status together with any extra changes and
+// a status history entry, then runs the side effects (audit log, notifications, emails)
+// once the change is committed.
+//
+// Options:
+//   actor           - the request (needs user and permissions)
+//   changes         - other application fields to save with the status
+//   reason          - why the status changed, shown to the applicant (rejections default to the rejection reason)
+//   note            - internal note kept in the status history for staff only
+//   notification    - overrides for the applicant notification (title, message, type, priority)
+//   notifyApplicant - set to false to skip the applicant notification
+//   transaction     - run inside an existing transaction
+const transitionApplication = async (application, toStatus, options = {}) => {
+  const { actor, changes = {}, note, notification = {}, notifyApplicant = true, transaction } = options;
+  const fromStatus = application.status;
+
+  if (!APPLICATION_STATUSES[toStatus]) {
+    throw new AppError(`Unknown application status: ${toStatus}`, 400);
+  }
+
+  const transition = findTransition(fromStatus, toStatus);
+  if (!transition) {
+    throw new AppError(`An application cannot move from ${getStatusLabel(fromStatus)} to ${getStatusLabel(toStatus)}`, 400);
+  }
+
+  if (!isActorAllowed(transition, application, actor)) {
+    throw new AppError(`Not authorized to move this application to ${getStatusLabel(toStatus)}`, 403);
+  }
+
+  for (const name of transition.guards || []) {
+    const problem = await GUARDS[name].check(application, { changes, transaction });
+    if (problem) {
+      throw new AppError(problem, 400);
+    }
+  }
+
+  const entryUpdates = ENTRY_UPDATES[toStatus] ? ENTRY_UPDATES[toStatus](application) : {};
+  const values = { ...changes, ...entryUpdates, status: toStatus };
+  const reason = options.reason || (toStatus === 'rejected' ? values.rejectionReason || application.rejectionReason : null);
+
+  const save = async (t) => {
+    // Only succeeds if nobody moved the application since it was loaded
+    const [updated] = await Application.update(values, {
+      where: { id: application.id, status: fromStatus },
+      transaction: t
+    });
+    if (updated === 0) {
+      throw new AppError('The application status was changed by someone else. Please reload and try again', 409);
+    }
+
+    await ApplicationStatusHistory.create({
+      applicationId: application.id,
+      fromStatus,
+      toStatus,
+      action: transition.action,
+      changedBy: actor.user.id,
+      changedByRole: actor.user.role,
+      reason: reason || null,
+      internalNote: note || null
+    }, { transaction: t });
+
+    await application.reload({ transaction: t });
+  };
+
+  const afterCommit = () => runAfterHooks(application, fromStatus, { actor, notification, notifyApplicant });
+  if (transaction) {
+    await save(transaction);
+    transaction.afterCommit(afterCommit);
+  } else {
+    await Application.sequelize.transaction(save);
+    await afterCommit();
+  }
+
+  return application;
+};
+
+// Statuses the actor could move the application to next (guards are checked on the move itself)
+const getAvailableTransitions = (application, actor) => {
+  return APPLICATION_TRANSITIONS
+    .filter(transition => transition.from.includes(application.status) && isActorAllowed(transition, application, actor))
+    .map(transition => ({ action: transition.action, to: transition.to, label: getStatusLabel(transition.to) }));
+};
+
+const getStatusList = () => {
+  return Object.entries(APPLICATION_STATUSES).map(([value, status]) => ({
+    value,
+    label: status.label,
+    description: status.description,
+    terminal: !!status.terminal
+  }));
+};
+
+// The whole workflow as data, for admins and tooling
+const getStatusGraph = () => {
+  return {
+    initial: INITIAL_STATUS,
+    statuses: getStatusList(),
+    transitions: APPLICATION_TRANSITIONS.map(transition => ({
+      action: transition.action,
+      from: transition.from,
+      to: transition.to,
+      allowedFor: {
+        owner: !!transition.owner,
+        permissions: transition.permissions || []
+      },
+      guards: (transition.guards || []).map(name => ({ name, description: GUARDS[name].description }))
+    }))
+  };
+};
+
+module.exports = {
+  transitionApplication,
+  getAvailableTransitions,
+  getStatusLabel,
+  getStatusList,
+  getStatusGraph
+};
@@ -0,0 +1,183 @@
+const { ApplicationStatusHistory, User, sequelize } = require('../models');
+const { APPLICATION_STATUSES } = require('../config/applicationWorkflow');
+const { getStatusLabel } = require('./applicationStateMachine');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const toDays = (seconds) => (seconds === null || seconds === undefined ? null : Math.round((Number(seconds) / DAY_SECONDS) * 100) / 100);
+
+const loadHistory = (applicationId, include = []) => {
+  return ApplicationStatusHistory.findAll({
+    where: { applicationId },
+    include,
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+// Applicants see when and why their application moved, but not who on the staff
+// moved it or any internal notes
+const getApplicantTimeline = async (application) => {
+  const history = await loadHistory(application.id);
+
+  return {
+    applicationId: application.id,
+    applicationNumber: application.applicationNumber,
+    currentStatus: application.status,
+    events: history.map(entry => ({
+      status: entry.toStatus,
+      label: getStatusLabel(entry.toStatus),
+      previousStatus: entry.fromStatus,
+      reason: entry.reason,
+      changedBy: !entry.changedBy ? 'system' : String(entry.changedBy) === String(application.userId) ? 'you' : 'staff',
+      at: entry.createdAt
+    }))
+  };
+};
+
+// Staff see every entry with its actor, internal note and how long the application
+// stayed in each status
+const getStaffTimeline = async (application) => {
+  const history = await loadHistory(application.id, [
+    { model: User, as: 'actor', attributes: ['id', 'firstName', 'lastName', 'email', 'role'] }
+  ]);
+
+  const now = Date.now();
+  const timeInStatus = {};
+
+  const events = history.map((entry, index) => {
+    const next = history[index + 1];
+    const terminal = APPLICATION_STATUSES[entry.toStatus] && APPLICATION_STATUSES[entry.toStatus].terminal;
+
+    // Time in a final status is not processing time
+    let seconds = null;
+    if (next || !terminal) {
+      const endedAt = next ? new Date(next.createdAt).getTime() : now;
+      seconds = (endedAt - new Date(entry.createdAt).getTime()) / 1000;
+      timeInStatus[entry.toStatus] = (timeInStatus[entry.toStatus] || 0) + seconds;
+    }
+
+    return {
+      id: entry.id,
+      action: entry.action,
+      fromStatus: entry.fromStatus,
+      toStatus: entry.toStatus,
+      label: getStatusLabel(entry.toStatus),
+      reason: entry.reason,
+      internalNote: entry.internalNote,
+      changedBy: entry.actor || null,
+      changedByRole: entry.changedByRole,
+      at: entry.createdAt,
+      daysInStatus: toDays(seconds),
+      // The application is still in this status
+      current: !next
+    };
+  });
+
+  const firstAt = (status) => {
+    const entry = history.find(item => item.toStatus === status);
+    return entry ? new Date(entry.createdAt) : null;
+  };
+  const submittedAt = firstAt('submitted');
+  const decidedAt = firstAt('approved') || firstAt('rejected');
+
+  return {
+    applicationId: application.id,
+    applicationNumber: application.applicationNumber,
+    currentStatus: application.status,
+    events,
+    summary: {
+      submittedAt,
+      decidedAt,
+      daysToDecision: submittedAt && decidedAt ? toDays((decidedAt - submittedAt) / 1000) : null,
+      daysInStatus: Object.fromEntries(Object.entries(timeInStatus).map(([status, seconds]) => [status, toDays(seconds)]))
+    }
+  };
+};
+
+// Processing-time analytics over applications created in [from, to), optionally for one visa type.
+// Reports how long applications spend in each status and from submission to decision.
+const getProcessingTimeStats = async ({ from, to, visaType } = {}) => {
+  const conditions = [];
+  const replacements = {};
+
+  if (from) {
+    conditions.push('a.created_at >= :from');
+    replacements.from = from;
+  }
+  if (to) {
+    conditions.push('a.created_at < :to');
+    replacements.to = to;
+  }
+  if (visaType) {
+    conditions.push('a.visa_type = :visaType');
+    replacements.visaType = visaType;
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const statusRows = await sequelize.query(`
+    WITH spans AS (
+      SELECT h.to_status AS status,
+        EXTRACT(EPOCH FROM (LEAD(h.created_at) OVER (PARTITION BY h.application_id ORDER BY h.created_at) - h.created_at)) AS seconds
+      FROM application_status_history h
+      JOIN applications a ON a.id = h.application_id
+      ${where}
+    )
+    SELECT status,
+      COUNT(*)::int AS count,
+      AVG(seconds) AS average_seconds,
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY seconds) AS median_seconds,
+      MAX(seconds) AS max_seconds
+    FROM spans
+    WHERE seconds IS NOT NULL
+    GROUP BY status
+  `, { replacements, type: sequelize.QueryTypes.SELECT });
+
+  const [decisionRow] = await sequelize.query(`
+    WITH submitted AS (
+      SELECT application_id, MIN(created_at) AS at FROM application_status_history
+      WHERE to_status = 'submitted' GROUP BY application_id
+    ), decided AS (
+      SELECT application_id, MIN(created_at) AS at FROM application_status_history
+      WHERE to_status IN ('approved', 'rejected') GROUP BY application_id
+    ), durations AS (
+      SELECT EXTRACT(EPOCH FROM (d.at - s.at)) AS seconds
+      FROM submitted s
+      JOIN decided d ON d.application_id = s.application_id
+      JOIN applications a ON a.id = s.application_id
+      ${where}
+    )
+    SELECT COUNT(*)::int AS count,
+      AVG(seconds) AS average_seconds,
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY seconds) AS median_seconds
+    FROM durations
+  `, { replacements, type: sequelize.QueryTypes.SELECT });
+
+  // Keep the workflow's order rather than the database's
+  const order = Object.keys(APPLICATION_STATUSES);
+  const byStatus = statusRows
+    .sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status))
+    .map(row => ({
+      status: row.status,
+      label: getStatusLabel(row.status),
+      count: row.count,
+      averageDays: toDays(row.average_seconds),
+      medianDays: toDays(row.median_seconds),
+      maxDays: toDays(row.max_seconds)
+    }));
+
+  return {
+    filters: { from: from || null, to: to || null, visaType: visaType || null },
+    submissionToDecision: {
+      count: decisionRow ? decisionRow.count : 0,
+      averageDays: decisionRow ? toDays(decisionRow.average_seconds) : null,
+      medianDays: decisionRow ? toDays(decisionRow.median_seconds) : null
+    },
+    byStatus
+  };
+};
+
+module.exports = {
+  getApplicantTimeline,
+  getStaffTimeline,
+  getProcessingTimeStats
+};
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const {
+  User,
+  Application,
+  ApplicationRevision,
+  Payment,
+  Document,
+  Notification,
+  BiometricAppointment,
+  DataExport
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { logger, auditLogger } = require('../middleware/logger');
+const { createTarGzWriter } = require('../utils/tar');
+const { getApplicantTimeline } = require('./applicationTimelineService');
+const { listApplicantNotes } = require('./applicationNoteService');
+const { sendEmail, getFrontendUrl } = require('../utils/email');
+const securityConfig = require('../config/security');
+
+const EXPORT_DIR = path.join(__dirname, '../uploads/exports');
+const MANIFEST_VERSION = 1;
+
+// A request older than this that never finished (e.g. the server restarted) no longer blocks a new one
+const STALE_EXPORT_MS = 60 * 60 * 1000;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const toJsonFile = (data) => Buffer.from(JSON.stringify(data, null, 2), 'utf8');
+
+// Delete archives whose download window has passed
+const purgeExpiredExports = async () => {
+  const expired = await DataExport.findAll({
+    where: { status: 'ready', expiresAt: { [Op.lte]: new Date() } }
+  });
+
+  for (const dataExport of expired) {
+    if (dataExport.filePath) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+    }
+    await dataExport.update({ status: 'expired', filePath: null });
+  }
+};
+
+// Write every piece of personal data we hold on the user into one .tar.gz.
+// Returns { size, sha256 } of the archive.
+const writeArchive = async (user, filePath) => {
+  const [applications, payments, documents, notifications, biometricAppointments] = await Promise.all([
+    Application.findAll({ where: { userId: user.id }, order: [['createdAt', 'ASC']] }),
+    Payment.findAll({ where: { userId: user.id }, order: [['createdAt', 'ASC']] }),
+    Document.findAll({ where: { userId: user.id }, order: [['createdAt', 'ASC']] }),
+    Notification.findAll({ where: { userId: user.id }, order: [['createdAt', 'ASC']] }),
+    BiometricAppointment.findAll({ where: { userId: user.id }, order: [['createdAt', 'ASC']] })
+  ]);
+
+  // The same view of each application's history the applicant gets in the app
+  const statusHistory = [];
+  const messages = [];
+  const answerRevisions = await ApplicationRevision.findAll({
+    where: { applicationId: applications.map(application => application.id) },
+    attributes: ['applicationId', 'revisionNumber', 'action', 'answers', 'changedFields', 'createdAt'],
+    order: [['applicationId', 'ASC'], ['revisionNumber', 'ASC']]
+  });
+  for (const application of applications) {
+    statusHistory.push(await getApplicantTimeline(application));
+    messages.push({ applicationId: application.id, notes: await listApplicantNotes(application.id) });
+  }
+
+  const archive = createTarGzWriter(filePath);
+  const files = [];
+
+  const addFile = async (name, content, description) => {
+    const entryName = await archive.addFile(name, content);
+    files.push({ path: entryName, description, size: content.length, sha256: sha256(content) });
+  };
+
+  try {
+    await addFile('profile.json', toJsonFile(user.toJSON()), 'Your account profile');
+    await addFile('applications.json', toJsonFile(applications), 'Your visa applications');
+    await addFile('status-history.json', toJsonFile(statusHistory), 'Status changes of each application');
+    await addFile('answer-revisions.json', toJsonFile(answerRevisions), 'Earlier versions of your application answers');
+    await addFile('messages.json', toJsonFile(messages), 'Messages staff shared with you about your applications');
+    await addFile('payments.json', toJsonFile(payments), 'Payments you made');
+    await addFile('notifications.json', toJsonFile(notifications), 'Notifications sent to you');
+    await addFile('biometric-appointments.json', toJsonFile(biometricAppointments), 'Your biometric appointments');
+    await addFile('documents.json', toJsonFile(documents), 'Details of the documents you uploaded');
+
+    // Cloned and renewed applications carry documents forward as new rows pointing at the
+    // same file; each file goes into the archive once and lists every document that uses it
+    const missingDocuments = [];
+    const entriesByFilePath = new Map();
+    for (const document of documents) {
+      if (!document.filePath) {
+        missingDocuments.push(document.id);
+        continue;
+      }
+      const existing = entriesByFilePath.get(document.filePath);
+      if (existing) {
+        existing.otherDocumentIds.push(document.id);
+        continue;
+      }
+
+      let entry;
+      try {
+        entry = await archive.addFileFromPath(`documents/${document.id}-${document.originalName}`, document.filePath);
+      } catch (error) {
+        // Anything other than a file that is gone could have left a half-written entry
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        missingDocuments.push(document.id);
+        continue;
+      }
+      const file = {
+        path: entry.name,
+        description: `Uploaded ${document.documentType} document`,
+        size: entry.size,
+        sha256: entry.sha256,
+        documentId: document.id,
+        otherDocumentIds: [],
+        mimeType: document.mimeType
+      };
+      files.push(file);
+      entriesByFilePath.set(document.filePath, file);
+    }
+
+    const manifest = {
+      version: MANIFEST_VERSION,
+      generatedAt: new Date().toISOString(),
+      subject: { userId: user.id, email: user.email },
+      counts: {
+        applications: applications.length,
+        payments: payments.length,
+        documents: documents.length,
+        notifications: notifications.length,
+        biometricAppointments: biometricAppointments.length
+      },
+      // Files we have a record of but could no longer find on disk
+      missingDocuments,
+      files
+    };
+    await archive.addFile('manifest.json', toJsonFile(manifest));
+
+    return await archive.finalize();
+  } catch (error) {
+    archive.abort();
+    throw error;
+  }
+};
+
+const notifyExportReady = async (user, dataExport) => {
+  const downloadUrl = `${getFrontendUrl()}/account/data-export?exportId=${dataExport.id}`;
+  const expiresAt = dataExport.expiresAt.toUTCString();
+
+  await Notification.create({
+    userId: user.id,
+    type: 'system_notification',
+    title: 'Your data export is ready',
+    message: `The copy of your personal data you requested is ready to download until ${expiresAt}.`,
+    priority: 'medium',
+    actionUrl: `/account/data-export?exportId=${dataExport.id}`
+  });
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Your ArRaji data export is ready',
+    text: [
+      `Dear ${user.firstName},`,
+      '',
+      'The copy of your personal data you requested is ready.',
+      `Sign in and download it from the link below. The link works until ${expiresAt}.`,
+      '',
+      downloadUrl,
+      '',
+      `Archive checksum (SHA-256): ${dataExport.checksum}`,
+      '',
+      'If you did not request this export, please reset your password and contact support.',
+      '',
+      'ArRaji Visa Services Team'
+    ].join('\n')
+  });
+};
+
+// Build the archive for a requested export (runs in the background)
+const buildDataExport = async (exportId) => {
+  const dataExport = await DataExport.findByPk(exportId);
+  if (!dataExport || dataExport.status !== 'pending') {
+    return;
+  }
+
+  await dataExport.update({ status: 'processing' });
+
+  const filePath = path.join(EXPORT_DIR, `${dataExport.id}.tar.gz`);
+
+  try {
+    const user = await User.findByPk(dataExport.userId);
+    if (!user) {
+      throw new Error('User no longer exists');
+    }
+
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+
+    const archive = await writeArchive(user, filePath);
+    const completedAt = new Date();
+
+    await dataExport.update({
+      status: 'ready',
+      filePath,
+      fileSize: archive.size,
+      checksum: archive.sha256,
+      completedAt,
+      expiresAt: new Date(completedAt.getTime() + securityConfig.dataExport.downloadTtlHours * 60 * 60 * 1000)
+    });
+
+    auditLogger.userAction(user.id, 'data_export_ready', { exportId: dataExport.id, fileSize: archive.size });
+
+    await notifyExportReady(user, dataExport);
+  } catch (error) {
+    logger.error(`Data export ${exportId} failed: ${error.message}`);
+
+    // A partial archive is still personal data, and nothing else would ever delete it
+    await fs.promises.rm(filePath, { force: true }).catch((rmError) => {
+      logger.error(`Could not delete the archive of failed data export ${exportId}: ${rmError.message}`);
+    });
+    await dataExport.update({ status: 'failed', filePath: null, errorMessage: error.message.substring(0, 500) });
+
+    await Notification.create({
+      userId: dataExport.userId,
+      type: 'system_notification',
+      title: 'Your data export failed',
+      message: 'We could not prepare the copy of your personal data. Please request a new export or contact support.',
+      priority: 'medium',
+      actionUrl: '/account/data-export'
+    }).catch(() => {});
+  }
+};
+
+// Queue a new export for the user. Only one can be in progress at a time.
+const requestDataExport = async (user, ip) => {
+  await purgeExpiredExports();
+
+  const inProgress = await DataExport.findOne({
+    where: {
+      userId: user.id,
+      status: { [Op.in]: ['pending', 'processing'] },
+      createdAt: { [Op.gt]: new Date(Date.now() - STALE_EXPORT_MS) }
+    }
+  });
+  if (inProgress) {
+    throw new AppError('A data export is already being prepared. You will be notified when it is ready', 409);
+  }
+
+  const dataExport = await DataExport.create({ userId: user.id, requestedIp: ip });
+
+  setImmediate(() => {
+    buildDataExport(dataExport.id).catch(error => {
+      logger.error(`Data export ${dataExport.id} crashed: ${error.message}`);
+    });
+  });
+
+  return dataExport;
+};
+
+module.exports = {
+  requestDataExport,
+  buildDataExport,
+  purgeExpiredExports
+};
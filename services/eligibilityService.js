@@ -0,0 +1,185 @@
+const { EligibilityRule } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { VISA_TYPES } = require('../config/applicationForms');
+const { RULE_SEVERITIES, RULE_TYPES, DEFAULT_ELIGIBILITY_RULES } = require('../config/eligibilityRules');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const toDate = (value) => new Date(`${value}T00:00:00Z`);
+
+const daysBetween = (from, to) => Math.round((toDate(to) - toDate(from)) / DAY_MS);
+
+const addMonths = (value, months) => {
+  const date = toDate(value);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString().split('T')[0];
+};
+
+// Countries and nationalities are free text; compare them without case or surrounding spaces
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Each rule type checks a trip: { nationality, destinationCountry, visaType,
+// intendedDateOfArrival, intendedDateOfDeparture, passportExpiryDate } (dates as YYYY-MM-DD).
+// Returns whether the rule holds and a sentence explaining why.
+const EVALUATORS = {
+  passport_validity: ({ monthsAfterDeparture }, trip) => {
+    const validUntil = addMonths(trip.intendedDateOfDeparture, monthsAfterDeparture);
+    return trip.passportExpiryDate >= validUntil
+      ? { passed: true, detail: `Your passport is valid for at least ${monthsAfterDeparture} months after departure` }
+      : { passed: false, detail: `Your passport expires on ${trip.passportExpiryDate}; it must be valid until at least ${validUntil} (${monthsAfterDeparture} months after departure)` };
+  },
+  max_stay: ({ maxDays }, trip) => {
+    const stay = daysBetween(trip.intendedDateOfArrival, trip.intendedDateOfDeparture);
+    return stay <= maxDays
+      ? { passed: true, detail: `Your stay of ${stay} days is within the ${maxDays} days allowed` }
+      : { passed: false, detail: `Your stay of ${stay} days is longer than the ${maxDays} days allowed for a ${trip.visaType} visa` };
+  },
+  min_notice: ({ daysBeforeArrival }, trip) => {
+    const notice = daysBetween(today(), trip.intendedDateOfArrival);
+    return notice >= daysBeforeArrival
+      ? { passed: true, detail: `You are applying ${notice} days before arrival` }
+      : { passed: false, detail: `You arrive in ${notice} days; applications should be made at least ${daysBeforeArrival} days before arrival and may not be processed in time` };
+  },
+  visa_type_restriction: ({ allowedVisaTypes }, trip) => {
+    return allowedVisaTypes.includes(trip.visaType)
+      ? { passed: true, detail: `A ${trip.visaType} visa is open to you` }
+      : { passed: false, detail: `A ${trip.visaType} visa is not available for this trip; only ${allowedVisaTypes.join(' or ')} visas are` };
+  }
+};
+
+// Problems with a rule's type, severity and params; empty when the rule is valid
+const getRuleProblems = ({ ruleType, severity, visaType, nationalities, params }) => {
+  const definition = RULE_TYPES[ruleType];
+  if (!definition) {
+    return [`Unknown rule type "${ruleType}" (expected one of ${Object.keys(RULE_TYPES).join(', ')})`];
+  }
+
+  const problems = [];
+  if (!RULE_SEVERITIES.includes(severity)) {
+    problems.push(`Severity must be one of ${RULE_SEVERITIES.join(', ')}`);
+  }
+  if (nationalities !== undefined && nationalities !== null
+    && (!Array.isArray(nationalities) || nationalities.some(nationality => typeof nationality !== 'string' || !nationality.trim()))) {
+    problems.push('Nationalities must be a list of names');
+  }
+  if (ruleType === 'visa_type_restriction' && visaType) {
+    problems.push('A visa type restriction applies to every visa type; narrow it by destination or nationality instead');
+  }
+
+  const values = params || {};
+  for (const [name, option] of Object.entries(definition.params)) {
+    const value = values[name];
+    if (option.type === 'integer') {
+      if (!Number.isInteger(value) || value < option.min || value > option.max) {
+        problems.push(`${name} must be a whole number between ${option.min} and ${option.max}`);
+      }
+    } else if (option.type === 'visaTypes') {
+      if (!Array.isArray(value) || value.length === 0 || value.some(type => !VISA_TYPES.includes(type))) {
+        problems.push(`${name} must be a list of visa types (${VISA_TYPES.join(', ')})`);
+      }
+    }
+  }
+  Object.keys(values)
+    .filter(name => !definition.params[name])
+    .forEach(name => problems.push(`Unknown param "${name}" for ${ruleType} rules`));
+
+  return problems;
+};
+
+const assertValidRule = (rule) => {
+  const problems = getRuleProblems(rule);
+  if (problems.length > 0) {
+    throw new AppError(`Invalid eligibility rule: ${problems.join('; ')}`, 400);
+  }
+};
+
+const appliesTo = (rule, trip) => {
+  if (rule.visaType && rule.visaType !== trip.visaType) return false;
+  if (rule.destinationCountry && normalize(rule.destinationCountry) !== normalize(trip.destinationCountry)) return false;
+  if (rule.nationalities && rule.nationalities.length > 0
+    && !rule.nationalities.some(nationality => normalize(nationality) === normalize(trip.nationality))) {
+    return false;
+  }
+  return true;
+};
+
+// Check a planned trip against every active rule that applies to it. The overall result
+// is the worst outcome: "fail" if any rule fails, "warning" if any warns, else "pass".
+const runEligibilityCheck = async (trip) => {
+  const rules = await EligibilityRule.findAll({
+    where: { isActive: true },
+    order: [['createdAt', 'ASC']]
+  });
+
+  const checks = rules
+    .filter(rule => appliesTo(rule, trip))
+    .map((rule) => {
+      const { passed, detail } = EVALUATORS[rule.ruleType](rule.params, trip);
+      return {
+        ruleId: rule.id,
+        name: rule.name,
+        ruleType: rule.ruleType,
+        outcome: passed ? 'pass' : rule.severity,
+        message: passed ? detail : (rule.message || detail)
+      };
+    });
+
+  const outcomes = checks.map(check => check.outcome);
+  const result = outcomes.includes('fail') ? 'fail' : outcomes.includes('warning') ? 'warning' : 'pass';
+
+  return { result, eligible: result !== 'fail', checks };
+};
+
+const RULE_FIELDS = ['name', 'ruleType', 'severity', 'visaType', 'destinationCountry', 'nationalities', 'params', 'message', 'isActive'];
+
+const pickRuleFields = (input) => {
+  const fields = {};
+  RULE_FIELDS.forEach((name) => {
+    if (input[name] !== undefined) fields[name] = input[name];
+  });
+  return fields;
+};
+
+const createEligibilityRule = async (input, user) => {
+  const fields = { severity: 'fail', params: {}, ...pickRuleFields(input) };
+  assertValidRule(fields);
+
+  return EligibilityRule.create({ ...fields, updatedBy: user ? user.id : null });
+};
+
+// Rules are edited in place; the change applies to the next check
+const updateEligibilityRule = async (rule, input, user) => {
+  const fields = pickRuleFields(input);
+  // A new rule type comes with its own params
+  if (fields.ruleType && fields.ruleType !== rule.ruleType && fields.params === undefined) {
+    throw new AppError('Params are required when the rule type changes', 400);
+  }
+  assertValidRule({
+    ruleType: rule.ruleType,
+    severity: rule.severity,
+    visaType: rule.visaType,
+    nationalities: rule.nationalities,
+    params: rule.params,
+    ...fields
+  });
+
+  return rule.update({ ...fields, updatedBy: user ? user.id : null });
+};
+
+// Install the default rules into an empty table (sync-based development databases skip migrations)
+const ensureDefaultEligibilityRules = async () => {
+  const existing = await EligibilityRule.count();
+  if (existing === 0) {
+    await EligibilityRule.bulkCreate(DEFAULT_ELIGIBILITY_RULES);
+  }
+};
+
+module.exports = {
+  runEligibilityCheck,
+  getRuleProblems,
+  createEligibilityRule,
+  updateEligibilityRule,
+  ensureDefaultEligibilityRules
+};
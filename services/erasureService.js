@@ -0,0 +1,302 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const {
+  User,
+  Application,
+  ApplicationStatusHistory,
+  ApplicationNote,
+  ApplicationRevision,
+  ApplicationGroup,
+  Payment,
+  Document,
+  Notification,
+  BiometricAppointment,
+  DataExport,
+  RefreshToken,
+  Session,
+  KnownDevice,
+  UserIdentity,
+  PasswordHistory,
+  PasswordResetToken,
+  EmailVerificationToken,
+  ApiKey,
+  Invitation,
+  ErasureRequest
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../middleware/logger');
+const { sendEmail } = require('../utils/email');
+const securityConfig = require('../config/security');
+
+// Applications in these statuses are still being decided and cannot be erased mid-way
+const ACTIVE_APPLICATION_STATUSES = [
+  'submitted', 'under_review', 'documents_required', 'cost_provided', 'payment_pending', 'payment_completed',
+  'biometrics_scheduled', 'biometrics_completed', 'embassy_submitted', 'processing'
+];
+
+// Application columns that describe the person rather than the case
+const APPLICATION_PERSONAL_FIELDS = [
+  'firstName', 'lastName', 'purposeOfVisit', 'portOfEntry', 'intendedDateOfArrival',
+  'intendedDateOfDeparture', 'durationOfStay', 'notes', 'officerNotes', 'processingNotes', 'rejectionReason',
+  'groupRelationship'
+];
+
+const nullFields = (fields) => Object.fromEntries(fields.map(field => [field, null]));
+
+// Reasons the erasure cannot go ahead right now (empty when it can)
+const getErasureBlockers = async (user) => {
+  const blockers = [];
+
+  if (user.legalHold) {
+    blockers.push(`Account is under legal hold${user.legalHoldReason ? `: ${user.legalHoldReason}` : ''}`);
+  }
+
+  const activeApplications = await Application.findAll({
+    where: { userId: user.id, status: { [Op.in]: ACTIVE_APPLICATION_STATUSES } },
+    attributes: ['id', 'applicationNumber', 'status']
+  });
+  if (activeApplications.length > 0) {
+    blockers.push(`Applications still being processed: ${activeApplications.map(application => `${application.applicationNumber || application.id} (${application.status})`).join(', ')}`);
+  }
+
+  return blockers;
+};
+
+// Open a request for the user; only one can be pending at a time
+const createErasureRequest = async (user, { reason, ip }) => {
+  const pending = await ErasureRequest.findOne({ where: { userId: user.id, status: 'pending' } });
+  if (pending) {
+    throw new AppError('You already have a pending erasure request', 409);
+  }
+
+  return ErasureRequest.create({
+    userId: user.id,
+    reason: reason || null,
+    requestedIp: ip
+  });
+};
+
+// Erase or minimise everything held on the user. Database changes run in one
+// transaction; files are removed afterwards because a deletion cannot be rolled back.
+// Returns a summary of what was erased and what was retained and why.
+const eraseUserData = async (user, erasedBy) => {
+  const blockers = await getErasureBlockers(user);
+  if (blockers.length > 0) {
+    throw new AppError(`Erasure cannot be carried out: ${blockers.join('; ')}`, 409);
+  }
+
+  const originalEmail = user.email;
+  const retentionYears = securityConfig.retention.financialRecordYears;
+
+  const documents = await Document.findAll({ where: { userId: user.id }, attributes: ['id', 'filePath'] });
+  const exports = await DataExport.findAll({ where: { userId: user.id }, attributes: ['id', 'filePath'] });
+  const filePaths = [...documents, ...exports].map(record => record.filePath).filter(Boolean);
+
+  const counts = await User.sequelize.transaction(async (transaction) => {
+    const where = { userId: user.id };
+    const result = {};
+
+    result.documents = await Document.destroy({ where, transaction });
+    result.dataExports = await DataExport.destroy({ where, transaction });
+    result.notifications = await Notification.destroy({ where, transaction });
+    result.biometricAppointments = await BiometricAppointment.destroy({ where, transaction });
+    result.sessions = await Session.destroy({ where, transaction });
+    await RefreshToken.destroy({ where, transaction });
+    result.knownDevices = await KnownDevice.destroy({ where, transaction });
+    result.linkedIdentities = await UserIdentity.destroy({ where, transaction });
+    await PasswordHistory.destroy({ where, transaction });
+    await PasswordResetToken.destroy({ where, transaction });
+    await EmailVerificationToken.destroy({ where, transaction });
+
+    [result.apiKeys] = await ApiKey.update(
+      { revokedAt: new Date() },
+      { where: { userId: user.id, revokedAt: null }, transaction }
+    );
+
+    // Reasons and notes on status changes can describe the person; the dates and statuses stay
+    const applicationIds = (await Application.findAll({ where, attributes: ['id'], transaction })).map(application => application.id);
+    await ApplicationStatusHistory.update(
+      { reason: null, internalNote: null },
+      { where: { applicationId: applicationIds }, transaction }
+    );
+    [result.caseNotes] = await ApplicationNote.update(
+      { content: '[erased]', editHistory: [], mentionedUserIds: [] },
+      { where: { applicationId: applicationIds }, transaction }
+    );
+
+    result.answerRevisions = await ApplicationRevision.destroy({ where: { applicationId: applicationIds }, transaction });
+    await ApplicationGroup.update({ name: '[erased]' }, { where: { leadUserId: user.id }, transaction });
+
+    [result.applications] = await Application.update(
+      { ...nullFields(APPLICATION_PERSONAL_FIELDS), formAnswers: {} },
+      { where, transaction }
+    );
+
+    [result.payments] = await Payment.update(
+      { description: null },
+      { where, transaction }
+    );
+
+    await Invitation.update(
+      { email: `erased-${user.id}@erased.invalid` },
+      { where: { email: originalEmail }, transaction }
+    );
+
+    // The row stays so retained records keep a (now meaningless) owner ID
+    await user.update({
+      email: `erased-${user.id}@erased.invalid`,
+      password: crypto.randomBytes(32).toString('hex'),
+      firstName: 'Erased',
+      lastName: 'User',
+      phoneNumber: null,
+      dateOfBirth: null,
+      nationality: null,
+      passportNumber: null,
+      address: null,
+      processingCenter: null,
+      lastLogin: null,
+      isActive: false,
+      passwordLoginEnabled: false,
+      loginAlertsEnabled: false,
+      twoFactorEnabled: false,
+      twoFactorEnabledAt: null,
+      twoFactorSecret: null,
+      twoFactorBackupCodes: null,
+      twoFactorLastUsedStep: null,
+      erasedAt: new Date()
+    }, { transaction });
+
+    // Passwords of erased accounts are not history worth keeping
+    await PasswordHistory.destroy({ where, transaction });
+
+    return result;
+  });
+
+  let filesRemoved = 0;
+  const filesFailed = [];
+  for (const filePath of filePaths) {
+    try {
+      await fs.promises.rm(filePath, { force: true });
+      filesRemoved++;
+    } catch (error) {
+      filesFailed.push(filePath);
+      logger.error(`Erasure of user ${user.id}: could not remove ${filePath}: ${error.message}`);
+    }
+  }
+
+  const summary = {
+    erasedAt: new Date().toISOString(),
+    erasedBy,
+    erased: [
+      { category: 'profile', detail: 'Name, email, phone, date of birth, nationality, passport number and address removed; the account is disabled and pseudonymised' },
+      { category: 'documents', count: counts.documents, detail: `Document records deleted and ${filesRemoved} file(s) removed from storage` },
+      { category: 'data_exports', count: counts.dataExports, detail: 'Personal data archives deleted' },
+      { category: 'notifications', count: counts.notifications, detail: 'Deleted' },
+      { category: 'case_notes', count: counts.caseNotes, detail: 'Content of notes on your applications and their earlier versions removed' },
+      { category: 'biometric_appointments', count: counts.biometricAppointments, detail: 'Deleted' },
+      { category: 'sessions_and_devices', count: counts.sessions + counts.knownDevices, detail: 'Sessions, refresh tokens and known devices deleted' },
+      { category: 'linked_identities', count: counts.linkedIdentities, detail: 'Single sign-on links deleted' },
+      { category: 'credentials', detail: 'Password, password history, two-factor secrets and pending reset or verification links deleted' },
+      { category: 'api_keys', count: counts.apiKeys, detail: 'Revoked' }
+    ],
+    retained: [
+      {
+        category: 'payments',
+        count: counts.payments,
+        form: 'Amount, currency, method, status, type, transaction reference and dates, linked only to the pseudonymous account ID',
+        reason: `Financial records must be kept for ${retentionYears} years for tax and anti-money-laundering obligations`
+      },
+      {
+        category: 'applications',
+        count: counts.applications,
+        form: 'Application number, visa type, status, status history dates, decision dates and fees; names, travel details, case notes and status change reasons removed',
+        reason: 'Records of visa applications and decisions must be kept to answer authorities and audits'
+      },
+      {
+        category: 'audit_logs',
+        form: 'Security and audit log entries referencing the pseudonymous account ID',
+        reason: 'Security and audit logs are kept to meet legal obligations and are deleted on the normal log retention schedule'
+      },
+      {
+        category: 'erasure_request',
+        form: 'This request and summary, without the stated reason or IP address',
+        reason: 'Proof that the erasure request was handled'
+      }
+    ]
+  };
+
+  if (filesFailed.length > 0) {
+    summary.warnings = [`${filesFailed.length} file(s) could not be removed from storage and need manual cleanup`];
+  }
+
+  // Tell the person at the address we are about to forget
+  try {
+    await sendEmail({
+      to: originalEmail,
+      subject: 'Your ArRaji personal data has been erased',
+      text: [
+        'Hello,',
+        '',
+        'As you requested, we have erased the personal data held in your ArRaji account and closed the account.',
+        '',
+        'We are legally required to keep some records in a minimised form that no longer identifies you:',
+        ...summary.retained.map(item => `  - ${item.category.replace(/_/g, ' ')}: ${item.reason}`),
+        '',
+        'ArRaji Visa Services Team'
+      ].join('\n')
+    });
+  } catch (error) {
+    logger.error(`Erasure of user ${user.id}: confirmation email failed: ${error.message}`);
+  }
+
+  return summary;
+};
+
+// Admin approval: carry out the erasure and close the request
+const approveErasureRequest = async (erasureRequest, reviewer, reviewNotes) => {
+  const user = await User.findByPk(erasureRequest.userId);
+  if (!user || user.erasedAt) {
+    throw new AppError('This account has already been erased', 409);
+  }
+
+  const summary = await eraseUserData(user, reviewer.id);
+
+  await erasureRequest.update({
+    status: 'completed',
+    reviewedBy: reviewer.id,
+    reviewedAt: new Date(),
+    reviewNotes: reviewNotes || null,
+    completedAt: new Date(),
+    summary,
+    reason: null,
+    requestedIp: null
+  });
+
+  return summary;
+};
+
+const rejectErasureRequest = async (erasureRequest, reviewer, reviewNotes) => {
+  await erasureRequest.update({
+    status: 'rejected',
+    reviewedBy: reviewer.id,
+    reviewedAt: new Date(),
+    reviewNotes
+  });
+
+  await Notification.create({
+    userId: erasureRequest.userId,
+    type: 'system_notification',
+    title: 'Your data erasure request was declined',
+    message: `We could not erase your data at this time: ${reviewNotes}`,
+    priority: 'high',
+    actionUrl: '/settings/privacy'
+  });
+};
+
+module.exports = {
+  getErasureBlockers,
+  createErasureRequest,
+  approveErasureRequest,
+  rejectErasureRequest
+};
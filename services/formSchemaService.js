@@ -0,0 +1,329 @@
+const { Op } = require('sequelize');
+const { FormSchema } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { VISA_TYPES, FIELD_TYPES, MAPPABLE_COLUMNS, DEFAULT_FORM_DEFINITION } = require('../config/applicationForms');
+
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_TEXT_LENGTH = 5000;
+
+const allFields = (definition) => definition.sections.flatMap(section => section.fields);
+
+// Describe everything wrong with a definition so admins can fix it in one go
+const getDefinitionProblems = (definition) => {
+  if (!definition || typeof definition !== 'object' || !Array.isArray(definition.sections) || definition.sections.length === 0) {
+    return ['definition must have a non-empty "sections" list'];
+  }
+
+  const problems = [];
+  const sectionIds = new Set();
+  const fieldNames = new Set();
+  const columns = new Set();
+
+  for (const [index, section] of definition.sections.entries()) {
+    const where = `sections[${index}]`;
+    if (!section || typeof section.id !== 'string' || !NAME_PATTERN.test(section.id)) {
+      problems.push(`${where}: id must start with a letter and contain only letters, digits and underscores`);
+    } else if (sectionIds.has(section.id)) {
+      problems.push(`${where}: duplicate section id "${section.id}"`);
+    } else {
+      sectionIds.add(section.id);
+    }
+    if (!section || typeof section.title !== 'string' || !section.title.trim()) {
+      problems.push(`${where}: title is required`);
+    }
+    if (!section || !Array.isArray(section.fields) || section.fields.length === 0) {
+      problems.push(`${where}: fields must be a non-empty list`);
+      continue;
+    }
+
+    for (const field of section.fields) {
+      const fieldWhere = `${where}.${field && field.name ? field.name : '?'}`;
+      if (!field || typeof field.name !== 'string' || !NAME_PATTERN.test(field.name)) {
+        problems.push(`${fieldWhere}: name must start with a letter and contain only letters, digits and underscores`);
+        continue;
+      }
+      if (fieldNames.has(field.name)) {
+        problems.push(`${fieldWhere}: duplicate field name`);
+      }
+      fieldNames.add(field.name);
+
+      if (typeof field.label !== 'string' || !field.label.trim()) {
+        problems.push(`${fieldWhere}: label is required`);
+      }
+      if (!FIELD_TYPES.includes(field.type)) {
+        problems.push(`${fieldWhere}: type must be one of ${FIELD_TYPES.join(', ')}`);
+      }
+      if (['select', 'multiselect'].includes(field.type)) {
+        const values = Array.isArray(field.options) ? field.options.map(option => option && option.value) : [];
+        if (values.length === 0 || values.some(value => typeof value !== 'string' || !value)) {
+          problems.push(`${fieldWhere}: options must be a non-empty list of { value, label }`);
+        } else if (new Set(values).size !== values.length) {
+          problems.push(`${fieldWhere}: option values must be unique`);
+        }
+      }
+      if (field.min !== undefined && field.max !== undefined && Number(field.min) > Number(field.max)) {
+        problems.push(`${fieldWhere}: min must not be greater than max`);
+      }
+      if (field.pattern !== undefined) {
+        try {
+          new RegExp(field.pattern);
+        } catch (error) {
+          problems.push(`${fieldWhere}: pattern is not a valid regular expression`);
+        }
+      }
+      if (field.column !== undefined) {
+        if (!MAPPABLE_COLUMNS.includes(field.column)) {
+          problems.push(`${fieldWhere}: column must be one of ${MAPPABLE_COLUMNS.join(', ')}`);
+        } else if (columns.has(field.column)) {
+          problems.push(`${fieldWhere}: column "${field.column}" is already used by another field`);
+        }
+        columns.add(field.column);
+      }
+    }
+  }
+
+  // Conditions can only refer to other fields of the form
+  const checkCondition = (condition, where, ownName) => {
+    if (condition === undefined) return;
+    if (!condition || typeof condition.field !== 'string' || !fieldNames.has(condition.field) || condition.field === ownName) {
+      problems.push(`${where}: condition must refer to another field of the form`);
+    } else if (!('equals' in condition) && !Array.isArray(condition.in)) {
+      problems.push(`${where}: condition needs "equals" or an "in" list`);
+    }
+  };
+  for (const [index, section] of definition.sections.entries()) {
+    if (!section) continue;
+    checkCondition(section.condition, `sections[${index}]`);
+    for (const field of section.fields || []) {
+      if (field && field.name) checkCondition(field.condition, `sections[${index}].${field.name}`, field.name);
+    }
+  }
+
+  return problems;
+};
+
+const assertValidDefinition = (definition) => {
+  const problems = getDefinitionProblems(definition);
+  if (problems.length > 0) {
+    throw new AppError(`Invalid form definition: ${problems.join('; ')}`, 400);
+  }
+};
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Convert one raw answer to the field's type. Returns { value } or { error }.
+const coerceAnswer = (field, raw) => {
+  switch (field.type) {
+    case 'string':
+    case 'text':
+    case 'email': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return { error: `${field.label} must be text` };
+      const value = String(raw).trim();
+      const maxLength = field.maxLength || MAX_TEXT_LENGTH;
+      if (field.type === 'email' && !EMAIL_PATTERN.test(value)) return { error: `${field.label} must be a valid email address` };
+      if (field.minLength && value.length < field.minLength) return { error: `${field.label} must be at least ${field.minLength} characters` };
+      if (value.length > maxLength) return { error: `${field.label} must be at most ${maxLength} characters` };
+      if (field.pattern && !new RegExp(field.pattern).test(value)) return { error: `${field.label} has an invalid format` };
+      return { value };
+    }
+    case 'integer':
+    case 'number': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value) || (field.type === 'integer' && !Number.isInteger(value))) {
+        return { error: `${field.label} must be ${field.type === 'integer' ? 'a whole number' : 'a number'}` };
+      }
+      if (field.min !== undefined && value < field.min) return { error: `${field.label} must be at least ${field.min}` };
+      if (field.max !== undefined && value > field.max) return { error: `${field.label} must be at most ${field.max}` };
+      return { value };
+    }
+    case 'boolean': {
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: false };
+      return { error: `${field.label} must be true or false` };
+    }
+    case 'date': {
+      const value = typeof raw === 'string' ? raw.slice(0, 10) : '';
+      if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) return { error: `${field.label} must be a valid date (YYYY-MM-DD)` };
+      if (field.past && value >= today()) return { error: `${field.label} must be in the past` };
+      if (field.future && value <= today()) return { error: `${field.label} must be in the future` };
+      return { value };
+    }
+    case 'select': {
+      if (!field.options.some(option => option.value === raw)) return { error: `${field.label} must be one of the listed options` };
+      return { value: raw };
+    }
+    case 'multiselect': {
+      if (!Array.isArray(raw) || !raw.every(item => field.options.some(option => option.value === item))) {
+        return { error: `${field.label} must be a list of the listed options` };
+      }
+      const value = [...new Set(raw)];
+      if (field.minItems && value.length < field.minItems) return { error: `${field.label} needs at least ${field.minItems} choices` };
+      if (field.maxItems && value.length > field.maxItems) return { error: `${field.label} allows at most ${field.maxItems} choices` };
+      return { value };
+    }
+    default:
+      return { error: `${field.label} has an unsupported type` };
+  }
+};
+
+const conditionMet = (condition, answers) => {
+  if (!condition) return true;
+  const answer = answers[condition.field];
+  if (Array.isArray(condition.in)) return condition.in.includes(answer);
+  return answer === condition.equals;
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Validate answers against a form definition.
+// Hidden fields are dropped; required fields are only enforced with requireComplete
+// (drafts may be saved half-filled). Returns the cleaned answers, the values to copy to
+// Application columns (null for unanswered ones), and errors shaped like express-validator's.
+const validateAnswers = (definition, answers = {}, { requireComplete = false } = {}) => {
+  const coerced = {};
+  const problems = {};
+
+  for (const field of allFields(definition)) {
+    if (isEmpty(answers[field.name])) continue;
+    const { value, error } = coerceAnswer(field, answers[field.name]);
+    if (error) {
+      problems[field.name] = error;
+    } else {
+      coerced[field.name] = value;
+    }
+  }
+
+  const values = {};
+  const columns = {};
+  const errors = [];
+
+  for (const field of allFields(definition)) {
+    if (field.column) columns[field.column] = null;
+  }
+
+  for (const section of definition.sections) {
+    const sectionVisible = conditionMet(section.condition, coerced);
+
+    for (const field of section.fields) {
+      if (!sectionVisible || !conditionMet(field.condition, coerced)) continue;
+
+      if (problems[field.name]) {
+        errors.push({ type: 'field', path: field.name, location: 'body', msg: problems[field.name] });
+      } else if (coerced[field.name] !== undefined) {
+        values[field.name] = coerced[field.name];
+        if (field.column) columns[field.column] = coerced[field.name];
+      } else if (field.required && requireComplete) {
+        errors.push({ type: 'field', path: field.name, location: 'body', msg: `${field.label} is required` });
+      }
+    }
+  }
+
+  return { values, columns, errors };
+};
+
+// Answers come either as an "answers" object or as top-level fields (older clients)
+const extractAnswers = (definition, body) => {
+  const source = body.answers && typeof body.answers === 'object' && !Array.isArray(body.answers) ? body.answers : body;
+  const answers = {};
+  for (const field of allFields(definition)) {
+    if (source[field.name] !== undefined) {
+      answers[field.name] = source[field.name];
+    }
+  }
+  return answers;
+};
+
+// The schema new applications of this visa type and destination are started with.
+// A destination-specific schema wins over the general one.
+const getActiveFormSchema = async (visaType, destinationCountry) => {
+  const candidates = await FormSchema.findAll({
+    where: {
+      visaType,
+      status: 'active',
+      [Op.or]: [
+        { destinationCountry: null },
+        ...(destinationCountry ? [{ destinationCountry: { [Op.iLike]: destinationCountry.replace(/[\\%_]/g, '\\$&') } }] : [])
+      ]
+    },
+    order: [['version', 'DESC']]
+  });
+
+  const schema = candidates.find(candidate => candidate.destinationCountry) || candidates[0];
+  if (!schema) {
+    throw new AppError(`No application form is available for ${visaType} visas`, 404);
+  }
+  return schema;
+};
+
+// The schema an application's answers are checked against. Applications started before
+// form schemas existed get the current one (and keep it once their answers are saved).
+const getApplicationFormSchema = async (application, { transaction } = {}) => {
+  if (!application.formSchemaId) {
+    return getActiveFormSchema(application.visaType, application.destinationCountry);
+  }
+  return FormSchema.findByPk(application.formSchemaId, { transaction });
+};
+
+// Publish a new version for a visa type and destination; the previous version is retired
+const publishFormSchema = async ({ visaType, destinationCountry, title, definition }, publishedBy) => {
+  assertValidDefinition(definition);
+
+  return FormSchema.sequelize.transaction(async (transaction) => {
+    const where = { visaType, destinationCountry: destinationCountry || null };
+
+    const latestVersion = await FormSchema.max('version', { where, transaction });
+    await FormSchema.update(
+      { status: 'retired', retiredAt: new Date() },
+      { where: { ...where, status: 'active' }, transaction }
+    );
+
+    return FormSchema.create({
+      ...where,
+      version: (latestVersion || 0) + 1,
+      title: title || null,
+      definition,
+      createdBy: publishedBy ? publishedBy.id : null
+    }, { transaction });
+  });
+};
+
+// Retire a version. The general form of a visa type can only be replaced, never removed,
+// or applications of that type could no longer be started.
+const retireFormSchema = async (schema) => {
+  if (schema.status === 'active' && !schema.destinationCountry) {
+    throw new AppError(`The general ${schema.visaType} form cannot be retired; publish a new version instead`, 409);
+  }
+  if (schema.status !== 'retired') {
+    await schema.update({ status: 'retired', retiredAt: new Date() });
+  }
+  return schema;
+};
+
+// Install the default form for visa types without a general schema
+// (sync-based development databases skip migrations and seeders)
+const ensureDefaultFormSchemas = async () => {
+  for (const visaType of VISA_TYPES) {
+    const existing = await FormSchema.count({ where: { visaType, destinationCountry: null } });
+    if (existing === 0) {
+      await FormSchema.create({
+        visaType,
+        destinationCountry: null,
+        version: 1,
+        title: 'Standard application form',
+        definition: DEFAULT_FORM_DEFINITION
+      });
+    }
+  }
+};
+
+module.exports = {
+  validateAnswers,
+  extractAnswers,
+  getActiveFormSchema,
+  getApplicationFormSchema,
+  publishFormSchema,
+  retireFormSchema,
+  ensureDefaultFormSchemas
+};
@@ -0,0 +1,53 @@
+const jwt = require('jsonwebtoken');
+const securityConfig = require('../config/security');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Never reachable with an impersonation token, whatever the method
+const BLOCKED_PATHS = ['/api/admin'];
+
+// Account and session management stays read-only even when writes are allowed
+const READ_ONLY_PATHS = ['/api/auth', '/api/users/sessions', '/api/users/settings', '/api/users/profile'];
+
+// Express routes without regard to case, so /API/Admin reaches the /api/admin router
+const matchesPath = (prefixes, path) => {
+  const normalized = String(path || '').toLowerCase();
+  return prefixes.some(prefix => normalized === prefix || normalized.startsWith(`${prefix}/`));
+};
+
+// Access token for the target user, tied to the admin's own session so that
+// logging the admin out also ends the impersonation. The "imp" claim marks it.
+const signImpersonationToken = ({ impersonatorId, targetUserId, sessionId, allowWrites }) => {
+  const expiresIn = securityConfig.impersonation.tokenTtl;
+
+  const token = jwt.sign({
+    id: targetUserId,
+    sid: sessionId,
+    imp: {
+      by: impersonatorId,
+      writes: !!allowWrites
+    }
+  }, process.env.JWT_SECRET, { expiresIn });
+
+  return {
+    token,
+    expiresAt: new Date(jwt.decode(token).exp * 1000)
+  };
+};
+
+const isImpersonatedRequestAllowed = (imp, method, path) => {
+  if (matchesPath(BLOCKED_PATHS, path)) {
+    return false;
+  }
+
+  if (SAFE_METHODS.includes(method)) {
+    return true;
+  }
+
+  return !!imp.writes && !matchesPath(READ_ONLY_PATHS, path);
+};
+
+module.exports = {
+  signImpersonationToken,
+  isImpersonatedRequestAllowed
+};
@@ -0,0 +1,137 @@
+const { Op } = require('sequelize');
+const { Invitation, User } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { generateSecureToken, hashToken } = require('../utils/tokens');
+const { sendEmail, getFrontendUrl } = require('../utils/email');
+const { startPendingEnrollment, confirmPendingEnrollment } = require('./twoFactorService');
+const securityConfig = require('../config/security');
+
+const sendInvitationEmail = async (invitation, rawToken, inviter) => {
+  const acceptUrl = `${getFrontendUrl()}/accept-invitation?token=${rawToken}`;
+  const ttlHours = securityConfig.invitations.tokenTtlHours;
+
+  await sendEmail({
+    to: invitation.email,
+    subject: 'You have been invited to join ArRaji',
+    text: [
+      'Hello,',
+      '',
+      `${inviter.firstName} ${inviter.lastName} has invited you to join the ArRaji team as ${invitation.role}${invitation.processingCenter ? ` at ${invitation.processingCenter}` : ''}.`,
+      `Use the link below to set your password and two-factor authentication. The link expires in ${ttlHours} hours and can only be used once.`,
+      '',
+      acceptUrl,
+      '',
+      'If you were not expecting this invitation, you can safely ignore this email.',
+      '',
+      'ArRaji Visa Services Team'
+    ].join('\n')
+  });
+};
+
+// Create an invitation and email its single-use link. Earlier pending invitations
+// for the same address are revoked so only the newest link works.
+const createInvitation = async ({ email, role, processingCenter, inviter }) => {
+  const normalizedEmail = email.toLowerCase();
+
+  if (await User.findOne({ where: { email: normalizedEmail } })) {
+    throw new AppError('A user with this email already exists', 409);
+  }
+
+  await Invitation.update(
+    { revokedAt: new Date(), revokedBy: inviter.id },
+    { where: { email: normalizedEmail, acceptedAt: null, revokedAt: null } }
+  );
+
+  const rawToken = generateSecureToken();
+  const invitation = await Invitation.create({
+    email: normalizedEmail,
+    role,
+    processingCenter: processingCenter || null,
+    tokenHash: hashToken(rawToken),
+    invitedBy: inviter.id,
+    expiresAt: new Date(Date.now() + securityConfig.invitations.tokenTtlHours * 60 * 60 * 1000)
+  });
+
+  await sendInvitationEmail(invitation, rawToken, inviter);
+
+  return invitation;
+};
+
+// Look up a usable invitation by the raw token from the email link
+const findUsableInvitation = async (rawToken) => {
+  const invitation = await Invitation.findOne({ where: { tokenHash: hashToken(String(rawToken || '')) } });
+
+  if (!invitation || !invitation.isUsable()) {
+    throw new AppError('This invitation is invalid, has expired or has already been used', 400);
+  }
+
+  return invitation;
+};
+
+// Acceptance step 1: hand out the authenticator secret the new account will use
+const startInvitationTwoFactor = async (invitation) => {
+  const { secret, encryptedSecret, otpauthUri } = startPendingEnrollment(invitation.email);
+  await invitation.update({ twoFactorSecret: encryptedSecret });
+  return { secret, otpauthUri };
+};
+
+// Acceptance step 2: check the first authenticator code and create the staff account.
+// Returns the new user and the backup codes to show once.
+const acceptInvitation = async (invitation, { firstName, lastName, phoneNumber, password, code }) => {
+  if (!invitation.twoFactorSecret) {
+    throw new AppError('Set up two-factor authentication for this invitation first', 400);
+  }
+
+  const enrollment = confirmPendingEnrollment(invitation.twoFactorSecret, code);
+  if (!enrollment) {
+    throw new AppError('Invalid verification code', 401);
+  }
+
+  const user = await User.sequelize.transaction(async (transaction) => {
+    // Claim the invitation first so two concurrent accepts cannot both succeed
+    const [claimed] = await Invitation.update(
+      { acceptedAt: new Date() },
+      {
+        where: { id: invitation.id, acceptedAt: null, revokedAt: null, expiresAt: { [Op.gt]: new Date() } },
+        transaction
+      }
+    );
+    if (claimed === 0) {
+      throw new AppError('This invitation is invalid, has expired or has already been used', 400);
+    }
+
+    if (await User.findOne({ where: { email: invitation.email }, transaction })) {
+      throw new AppError('A user with this email already exists', 409);
+    }
+
+    const created = await User.create({
+      email: invitation.email,
+      password, // Plain text - beforeCreate hook will hash it
+      firstName,
+      lastName,
+      phoneNumber: phoneNumber || null,
+      role: invitation.role,
+      processingCenter: invitation.processingCenter,
+      // Opening the emailed link proves the address
+      isVerified: true,
+      isActive: true,
+      ...enrollment.fields
+    }, { transaction });
+
+    await Invitation.update(
+      { acceptedUserId: created.id, twoFactorSecret: null },
+      { where: { id: invitation.id }, transaction }
+    );
+
+    return created;
+  });
+
+  return { user, backupCodes: enrollment.backupCodes };
+};
+
+module.exports = {
+  createInvitation,
+  findUsableInvitation,
+  startInvitationTwoFactor,
+  acceptInvitation
+};
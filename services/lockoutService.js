@@ -0,0 +1,118 @@
+const { Op, literal } = require('sequelize');
+const { User, Notification } = require('../models');
+const { securityLogger } = require('../middleware/logger');
+const securityConfig = require('../config/security');
+
+// Lockout duration doubles with each consecutive lockout, up to the configured cap
+const getLockDurationMinutes = (lockoutCount) => {
+  const { baseLockMinutes, maxLockMinutes } = securityConfig.lockout;
+  return Math.min(baseLockMinutes * Math.pow(2, Math.max(lockoutCount - 1, 0)), maxLockMinutes);
+};
+
+// Count the failure in the database so parallel wrong guesses each add one.
+// A lock that has run out starts a fresh round of attempts. Returns the new count.
+const incrementFailedLogins = async (user, now) => {
+  const [, rows] = await User.update({
+    failedLoginAttempts: literal('CASE WHEN locked_until <= NOW() THEN 1 ELSE failed_login_attempts + 1 END'),
+    lockedUntil: literal('CASE WHEN locked_until <= NOW() THEN NULL ELSE locked_until END'),
+    lastFailedLoginAt: now
+  }, { where: { id: user.id }, returning: true });
+
+  const { failedLoginAttempts, lockedUntil } = rows[0];
+  user.setDataValue('failedLoginAttempts', failedLoginAttempts);
+  user.setDataValue('lockedUntil', lockedUntil);
+  user.setDataValue('lastFailedLoginAt', now);
+  return failedLoginAttempts;
+};
+
+// Lock the account if the counter is still at the limit. Of several failures that reach
+// the limit together only the first finds it there; returns null for the others.
+const claimLockout = async (user, now) => {
+  return User.sequelize.transaction(async (transaction) => {
+    const [claimed, rows] = await User.update({
+      failedLoginAttempts: 0,
+      lockoutCount: literal('lockout_count + 1')
+    }, {
+      where: { id: user.id, failedLoginAttempts: { [Op.gte]: securityConfig.lockout.maxFailedAttempts } },
+      returning: true,
+      transaction
+    });
+    if (claimed === 0) {
+      return null;
+    }
+
+    const { lockoutCount } = rows[0];
+    const lockMinutes = getLockDurationMinutes(lockoutCount);
+    const lockedUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+    await User.update({ lockedUntil }, { where: { id: user.id }, transaction });
+
+    return { lockoutCount, lockMinutes, lockedUntil };
+  });
+};
+
+// Record a failed password or 2FA attempt and lock the account once the limit is hit
+const registerFailedLogin = async (user, ip) => {
+  const now = new Date();
+
+  const failedLoginAttempts = await incrementFailedLogins(user, now);
+  if (failedLoginAttempts < securityConfig.lockout.maxFailedAttempts) {
+    return { locked: false, attemptsRemaining: securityConfig.lockout.maxFailedAttempts - failedLoginAttempts };
+  }
+
+  const lockout = await claimLockout(user, now);
+  if (!lockout) {
+    // A parallel attempt locked the account first
+    await user.reload({ attributes: ['failedLoginAttempts', 'lockedUntil', 'lockoutCount'] });
+    return { locked: true, lockedUntil: user.lockedUntil };
+  }
+
+  const { lockoutCount, lockMinutes, lockedUntil } = lockout;
+  user.setDataValue('failedLoginAttempts', 0);
+  user.setDataValue('lockoutCount', lockoutCount);
+  user.setDataValue('lockedUntil', lockedUntil);
+
+  securityLogger.accountLocked(user.id, ip, lockedUntil, lockoutCount);
+
+  try {
+    await Notification.create({
+      userId: user.id,
+      type: 'security_alert',
+      title: 'Your account has been temporarily locked',
+      message: `We locked your account for ${lockMinutes} minutes after ${securityConfig.lockout.maxFailedAttempts} failed sign-in attempts (last attempt from IP ${ip}). If this was not you, reset your password once the lock expires or contact support.`,
+      priority: 'high',
+      actionUrl: '/forgot-password'
+    });
+  } catch (error) {
+    console.error('Error creating account lock notification:', error);
+  }
+
+  return { locked: true, lockedUntil };
+};
+
+// Successful login: clear the counters, including the progressive lockout history
+const resetFailedLogins = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockedUntil && !user.lockoutCount) {
+    return;
+  }
+
+  await user.update({
+    failedLoginAttempts: 0,
+    lockedUntil: null,
+    lockoutCount: 0
+  });
+};
+
+const unlockAccount = async (user) => {
+  await user.update({
+    failedLoginAttempts: 0,
+    lastFailedLoginAt: null,
+    lockedUntil: null,
+    lockoutCount: 0
+  });
+};
+
+module.exports = {
+  registerFailedLogin,
+  resetFailedLogins,
+  unlockAccount
+};
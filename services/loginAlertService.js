@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { KnownDevice, Notification } = require('../models');
+const { securityLogger } = require('../middleware/logger');
+const { sendEmail, getFrontendUrl } = require('../utils/email');
+const securityConfig = require('../config/security');
+
+// Marks the JWT in the "this wasn't me" link
+const LOGIN_ALERT_PURPOSE = 'login_alert';
+
+// Keep only the network part of the address (/24 for IPv4, /64 for IPv6) so a
+// device is still recognised when its address changes within the same network
+const getIpPrefix = (ip) => {
+  if (!ip) return 'unknown';
+
+  const address = ip.replace(/^::ffff:/, '');
+  if (address.includes('.')) {
+    return address.split('.').slice(0, 3).join('.');
+  }
+  return address.split(':').slice(0, 4).join(':');
+};
+
+const getDeviceFingerprint = (userAgent, ip) => {
+  return crypto.createHash('sha256')
+    .update(`${userAgent || 'unknown'}|${getIpPrefix(ip)}`)
+    .digest('hex');
+};
+
+const sendNewDeviceAlert = async (user, { ip, userAgent, sessionId, fingerprint }) => {
+  const revokeToken = jwt.sign(
+    { purpose: LOGIN_ALERT_PURPOSE, id: user.id, sid: sessionId, fp: fingerprint },
+    process.env.JWT_SECRET,
+    { expiresIn: securityConfig.loginAlerts.revokeLinkTtl }
+  );
+  const revokeUrl = `${getFrontendUrl()}/security/not-me?token=${revokeToken}`;
+  const device = userAgent || 'an unknown device';
+  const when = new Date().toUTCString();
+
+  await Notification.create({
+    userId: user.id,
+    type: 'security_alert',
+    title: 'New sign-in to your account',
+    message: `Your account was signed in from ${device} (IP ${ip}) on ${when}. If this was not you, secure your account now.`,
+    priority: 'high',
+    actionUrl: '/settings/security'
+  });
+
+  await sendEmail({
+    to: user.email,
+    subject: 'New sign-in to your ArRaji account',
+    text: [
+      `Dear ${user.firstName},`,
+      '',
+      'Your account was just signed in from a device we have not seen before:',
+      `  Device: ${device}`,
+      `  IP address: ${ip}`,
+      `  Time: ${when}`,
+      '',
+      'If this was you, there is nothing to do.',
+      'If this was not you, open the link below to sign that device out, then reset your password:',
+      '',
+      revokeUrl,
+      '',
+      'You can turn these alerts off in your security settings.',
+      '',
+      'ArRaji Visa Services'
+    ].join('\n')
+  });
+};
+
+// Remember the device behind a successful login and alert the user the first time
+// a new one shows up. The very first device of an account is recorded silently.
+const checkLoginDevice = async (user, { ip, userAgent, sessionId }) => {
+  const fingerprint = getDeviceFingerprint(userAgent, ip);
+
+  const known = await KnownDevice.findOne({ where: { userId: user.id, fingerprint } });
+  if (known) {
+    await known.update({ lastSeenAt: new Date(), lastIpAddress: ip || null });
+    return { newDevice: false };
+  }
+
+  const knownDeviceCount = await KnownDevice.count({ where: { userId: user.id } });
+
+  await KnownDevice.create({
+    userId: user.id,
+    fingerprint,
+    userAgent: userAgent ? userAgent.substring(0, 512) : null,
+    lastIpAddress: ip || null,
+    lastSeenAt: new Date()
+  });
+
+  if (knownDeviceCount === 0) {
+    return { newDevice: false };
+  }
+
+  securityLogger.newDeviceLogin(user.id, ip, userAgent);
+
+  if (user.loginAlertsEnabled !== false) {
+    await sendNewDeviceAlert(user, { ip, userAgent, sessionId, fingerprint });
+  }
+
+  return { newDevice: true };
+};
+
+// Decode a "this wasn't me" token; returns null when it is invalid or expired
+const verifyLoginAlertToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === LOGIN_ALERT_PURPOSE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Stop trusting a device the user has disowned, so its next login alerts again
+const forgetDevice = async (userId, fingerprint) => {
+  await KnownDevice.destroy({ where: { userId, fingerprint } });
+};
+
+module.exports = {
+  getDeviceFingerprint,
+  checkLoginDevice,
+  verifyLoginAlertToken,
+  forgetDevice
+};
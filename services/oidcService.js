@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { User, UserIdentity } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { generateSecureToken } = require('../utils/tokens');
+const oidcConfig = require('../config/oidc');
+
+// Marks the JWT stored in the state cookie between /authorize and /callback
+const OIDC_STATE_PURPOSE = 'oidc_state';
+const OIDC_STATE_COOKIE = 'oidcState';
+
+// Lax so the cookie comes back on the provider's top-level redirect to /callback
+const stateCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  path: '/api/auth/oidc'
+};
+
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000;
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+const getProvider = (name) => {
+  const provider = oidcConfig.providers[name];
+  if (!provider) {
+    throw new AppError('Unknown identity provider', 404);
+  }
+  return provider;
+};
+
+const listProviders = () => {
+  return Object.entries(oidcConfig.providers).map(([name, provider]) => ({
+    name,
+    displayName: provider.displayName
+  }));
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    throw new AppError(`Identity provider request failed with status ${response.status}`, 502);
+  }
+  return response.json();
+};
+
+// Provider endpoints from its discovery document, cached for an hour
+const getProviderMetadata = async (provider) => {
+  const cached = metadataCache.get(provider.issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  metadataCache.set(provider.issuer, { metadata, expiresAt: Date.now() + METADATA_CACHE_TTL_MS });
+  return metadata;
+};
+
+// Signing key for an ID token; the key set is re-fetched once if the kid is unknown (key rotation)
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find(key => key.kid === kid && (!key.use || key.use === 'sig'));
+
+  let cached = jwksCache.get(jwksUri);
+  let jwk = cached && cached.expiresAt > Date.now() ? findKey(cached.keys) : null;
+
+  if (!jwk) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    cached = { keys, expiresAt: Date.now() + METADATA_CACHE_TTL_MS };
+    jwksCache.set(jwksUri, cached);
+    jwk = findKey(keys);
+  }
+
+  if (!jwk) {
+    throw new AppError('ID token was signed with an unknown key', 401);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Start the authorization code flow with PKCE. The returned state token goes into
+// an httpOnly cookie and binds the callback to this browser.
+const createAuthorizationRequest = async (providerName, { mode = 'login', userId, loginHint } = {}) => {
+  const provider = getProvider(providerName);
+  const metadata = await getProviderMetadata(provider);
+
+  const state = generateSecureToken(16);
+  const nonce = generateSecureToken(16);
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  const stateToken = jwt.sign({
+    purpose: OIDC_STATE_PURPOSE,
+    provider: providerName,
+    state,
+    nonce,
+    codeVerifier,
+    mode,
+    ...(userId && { userId })
+  }, process.env.JWT_SECRET, { expiresIn: oidcConfig.stateTtl });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: oidcConfig.getRedirectUri(providerName),
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  if (loginHint) {
+    params.set('login_hint', loginHint);
+  }
+
+  return {
+    authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`,
+    stateToken
+  };
+};
+
+// Check the ID token signature, issuer, audience, expiry and nonce
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new AppError('Identity provider returned an invalid ID token', 401);
+  }
+
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'ES256'],
+    issuer: metadata.issuer,
+    audience: provider.clientId
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new AppError('ID token nonce does not match', 401);
+  }
+
+  return claims;
+};
+
+// Finish the flow: validate state, exchange the code and return the verified ID token claims
+const completeAuthorization = async (providerName, { code, state, stateToken }) => {
+  const provider = getProvider(providerName);
+
+  let pending;
+  try {
+    pending = jwt.verify(stateToken || '', process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AppError('Sign-in request has expired. Please try again', 400);
+  }
+
+  const stateMatches = typeof state === 'string' && state.length === pending.state.length
+    && crypto.timingSafeEqual(Buffer.from(state), Buffer.from(pending.state));
+
+  if (pending.purpose !== OIDC_STATE_PURPOSE || pending.provider !== providerName || !stateMatches) {
+    throw new AppError('Sign-in request could not be verified. Please try again', 400);
+  }
+
+  if (!code) {
+    throw new AppError('Identity provider did not return an authorization code', 400);
+  }
+
+  const metadata = await getProviderMetadata(provider);
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: oidcConfig.getRedirectUri(providerName),
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: pending.codeVerifier
+    }).toString()
+  });
+
+  if (!tokens.id_token) {
+    throw new AppError('Identity provider did not return an ID token', 502);
+  }
+
+  const claims = await verifyIdToken(provider, metadata, tokens.id_token, pending.nonce);
+
+  return {
+    claims,
+    mode: pending.mode,
+    userId: pending.userId
+  };
+};
+
+const isEmailVerified = (claims) => claims.email_verified === true || claims.email_verified === 'true';
+
+// Attach a provider identity to an existing account
+const linkIdentity = async (user, providerName, claims) => {
+  const existing = await UserIdentity.findOne({ where: { provider: providerName, subject: claims.sub } });
+
+  if (existing && existing.userId !== user.id) {
+    throw new AppError('This account is already linked to a different user', 409);
+  }
+  if (existing) {
+    return existing;
+  }
+
+  const alreadyLinked = await UserIdentity.findOne({ where: { userId: user.id, provider: providerName } });
+  if (alreadyLinked) {
+    throw new AppError('A different account from this provider is already linked. Unlink it first', 409);
+  }
+
+  return UserIdentity.create({
+    userId: user.id,
+    provider: providerName,
+    subject: claims.sub,
+    email: claims.email || null
+  });
+};
+
+const splitName = (claims) => {
+  const parts = (claims.name || '').trim().split(/\s+/).filter(Boolean);
+  const emailName = (claims.email || '').split('@')[0];
+
+  return {
+    firstName: claims.given_name || parts[0] || emailName || 'Applicant',
+    lastName: claims.family_name || parts.slice(1).join(' ') || '-'
+  };
+};
+
+// Log in by provider identity: an already linked account, else an account with the same
+// verified email (which gets linked), else a new account
+const findOrCreateUserFromClaims = async (providerName, claims) => {
+  const identity = await UserIdentity.findOne({
+    where: { provider: providerName, subject: claims.sub },
+    include: [{ model: User, as: 'user' }]
+  });
+
+  if (identity && identity.user) {
+    await identity.update({ lastLoginAt: new Date() });
+    return { user: identity.user, created: false, linked: false };
+  }
+
+  // Matching on an unverified email would let anyone take over an account
+  if (!claims.email || !isEmailVerified(claims)) {
+    throw new AppError('Your identity provider did not confirm your email address', 403);
+  }
+
+  const email = claims.email.toLowerCase();
+  let user = await User.findOne({ where: { email } });
+  let created = false;
+
+  if (!user) {
+    user = await User.create({
+      email,
+      // Random password nobody knows; the user can set one through forgot-password
+      password: generateSecureToken(32),
+      passwordLoginEnabled: false,
+      ...splitName(claims),
+      role: 'user',
+      isVerified: true
+    });
+    created = true;
+  } else if (!user.isVerified) {
+    // The provider has just proven ownership of the address
+    await user.update({ isVerified: true });
+  }
+
+  await UserIdentity.create({
+    userId: user.id,
+    provider: providerName,
+    subject: claims.sub,
+    email,
+    lastLoginAt: new Date()
+  });
+
+  return { user, created, linked: true };
+};
+
+module.exports = {
+  OIDC_STATE_COOKIE,
+  stateCookieOptions,
+  getProvider,
+  listProviders,
+  createAuthorizationRequest,
+  completeAuthorization,
+  linkIdentity,
+  findOrCreateUserFromClaims
+};
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { SystemSetting, PasswordHistory } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const securityConfig = require('../config/security');
+
+const POLICY_SETTING_KEY = 'password_policy';
+
+// bcrypt ignores everything after 72 bytes, so longer passwords give a false sense of strength
+const MAX_PASSWORD_LENGTH = 72;
+const MAX_HISTORY_COUNT = 24;
+
+// The policy is checked on every password change and staff request; edits clear the cache
+const POLICY_CACHE_TTL_MS = 60 * 1000;
+let policyCache = null;
+
+const clearPasswordPolicyCache = () => {
+  policyCache = null;
+};
+
+// Loaded once at startup from the bundled list
+const COMMON_PASSWORDS = new Set(
+  fs.readFileSync(path.join(__dirname, '../config/common-passwords.txt'), 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim().toLowerCase())
+    .filter(line => line && !line.startsWith('#'))
+);
+
+// "Password123!" is as guessable as "password"
+const isCommonPassword = (password) => {
+  const normalized = password.toLowerCase();
+  const base = normalized.replace(/[^a-z]+$/, '');
+  return COMMON_PASSWORDS.has(normalized) || (base.length > 0 && COMMON_PASSWORDS.has(base));
+};
+
+// Built-in defaults overlaid with whatever admins have saved
+const getPasswordPolicy = async () => {
+  if (policyCache && policyCache.expiresAt > Date.now()) {
+    return policyCache.policy;
+  }
+
+  const setting = await SystemSetting.findByPk(POLICY_SETTING_KEY);
+  const policy = { ...securityConfig.passwordPolicy, ...(setting ? setting.value : {}) };
+
+  policyCache = { policy, expiresAt: Date.now() + POLICY_CACHE_TTL_MS };
+  return policy;
+};
+
+const BOOLEAN_FIELDS = ['requireUppercase', 'requireLowercase', 'requireNumber', 'requireSymbol', 'blockCommonPasswords'];
+const INTEGER_FIELDS = {
+  minLength: { min: 8, max: MAX_PASSWORD_LENGTH },
+  historyCount: { min: 0, max: MAX_HISTORY_COUNT },
+  maxAgeDays: { min: 0, max: 3650 }
+};
+
+// Validate a partial policy update, save it and return the resulting policy
+const updatePasswordPolicy = async (changes, updatedBy) => {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new AppError('Password policy must be an object', 400);
+  }
+
+  const allowed = [...BOOLEAN_FIELDS, ...Object.keys(INTEGER_FIELDS), 'maxAgeRoles'];
+  const unknown = Object.keys(changes).filter(field => !allowed.includes(field));
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown password policy settings: ${unknown.join(', ')}`, 400);
+  }
+
+  const value = {};
+
+  for (const field of BOOLEAN_FIELDS) {
+    if (changes[field] === undefined) continue;
+    if (typeof changes[field] !== 'boolean') {
+      throw new AppError(`${field} must be a boolean`, 400);
+    }
+    value[field] = changes[field];
+  }
+
+  for (const [field, { min, max }] of Object.entries(INTEGER_FIELDS)) {
+    if (changes[field] === undefined) continue;
+    if (!Number.isInteger(changes[field]) || changes[field] < min || changes[field] > max) {
+      throw new AppError(`${field} must be a whole number between ${min} and ${max}`, 400);
+    }
+    value[field] = changes[field];
+  }
+
+  if (changes.maxAgeRoles !== undefined) {
+    if (!Array.isArray(changes.maxAgeRoles) || !changes.maxAgeRoles.every(role => typeof role === 'string' && role.length > 0)) {
+      throw new AppError('maxAgeRoles must be a list of role names', 400);
+    }
+    value.maxAgeRoles = [...new Set(changes.maxAgeRoles)];
+  }
+
+  const setting = await SystemSetting.findByPk(POLICY_SETTING_KEY);
+  if (setting) {
+    await setting.update({ value: { ...setting.value, ...value }, updatedBy });
+  } else {
+    await SystemSetting.create({ key: POLICY_SETTING_KEY, value, updatedBy });
+  }
+
+  clearPasswordPolicyCache();
+  return getPasswordPolicy();
+};
+
+// Has this password (or one of the user's recent ones) been used before?
+const isRecentlyUsed = async (password, user, historyCount) => {
+  if (historyCount <= 0 || !user || !user.id) {
+    return false;
+  }
+
+  // The current password counts as one of the last N
+  if (user.password && await bcrypt.compare(password, user.password)) {
+    return true;
+  }
+
+  if (historyCount === 1) {
+    return false;
+  }
+
+  const history = await PasswordHistory.findAll({
+    where: { userId: user.id },
+    attributes: ['passwordHash'],
+    order: [['createdAt', 'DESC']],
+    limit: historyCount - 1
+  });
+
+  for (const entry of history) {
+    if (await bcrypt.compare(password, entry.passwordHash)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Check a new password against the policy. Returns a list of problems (empty when it passes).
+// Pass the user (loaded with its password hash) to enforce the reuse rule.
+const checkPassword = async (password, { user } = {}) => {
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  const policy = await getPasswordPolicy();
+  const problems = [];
+
+  if (password.length < policy.minLength) {
+    problems.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+  if (Buffer.byteLength(password, 'utf8') > MAX_PASSWORD_LENGTH) {
+    problems.push(`Password must be at most ${MAX_PASSWORD_LENGTH} bytes long`);
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    problems.push('Password must contain at least one uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    problems.push('Password must contain at least one lowercase letter');
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    problems.push('Password must contain at least one number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push('Password must contain at least one symbol');
+  }
+  if (policy.blockCommonPasswords && isCommonPassword(password)) {
+    problems.push('This password is too common. Please choose a less predictable one');
+  }
+
+  // Only worth the bcrypt comparisons once everything else passes
+  if (problems.length === 0 && await isRecentlyUsed(password, user, policy.historyCount)) {
+    problems.push(`Password must not match any of your last ${policy.historyCount} passwords`);
+  }
+
+  return problems;
+};
+
+// Shape policy problems like express-validator errors for the usual 400 response
+const toValidationErrors = (problems, field = 'password') => {
+  return problems.map(msg => ({ type: 'field', path: field, location: 'body', msg }));
+};
+
+// Staff passwords expire after maxAgeDays. Accounts without password login are exempt.
+const isPasswordExpired = async (user) => {
+  if (!user || user.passwordLoginEnabled === false) {
+    return false;
+  }
+
+  const policy = await getPasswordPolicy();
+  if (!policy.maxAgeDays || !(policy.maxAgeRoles || []).includes(user.role)) {
+    return false;
+  }
+
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  if (!changedAt) {
+    return false;
+  }
+
+  return Date.now() - new Date(changedAt).getTime() > policy.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+// Rules a client needs to guide the user (nothing about who the policy applies to)
+const describePasswordPolicy = async () => {
+  const policy = await getPasswordPolicy();
+
+  return {
+    minLength: policy.minLength,
+    maxLength: MAX_PASSWORD_LENGTH,
+    requireUppercase: policy.requireUppercase,
+    requireLowercase: policy.requireLowercase,
+    requireNumber: policy.requireNumber,
+    requireSymbol: policy.requireSymbol,
+    historyCount: policy.historyCount,
+    blockCommonPasswords: policy.blockCommonPasswords
+  };
+};
+
+module.exports = {
+  getPasswordPolicy,
+  updatePasswordPolicy,
+  clearPasswordPolicyCache,
+  checkPassword,
+  toValidationErrors,
+  isPasswordExpired,
+  describePasswordPolicy
+};
@@ -0,0 +1,66 @@
+const { Role } = require('../models');
+const { PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+
+// Role permissions are read on every authenticated request, so keep them in memory briefly.
+// Edits made through the API clear the cache straight away on this instance.
+const ROLE_CACHE_TTL_MS = 60 * 1000;
+const roleCache = new Map();
+
+const clearRoleCache = () => {
+  roleCache.clear();
+};
+
+// Permissions granted by a role; unknown roles get none
+const getRolePermissions = async (roleName) => {
+  const cached = roleCache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findOne({ where: { name: roleName }, attributes: ['permissions'] });
+  const permissions = role
+    ? role.permissions || []
+    : (DEFAULT_ROLES[roleName] && DEFAULT_ROLES[roleName].permissions) || [];
+
+  roleCache.set(roleName, { permissions, expiresAt: Date.now() + ROLE_CACHE_TTL_MS });
+  return permissions;
+};
+
+// "*" matches everything, "applications.*" matches every applications permission
+const grantsPermission = (grantedPermissions, permission) => {
+  return (grantedPermissions || []).some(granted => {
+    if (granted === '*' || granted === permission) return true;
+    return granted.endsWith('.*') && permission.startsWith(granted.slice(0, -1));
+  });
+};
+
+// Accept catalog names plus wildcards that match at least one catalog entry
+const isKnownPermission = (permission) => {
+  if (typeof permission !== 'string') return false;
+  if (permission === '*' || PERMISSIONS[permission]) return true;
+  return permission.endsWith('.*')
+    && Object.keys(PERMISSIONS).some(name => name.startsWith(permission.slice(0, -1)));
+};
+
+// Create the built-in roles if they are missing (sync-based development databases skip migrations)
+const ensureDefaultRoles = async () => {
+  for (const [name, role] of Object.entries(DEFAULT_ROLES)) {
+    await Role.findOrCreate({
+      where: { name },
+      defaults: {
+        name,
+        description: role.description,
+        permissions: role.permissions,
+        isSystem: true
+      }
+    });
+  }
+};
+
+module.exports = {
+  getRolePermissions,
+  grantsPermission,
+  isKnownPermission,
+  clearRoleCache,
+  ensureDefaultRoles
+};
@@ -0,0 +1,211 @@
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const { User, RefreshToken, Session } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { securityLogger } = require('../middleware/logger');
+const { generateSecureToken, hashToken } = require('../utils/tokens');
+const securityConfig = require('../config/security');
+
+// Sign a short-lived access token bound to a session (refresh token family)
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: securityConfig.tokens.accessTokenTtl
+  });
+};
+
+// Store a new refresh token for the family and return the raw value
+const createRefreshToken = async (userId, familyId, { ip, userAgent } = {}, transaction) => {
+  const rawToken = generateSecureToken(48);
+  const ttlDays = securityConfig.tokens.refreshTokenTtlDays;
+
+  const record = await RefreshToken.create({
+    userId,
+    familyId,
+    tokenHash: hashToken(rawToken),
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+    createdByIp: ip || null,
+    userAgent: userAgent ? userAgent.substring(0, 512) : null
+  }, { transaction });
+
+  return { rawToken, record };
+};
+
+// Start a new session for the user (or continue an existing one) and return an access/refresh token pair
+const issueAuthTokens = async (user, context = {}) => {
+  const familyId = context.familyId || uuidv4();
+  const { rawToken, record } = await createRefreshToken(user.id, familyId, context);
+
+  if (context.familyId) {
+    await Session.update({ expiresAt: record.expiresAt }, { where: { id: familyId } });
+  } else {
+    await Session.create({
+      id: familyId,
+      userId: user.id,
+      userAgent: context.userAgent ? context.userAgent.substring(0, 512) : null,
+      ipAddress: context.ip || null,
+      lastSeenAt: new Date(),
+      expiresAt: record.expiresAt
+    });
+  }
+
+  return {
+    accessToken: signAccessToken(user.id, familyId),
+    refreshToken: rawToken,
+    refreshTokenExpiresAt: record.expiresAt,
+    sessionId: familyId
+  };
+};
+
+// Revoke every token in a family (logs out that session)
+const revokeTokenFamily = async (familyId, reason, transaction) => {
+  const revokedAt = new Date();
+
+  const [count] = await RefreshToken.update(
+    { revokedAt, revokedReason: reason },
+    { where: { familyId, revokedAt: null }, transaction }
+  );
+  await Session.update(
+    { revokedAt, revokedReason: reason },
+    { where: { id: familyId, revokedAt: null }, transaction }
+  );
+  return count;
+};
+
+// Revoke every refresh token and session a user has. With keepSessionId that one
+// session stays open so the caller can issue it a fresh token pair.
+const revokeAllUserTokens = async (userId, reason, { keepSessionId } = {}) => {
+  const revokedAt = new Date();
+  const sessionWhere = { userId, revokedAt: null };
+  if (keepSessionId) {
+    sessionWhere.id = { [Op.ne]: keepSessionId };
+  }
+
+  await RefreshToken.update(
+    { revokedAt, revokedReason: reason },
+    { where: { userId, revokedAt: null } }
+  );
+  const [count] = await Session.update(
+    { revokedAt, revokedReason: reason },
+    { where: sessionWhere }
+  );
+  return count;
+};
+
+// Exchange a refresh token for a new pair; reuse of a rotated token revokes the family
+const rotateRefreshToken = async (rawToken, context = {}) => {
+  const existing = await RefreshToken.findOne({
+    where: { tokenHash: hashToken(rawToken) },
+    include: [{ model: User, as: 'user', attributes: { exclude: ['password'] } }]
+  });
+
+  if (!existing) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  if (existing.revokedAt) {
+    // A token that was already rotated or revoked is being replayed - assume it was stolen
+    if (existing.revokedReason === 'rotated') {
+      await revokeTokenFamily(existing.familyId, 'reuse_detected');
+      securityLogger.refreshTokenReuse(existing.userId, existing.familyId, context.ip);
+    }
+    throw new AppError('Refresh token has been revoked', 401);
+  }
+
+  if (existing.isExpired()) {
+    throw new AppError('Refresh token has expired', 401);
+  }
+
+  const user = existing.user;
+  if (!user || user.isActive === false) {
+    await revokeTokenFamily(existing.familyId, 'user_inactive');
+    throw new AppError('User account is deactivated', 401);
+  }
+
+  // Tokens handed out before a password change or reset cannot be refreshed
+  if (user.passwordChangedAt && existing.createdAt < user.passwordChangedAt) {
+    await revokeTokenFamily(existing.familyId, 'password_changed');
+    throw new AppError('Password was changed recently. Please log in again', 401);
+  }
+
+  const rotated = await RefreshToken.sequelize.transaction(async (transaction) => {
+    // Claim the token only if it is still live: of two refreshes racing with the same
+    // token exactly one gets here, the other updates nothing and is treated as reuse
+    const [claimed] = await RefreshToken.update(
+      { revokedAt: new Date(), revokedReason: 'rotated' },
+      { where: { id: existing.id, revokedAt: null }, transaction }
+    );
+    if (claimed === 0) {
+      return null;
+    }
+
+    const created = await createRefreshToken(user.id, existing.familyId, context, transaction);
+
+    await RefreshToken.update(
+      { replacedByTokenId: created.record.id },
+      { where: { id: existing.id }, transaction }
+    );
+
+    await Session.update({
+      expiresAt: created.record.expiresAt,
+      lastSeenAt: new Date(),
+      ...(context.ip && { ipAddress: context.ip })
+    }, { where: { id: existing.familyId }, transaction });
+
+    return created;
+  });
+
+  if (!rotated) {
+    await revokeTokenFamily(existing.familyId, 'reuse_detected');
+    securityLogger.refreshTokenReuse(existing.userId, existing.familyId, context.ip);
+    throw new AppError('Refresh token has been revoked', 401);
+  }
+
+  const { rawToken: newRawToken, record } = rotated;
+
+  return {
+    user,
+    accessToken: signAccessToken(user.id, existing.familyId),
+    refreshToken: newRawToken,
+    refreshTokenExpiresAt: record.expiresAt,
+    sessionId: existing.familyId
+  };
+};
+
+// Look up the family a raw refresh token belongs to (used on logout)
+const findTokenFamily = async (rawToken) => {
+  const existing = await RefreshToken.findOne({
+    where: { tokenHash: hashToken(rawToken) },
+    attributes: ['familyId', 'userId']
+  });
+  return existing;
+};
+
+// A session is active until it is revoked or its refresh token lifetime runs out
+const isSessionActive = async (familyId) => {
+  const session = await Session.findByPk(familyId, {
+    attributes: ['id', 'revokedAt', 'expiresAt']
+  });
+  return !!session && session.isActive();
+};
+
+// Record activity on a session, at most once per configured interval
+const touchSession = async (familyId, ip) => {
+  const threshold = new Date(Date.now() - securityConfig.sessions.lastSeenUpdateIntervalSeconds * 1000);
+
+  await Session.update(
+    { lastSeenAt: new Date(), ...(ip && { ipAddress: ip }) },
+    { where: { id: familyId, lastSeenAt: { [Op.lt]: threshold } } }
+  );
+};
+
+module.exports = {
+  signAccessToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeAllUserTokens,
+  findTokenFamily,
+  isSessionActive,
+  touchSession
+};
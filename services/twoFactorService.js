@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User } = require('../models');
+const { generateSecret, verifyCode, buildOtpAuthUri } = require('../utils/totp');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { hashToken } = require('../utils/tokens');
+const securityConfig = require('../config/security');
+
+// Admins and officers (by default) must have 2FA before using privileged routes
+const isTwoFactorRequired = (user) => {
+  return securityConfig.twoFactor.enforcedRoles.includes(user.role);
+};
+
+// Backup codes look like "a1b2c-3d4e5"; only their hashes are stored
+const generateBackupCodes = () => {
+  const codes = [];
+  for (let i = 0; i < securityConfig.twoFactor.backupCodeCount; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+};
+
+const normalizeBackupCode = (code) => String(code || '').trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+
+const hashBackupCodes = (codes) => codes.map(code => hashToken(normalizeBackupCode(code)));
+
+// Step 1 of enrollment: store a new (not yet active) secret and return it to the user
+const startEnrollment = async (user) => {
+  const secret = generateSecret();
+
+  await user.update({
+    twoFactorSecret: encrypt(secret),
+    twoFactorEnabled: false,
+    twoFactorBackupCodes: null,
+    twoFactorLastUsedStep: null
+  });
+
+  return {
+    secret,
+    otpauthUri: buildOtpAuthUri({
+      secret,
+      accountName: user.email,
+      issuer: securityConfig.twoFactor.issuer
+    })
+  };
+};
+
+// Check a TOTP code against the user's secret; a code can only be used once
+const verifyTotpCode = async (user, code) => {
+  if (!user.twoFactorSecret) {
+    return false;
+  }
+
+  const step = verifyCode(decrypt(user.twoFactorSecret), code);
+  if (step === null) {
+    return false;
+  }
+
+  // Record the step only if no code from this step (or a later one) was used yet, so two
+  // logins racing with the same code cannot both get through
+  const [updated] = await User.update(
+    { twoFactorLastUsedStep: step },
+    { where: { id: user.id, twoFactorLastUsedStep: { [Op.or]: [{ [Op.is]: null }, { [Op.lt]: step }] } } }
+  );
+  if (updated === 0) {
+    return false;
+  }
+
+  user.setDataValue('twoFactorLastUsedStep', step);
+  return true;
+};
+
+// Use (and burn) one of the user's backup codes
+const consumeBackupCode = async (user, code) => {
+  const hash = hashToken(normalizeBackupCode(code));
+
+  return User.sequelize.transaction(async (transaction) => {
+    // Lock the user so the same code cannot be spent by two requests at once
+    await user.reload({ lock: transaction.LOCK.UPDATE, transaction });
+
+    const hashes = user.twoFactorBackupCodes || [];
+    const index = hashes.indexOf(hash);
+    if (index === -1) {
+      return false;
+    }
+
+    await user.update({
+      twoFactorBackupCodes: hashes.filter((_, i) => i !== index)
+    }, { transaction });
+    return true;
+  });
+};
+
+// Accept either a TOTP code or a backup code
+const verifySecondFactor = async (user, { code, backupCode }) => {
+  if (code) {
+    return { valid: await verifyTotpCode(user, code), method: 'totp' };
+  }
+  if (backupCode) {
+    return { valid: await consumeBackupCode(user, backupCode), method: 'backup_code' };
+  }
+  return { valid: false, method: 'none' };
+};
+
+// Step 2 of enrollment: the first valid code activates 2FA and issues backup codes
+const confirmEnrollment = async (user, code) => {
+  if (!(await verifyTotpCode(user, code))) {
+    return null;
+  }
+
+  const backupCodes = generateBackupCodes();
+  await user.update({
+    twoFactorEnabled: true,
+    twoFactorEnabledAt: new Date(),
+    twoFactorBackupCodes: hashBackupCodes(backupCodes)
+  });
+
+  return backupCodes;
+};
+
+// Enrollment before the account exists (invitations): the encrypted secret is kept by the caller
+const startPendingEnrollment = (accountName) => {
+  const secret = generateSecret();
+
+  return {
+    secret,
+    encryptedSecret: encrypt(secret),
+    otpauthUri: buildOtpAuthUri({ secret, accountName, issuer: securityConfig.twoFactor.issuer })
+  };
+};
+
+// Check the first code for a pending enrollment. Returns the user fields that switch 2FA on
+// plus the plain backup codes to show once, or null when the code is wrong.
+const confirmPendingEnrollment = (encryptedSecret, code) => {
+  if (!encryptedSecret) {
+    return null;
+  }
+
+  const step = verifyCode(decrypt(encryptedSecret), code);
+  if (step === null) {
+    return null;
+  }
+
+  const backupCodes = generateBackupCodes();
+  return {
+    backupCodes,
+    fields: {
+      twoFactorSecret: encryptedSecret,
+      twoFactorEnabled: true,
+      twoFactorEnabledAt: new Date(),
+      twoFactorBackupCodes: hashBackupCodes(backupCodes),
+      twoFactorLastUsedStep: step
+    }
+  };
+};
+
+const regenerateBackupCodes = async (user) => {
+  const backupCodes = generateBackupCodes();
+  await user.update({ twoFactorBackupCodes: hashBackupCodes(backupCodes) });
+  return backupCodes;
+};
+
+const disableTwoFactor = async (user) => {
+  await user.update({
+    twoFactorEnabled: false,
+    twoFactorEnabledAt: null,
+    twoFactorSecret: null,
+    twoFactorBackupCodes: null,
+    twoFactorLastUsedStep: null
+  });
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  startEnrollment,
+  verifySecondFactor,
+  confirmEnrollment,
+  startPendingEnrollment,
+  confirmPendingEnrollment,
+  regenerateBackupCodes,
+  disableTwoFactor
+};
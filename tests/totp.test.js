@@ -0,0 +1,54 @@
+const { base32Encode, base32Decode, generateCode, getTimeStep, verifyCode } = require('../utils/totp');
+
+// RFC 6238 appendix B: SHA-1 with the ASCII seed "12345678901234567890". The RFC lists
+// 8-digit values; the 6-digit codes used here are their last six digits.
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+
+const RFC_VECTORS = [
+  { time: 59, code: '94287082' },
+  { time: 1111111109, code: '07081804' },
+  { time: 1111111111, code: '14050471' },
+  { time: 1234567890, code: '89005924' },
+  { time: 2000000000, code: '69279037' },
+  { time: 20000000000, code: '65353130' }
+];
+
+describe('utils/totp', () => {
+  it('encodes the RFC seed as base32 and decodes it back', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(RFC_SECRET).toString('ascii')).toBe('12345678901234567890');
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString('ascii')).toBe('12345678901234567890');
+  });
+
+  it('rejects characters outside the base32 alphabet', () => {
+    expect(() => base32Decode('GEZD1')).toThrow('Invalid base32 character');
+  });
+
+  it.each(RFC_VECTORS)('generates the RFC 6238 code at T=$time', ({ time, code }) => {
+    const step = getTimeStep(time * 1000);
+    expect(generateCode(RFC_SECRET, step)).toBe(code.slice(-6));
+  });
+
+  it.each(RFC_VECTORS)('verifies the RFC 6238 code at T=$time and returns its step', ({ time, code }) => {
+    expect(verifyCode(RFC_SECRET, code.slice(-6), { timestamp: time * 1000 })).toBe(getTimeStep(time * 1000));
+  });
+
+  it('accepts one step of clock drift either way, but not two', () => {
+    const timestamp = 1111111111 * 1000;
+    const step = getTimeStep(timestamp);
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { timestamp })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { timestamp })).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { timestamp })).toBeNull();
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { timestamp })).toBeNull();
+  });
+
+  it('ignores spaces and rejects malformed codes', () => {
+    const timestamp = 59 * 1000;
+
+    expect(verifyCode(RFC_SECRET, '287 082', { timestamp })).toBe(1);
+    expect(verifyCode(RFC_SECRET, '28708', { timestamp })).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef', { timestamp })).toBeNull();
+    expect(verifyCode(RFC_SECRET, null, { timestamp })).toBeNull();
+  });
+});
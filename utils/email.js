@@ -0,0 +1,24 @@
+const { logger } = require('../middleware/logger');
+
+// Base URL used to build links in outgoing emails
+const getFrontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Send an email (simulated - logs the message until a real mail provider is configured)
+const sendEmail = async ({ to, subject, text }) => {
+  logger.info(`EMAIL: To: ${to}, Subject: ${subject}`);
+
+  if (process.env.NODE_ENV !== 'production') {
+    console.log('═══════════════════════════════════════════════════════════');
+    console.log('📧 EMAIL SENT TO:', to);
+    console.log('─────────────────────────────────────────────────────────────');
+    console.log(`Subject: ${subject}`);
+    console.log('─────────────────────────────────────────────────────────────');
+    console.log(text);
+    console.log('═══════════════════════════════════════════════════════════');
+  }
+};
+
+module.exports = {
+  getFrontendUrl,
+  sendEmail
+};
@@ -0,0 +1,23 @@
+const CryptoJS = require('crypto-js');
+
+// Key used to encrypt secrets stored in the database (e.g. TOTP secrets)
+const getEncryptionKey = () => {
+  const key = process.env.DATA_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!key) {
+    throw new Error('DATA_ENCRYPTION_KEY or JWT_SECRET must be set to encrypt secrets');
+  }
+  return key;
+};
+
+const encrypt = (plainText) => {
+  return CryptoJS.AES.encrypt(String(plainText), getEncryptionKey()).toString();
+};
+
+const decrypt = (cipherText) => {
+  return CryptoJS.AES.decrypt(cipherText, getEncryptionKey()).toString(CryptoJS.enc.Utf8);
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
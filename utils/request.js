@@ -0,0 +1,9 @@
+// Query parameters exactly as sent. sanitizeInput HTML-escapes req.query, which breaks
+// values such as OAuth redirect URIs and authorization codes containing "/" or "=".
+const getRawQuery = (req) => {
+  return Object.fromEntries(new URL(req.originalUrl, 'http://localhost').searchParams);
+};
+
+module.exports = {
+  getRawQuery
+};
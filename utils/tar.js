@@ -0,0 +1,159 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// Minimal writer for gzip-compressed POSIX (ustar) archives - regular files only
+
+const BLOCK_SIZE = 512;
+const MAX_NAME_LENGTH = 100;
+
+const writeOctal = (header, value, offset, length) => {
+  header.write(value.toString(8).padStart(length - 1, '0') + '\0', offset, length, 'ascii');
+};
+
+const buildHeader = (name, size, mtime) => {
+  const header = Buffer.alloc(BLOCK_SIZE);
+
+  header.write(name, 0, MAX_NAME_LENGTH, 'utf8');
+  writeOctal(header, 0o644, 100, 8); // mode
+  writeOctal(header, 0, 108, 8); // uid
+  writeOctal(header, 0, 116, 8); // gid
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.fill(' ', 148, 156); // checksum is computed with this field blank
+  header.write('0', 156, 1, 'ascii'); // regular file
+  header.write('ustar\0', 257, 6, 'ascii');
+  header.write('00', 263, 2, 'ascii');
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+
+  return header;
+};
+
+// Keep entry names portable and within the 100 byte ustar name field
+const sanitizeEntryName = (name) => {
+  const cleaned = String(name)
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(part => part && part !== '.' && part !== '..')
+    .map(part => part.replace(/[^A-Za-z0-9._-]/g, '_'))
+    .join('/');
+
+  if (Buffer.byteLength(cleaned) <= MAX_NAME_LENGTH) {
+    return cleaned;
+  }
+
+  // Shorten the file name but keep its extension
+  const dot = cleaned.lastIndexOf('.');
+  const extension = dot > cleaned.lastIndexOf('/') ? cleaned.slice(dot) : '';
+  return cleaned.slice(0, MAX_NAME_LENGTH - extension.length) + extension;
+};
+
+// Stream a .tar.gz to outputPath. Call addFile() or addFileFromPath() for each entry,
+// then finalize(). The archive's size and SHA-256 are computed as it is written.
+const createTarGzWriter = (outputPath) => {
+  const gzip = zlib.createGzip();
+  const output = fs.createWriteStream(outputPath);
+  const archiveHash = crypto.createHash('sha256');
+  let archiveSize = 0;
+  let failure = null;
+  const finished = new Promise((resolve, reject) => {
+    const fail = (error) => {
+      failure = failure || error;
+      reject(error);
+    };
+    output.on('finish', resolve);
+    output.on('error', fail);
+    gzip.on('error', fail);
+  });
+  // An error before finalize() (e.g. ENOSPC) surfaces from the next write instead of going unhandled
+  finished.catch(() => {});
+  gzip.on('data', (chunk) => {
+    archiveHash.update(chunk);
+    archiveSize += chunk.length;
+  });
+  gzip.pipe(output);
+
+  const write = async (chunk) => {
+    if (failure) {
+      throw failure;
+    }
+    if (!gzip.write(chunk)) {
+      // A failed stream never drains
+      await Promise.race([new Promise(resolve => gzip.once('drain', resolve)), finished]);
+    }
+  };
+
+  const writePadding = async (size) => {
+    const padding = (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+    if (padding > 0) {
+      await write(Buffer.alloc(padding));
+    }
+  };
+
+  return {
+    // Returns the name actually used inside the archive
+    addFile: async (name, content, mtime = new Date()) => {
+      const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+      const entryName = sanitizeEntryName(name);
+
+      await write(buildHeader(entryName, data.length, mtime));
+      await write(data);
+      await writePadding(data.length);
+
+      return entryName;
+    },
+
+    // Copy a file from disk into the archive chunk by chunk.
+    // Returns { name, size, sha256 } of the entry; fails before writing anything if the file cannot be read.
+    addFileFromPath: async (name, sourcePath, mtime = new Date()) => {
+      const handle = await fs.promises.open(sourcePath, 'r');
+      try {
+        const { size } = await handle.stat();
+        const entryName = sanitizeEntryName(name);
+        const hash = crypto.createHash('sha256');
+        let written = 0;
+
+        await write(buildHeader(entryName, size, mtime));
+        // Read no further than the size in the header, even if the file grew since
+        const chunks = size > 0 ? handle.createReadStream({ autoClose: false, start: 0, end: size - 1 }) : [];
+        for await (const chunk of chunks) {
+          hash.update(chunk);
+          written += chunk.length;
+          await write(chunk);
+        }
+        // The header already promised this many bytes; a file that shrank underneath us would corrupt the archive
+        if (written !== size) {
+          throw new Error(`${sourcePath} changed while it was being archived`);
+        }
+        await writePadding(size);
+
+        return { name: entryName, size, sha256: hash.digest('hex') };
+      } finally {
+        await handle.close();
+      }
+    },
+
+    // Two empty blocks end the archive. Returns { size, sha256 } of the written .tar.gz
+    finalize: async () => {
+      await write(Buffer.alloc(BLOCK_SIZE * 2));
+      gzip.end();
+      await finished;
+      return { size: archiveSize, sha256: archiveHash.digest('hex') };
+    },
+
+    abort: () => {
+      gzip.destroy();
+      output.destroy();
+    }
+  };
+};
+
+module.exports = {
+  createTarGzWriter,
+  sanitizeEntryName
+};
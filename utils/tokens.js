@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Generate a random, URL-safe token to hand out to the user (email links, etc.)
+const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Only the SHA-256 hash of a token is ever stored in the database
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+module.exports = {
+  generateSecureToken,
+  hashToken
+};
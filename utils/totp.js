@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 second steps)
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// 160-bit secret, as recommended by RFC 4226
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+// HOTP value for a given counter (RFC 4226 dynamic truncation)
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+};
+
+// Returns the matched time step, or null. Accepts one step of clock drift either way.
+const verifyCode = (secret, code, { window = 1, timestamp = Date.now() } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(timestamp);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI understood by authenticator apps (rendered as a QR code by the frontend)
+const buildOtpAuthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  getTimeStep,
+  verifyCode,
+  buildOtpAuthUri
+};